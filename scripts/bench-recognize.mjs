@@ -0,0 +1,67 @@
+// Compares the two chord recognition paths in src/lib/chords.js: the template scan
+// (recognize(notes, { useIndex: false })) and the pitch-class-mask index (the default).
+// Checks that both return the same matches for a fixed set of random voicings, with the
+// built-in vocabulary and with a custom dictionary, then times both and the index build.
+// Usage: npm run bench [-- <voicings> <rounds>]
+
+import { createServer } from 'vite'
+
+const VOICINGS = Number(process.argv[2]) || 200
+const ROUNDS = Number(process.argv[3]) || 20
+
+// deterministic voicings: 2 to 7 notes between C2 and C6
+let seed = 1
+const random = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648
+  return seed / 2147483648
+}
+const voicings = Array.from({ length: VOICINGS }, () => {
+  const notes = new Set()
+  const size = 2 + Math.floor(random() * 6)
+  while (notes.size < size) notes.add(36 + Math.floor(random() * 49))
+  return Array.from(notes)
+})
+
+function compare(recognize, label) {
+  let mismatches = 0
+  for (const notes of voicings) {
+    const scanned = JSON.stringify(recognize(notes, { useIndex: false }))
+    const indexed = JSON.stringify(recognize(notes))
+    if (scanned !== indexed) {
+      if (mismatches === 0) console.error(`first mismatch (${label}): ${notes.join(' ')}`)
+      mismatches++
+    }
+  }
+  console.log(`${label}: ${voicings.length - mismatches}/${voicings.length} voicings identical`)
+  return mismatches
+}
+
+function time(recognize, options, rounds = ROUNDS) {
+  const start = performance.now()
+  for (let r = 0; r < rounds; r++) for (const notes of voicings) recognize(notes, options)
+  return (performance.now() - start) / (rounds * voicings.length) * 1000
+}
+
+const server = await createServer({ server: { middlewareMode: 'ssr' }, optimizeDeps: { entries: [] }, logLevel: 'error' })
+let failed = 0
+try {
+  const { recognize, applyChordDictionary, regenTemplates } = await server.ssrLoadModule('/src/lib/chords.js')
+
+  failed += compare(recognize, 'built-in chords')
+  applyChordDictionary({ types: { m7: { disabled: true }, quartal: { formula: [0, 5, 10], suffix: 'q', priority: 3 } } })
+  failed += compare(recognize, 'custom dictionary')
+  applyChordDictionary(null)
+
+  // the index is rebuilt with the templates (at start-up and on every dictionary change)
+  const buildStart = performance.now()
+  regenTemplates()
+  const build = performance.now() - buildStart
+  const scan = time(recognize, { useIndex: false })
+  const indexed = time(recognize)
+  console.log(`index build: ${build.toFixed(0)} ms`)
+  console.log(`scan:        ${scan.toFixed(1)} µs per call`)
+  console.log(`indexed:     ${indexed.toFixed(1)} µs per call (speed-up ${(scan / indexed).toFixed(1)}x)`)
+} finally {
+  await server.close()
+}
+process.exit(failed > 0 ? 1 : 0)
@@ -1,5 +1,14 @@
-import React, { useEffect, useState, useCallback } from 'react'
-import { initMIDI } from './midi'
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react'
+import { createMidiSource, loadDevicePrefs, saveDevicePrefs, isInputEnabled } from './midi'
+import { createQwertySource, loadQwertySettings, saveQwertySettings } from './qwertyInput'
+import { createInputHub, createPushSource } from './inputSources'
+import { createVirtualDevice } from './virtualDevice'
+import { loadZoneSettings, saveZoneSettings, createZoneRouter, groupNotesByZone, activeZones } from './lib/zones'
+import { createMidiOutput, describeOutputs, loadOutputPrefs, saveOutputPrefs } from './midiOutput'
+import { createNoteState, noteStateReducer, heldNotes, soundingNotes, soundingChanges } from './lib/noteState'
+import { createSynth, loadSynthSettings, saveSynthSettings } from './synth'
+import { createSampler } from './sampler'
+import { recordFromFiles, buildInstrument, saveLibrary, getLibrary, deleteLibrary, listLibraries } from './sampleLibrary'
 import Keyboard from './components/Keyboard'
 import AppsPane from './components/AppsPane'
 import ChordRecognition from './apps/ChordRecognition/ChordRecognition'
@@ -7,11 +16,187 @@ import ErrorBoundary from './components/ErrorBoundary'
 import PlayTheChord from './apps/PlayTheChord/PlayTheChord'
 import Visualizer from './apps/Visualizer/Visualizer'
 import Settings from './components/Settings'
+import { createRecorder } from './recorder'
+import { saveTake, updateTake, deleteTake, listTakes } from './takeLibrary'
+import { createMidiFilePlayer } from './midiFilePlayer'
+import { parseSMF, smfTimeline, timelineFromEvents } from './lib/smf'
+import FilePlayer from './components/FilePlayer'
+import { ROOTS, applyChordDictionary } from './lib/chords'
+import { loadChordDictionary, saveChordDictionary } from './lib/chordDictionary'
+import { loadNotationSettings, saveNotationSettings, parseKey, AUTO_KEY } from './lib/notation'
+import { createKeyHistory, keyHistoryReducer, pitchClassWeights, detectKey, keyScalePcs } from './lib/keyDetection'
 
 export default function App() {
   const [keyboardHeightPx, setKeyboardHeightPx] = useState(220)
-  const [pressed, setPressed] = useState(new Set())
+  // held keys, pedal-sustained notes and pedal positions (see lib/noteState).
+  // The reducer runs synchronously in dispatchNote (mirrored in a ref) so audio engines
+  // hear note starts/stops immediately instead of after the next render.
+  const [noteState, setNoteState] = useState(createNoteState)
+  const noteStateRef = useRef(noteState)
+  // built-in synthesizer (volume / mute / preset in Settings; apps can audition notes through it)
+  const [synthSettings, setSynthSettings] = useState(loadSynthSettings)
+  const synthSettingsRef = useRef(synthSettings)
+  const synthRef = useRef(null)
+  if (!synthRef.current) synthRef.current = createSynth({ getSettings: () => synthSettingsRef.current })
+  // sample player for SF2 / SFZ libraries; used instead of the synth once a library is loaded
+  const samplerRef = useRef(null)
+  if (!samplerRef.current) samplerRef.current = createSampler({ getSettings: () => synthSettingsRef.current })
+  const [sampleLibraries, setSampleLibraries] = useState([])
+  const [sampleStatus, setSampleStatus] = useState('')
+  const loadedLibraryRef = useRef(null) // name of the library currently in the sampler
+  const currentInstrument = () => (synthSettingsRef.current.engine === 'sampler' && samplerRef.current.hasInstrument() ? samplerRef.current : synthRef.current)
+  // stable handle given to apps for programmatic playback through whichever engine is active
+  const instrumentRef = useRef(null)
+  if (!instrumentRef.current) instrumentRef.current = { playChord: (notes, opts) => currentInstrument().playChord(notes, opts) }
+  useEffect(() => {
+    synthSettingsRef.current = synthSettings
+    saveSynthSettings(synthSettings)
+    synthRef.current.applySettings()
+    samplerRef.current.applySettings()
+  }, [synthSettings])
+  // switching engines would strand voices started on the other one
+  useEffect(() => {
+    synthRef.current.allNotesOff()
+    samplerRef.current.allNotesOff()
+  }, [synthSettings.engine])
+  // session recorder (takes are saved to the IndexedDB take library when recording stops)
+  const recorderRef = useRef(null)
+  if (!recorderRef.current) recorderRef.current = createRecorder()
+  const [recordingSince, setRecordingSince] = useState(null)
+  const [recordClock, setRecordClock] = useState(0)
+  const [takes, setTakes] = useState([])
+  // session note history for the key estimate (see lib/keyDetection)
+  const keyHistoryRef = useRef(createKeyHistory())
+  const dispatchNote = useCallback((action) => {
+    const prev = noteStateRef.current
+    const next = noteStateReducer(prev, action)
+    if (next === prev) return
+    noteStateRef.current = next
+    setNoteState(next)
+    recorderRef.current.recordAction(action, prev, next)
+    const { started, stopped } = soundingChanges(prev, next)
+    const instrument = currentInstrument()
+    for (const note of stopped) instrument.noteOff(note)
+    // soft pedal (una corda) softens newly struck notes
+    const softScale = next.pedals.soft ? 0.7 : 1
+    for (const ev of started) instrument.noteOn(ev.note, Math.round(ev.velocity * softScale))
+    const time = performance.now()
+    for (const note of stopped) keyHistoryRef.current = keyHistoryReducer(keyHistoryRef.current, { type: 'noteOff', note, time })
+    for (const ev of started) keyHistoryRef.current = keyHistoryReducer(keyHistoryRef.current, { type: 'noteOn', note: ev.note, time })
+  }, [])
+  // active notes keyed by MIDI note number -> note event ({ note, velocity, channel, inputId, timestamp, source })
+  const activeNotes = useMemo(() => heldNotes(noteState), [noteState.held])
+  const pedals = noteState.pedals
+  // plain set of held MIDI numbers, derived from activeNotes for apps that only need pitches
+  const pressed = useMemo(() => new Set(activeNotes.keys()), [activeNotes])
+  // held keys plus notes kept sounding by the sustain / sostenuto pedals
+  const sounding = useMemo(() => new Set(soundingNotes(noteState).keys()), [noteState])
+  const sustainedOnly = useMemo(() => new Set(noteState.sustained.keys()), [noteState])
+  // per-app choice of which notes drive recognition: 'sounding' (pedal aware) or 'held' (keys down)
+  const [noteSourceByApp, setNoteSourceByApp] = useState(() => {
+    const def = { chord: 'sounding', play: 'sounding' }
+    try {
+      const raw = localStorage.getItem('piano:noteSource')
+      if (raw) return { ...def, ...JSON.parse(raw) }
+    } catch (e) {}
+    return def
+  })
+  useEffect(() => { try { localStorage.setItem('piano:noteSource', JSON.stringify(noteSourceByApp)) } catch (e) {} }, [noteSourceByApp])
+  const notesFor = (appId) => (noteSourceByApp[appId] === 'held' ? pressed : sounding)
+  // key signature for enharmonic spelling in the chord apps (null = automatic)
+  const [keySignature, setKeySignature] = useState(() => {
+    try {
+      const raw = localStorage.getItem('piano:keySignature')
+      if (raw != null && raw !== '') return Number(raw)
+    } catch (e) {}
+    return null
+  })
+  useEffect(() => { try { localStorage.setItem('piano:keySignature', keySignature == null ? '' : String(keySignature)) } catch (e) {} }, [keySignature])
+  // chord symbol style for the chord apps ({ style, key }; see lib/notation.js)
+  const [notation, setNotation] = useState(loadNotationSettings)
+  useEffect(() => { saveNotationSettings(notation) }, [notation])
+  // most likely key of the recent playing, re-estimated every second while there is input
+  const [keyEstimate, setKeyEstimate] = useState(null)
+  useEffect(() => {
+    const id = setInterval(() => {
+      const next = detectKey(pitchClassWeights(keyHistoryRef.current, performance.now()))
+      setKeyEstimate(prev => {
+        if (!next) return null
+        // skip renders while the estimate stays put
+        if (prev && prev.key === next.key && Math.round(prev.confidence * 100) === Math.round(next.confidence * 100) && prev.ranking[1].key === next.ranking[1].key) return prev
+        return next
+      })
+    }, 1000)
+    return () => clearInterval(id)
+  }, [])
+  // key in use: the one chosen in Settings, or the estimate; optionally dims the keys outside it
+  const currentKey = notation.key === AUTO_KEY ? (keyEstimate ? keyEstimate.key : null) : parseKey(notation.key)
+  const [dimOutOfKey, setDimOutOfKey] = useState(() => {
+    try { return localStorage.getItem('piano:dimOutOfKey') === 'true' } catch (e) { return false }
+  })
+  useEffect(() => { try { localStorage.setItem('piano:dimOutOfKey', String(dimOutOfKey)) } catch (e) {} }, [dimOutOfKey])
+  const outOfKeyPCs = useMemo(() => {
+    if (!dimOutOfKey || !currentKey) return null
+    const inKey = keyScalePcs(currentKey)
+    return new Set(Array.from({ length: 12 }, (_, pc) => pc).filter(pc => !inKey.has(pc)))
+  }, [dimOutOfKey, currentKey])
+  // user chord dictionary, applied to the chord library before the apps render with it
+  const [chordDictionary, setChordDictionary] = useState(() => {
+    const dictionary = loadChordDictionary()
+    applyChordDictionary(dictionary)
+    return dictionary
+  })
+  const changeChordDictionary = useCallback((next) => {
+    applyChordDictionary(next)
+    setChordDictionary(next)
+  }, [])
+  useEffect(() => { saveChordDictionary(chordDictionary) }, [chordDictionary])
+  // keyboard split / layer zones, applied to live input before it reaches the note state
+  const [zoneSettings, setZoneSettings] = useState(loadZoneSettings)
+  const zoneSettingsRef = useRef(zoneSettings)
+  useEffect(() => {
+    zoneSettingsRef.current = zoneSettings
+    saveZoneSettings(zoneSettings)
+  }, [zoneSettings])
+  const zoneRouterRef = useRef(null)
+  if (!zoneRouterRef.current) {
+    // file playback is already arranged; only live input is split into zones
+    zoneRouterRef.current = createZoneRouter({ getSettings: () => zoneSettingsRef.current, bypass: (ev) => ev.source === 'file' })
+  }
+  const heldZoneGroups = useMemo(() => groupNotesByZone(zoneSettings, activeNotes), [zoneSettings, activeNotes])
+  const soundingZoneGroups = useMemo(() => groupNotesByZone(zoneSettings, soundingNotes(noteState)), [zoneSettings, noteState])
+  const zoneNotesFor = (appId) => (noteSourceByApp[appId] === 'held' ? heldZoneGroups : soundingZoneGroups)
   const [midiStatus, setMidiStatus] = useState('Not initialized')
+  // MIDI input devices (as reported by initMIDI) and per-device enable/channel preferences
+  const [midiDevices, setMidiDevices] = useState([])
+  const [devicePrefs, setDevicePrefs] = useState(loadDevicePrefs)
+  const devicePrefsRef = useRef(devicePrefs)
+  useEffect(() => {
+    devicePrefsRef.current = devicePrefs
+    saveDevicePrefs(devicePrefs)
+  }, [devicePrefs])
+  // MIDI output: selected port/channel/thru preferences and the output instance (created once MIDI access exists)
+  const [outputPrefs, setOutputPrefs] = useState(loadOutputPrefs)
+  const outputPrefsRef = useRef(outputPrefs)
+  useEffect(() => { saveOutputPrefs(outputPrefs) }, [outputPrefs])
+  const [midiOutputs, setMidiOutputs] = useState([])
+  const [midiOutput, setMidiOutput] = useState(null)
+  const midiOutputRef = useRef(null)
+  const changeOutputPrefs = useCallback((next) => {
+    const apply = () => { outputPrefsRef.current = next; setOutputPrefs(next) }
+    if (midiOutputRef.current) midiOutputRef.current.retarget(apply); else apply()
+  }, [])
+  // computer-keyboard note input (octave / transpose can also change from the keyboard itself)
+  const [qwertySettings, setQwertySettings] = useState(loadQwertySettings)
+  const qwertySettingsRef = useRef(qwertySettings)
+  useEffect(() => { saveQwertySettings(qwertySettings) }, [qwertySettings])
+  const changeQwertySettings = useCallback((next) => {
+    qwertySettingsRef.current = next
+    setQwertySettings(next)
+  }, [])
+  const activeDeviceNames = useMemo(() => midiDevices
+    .filter(d => d.state === 'connected' && isInputEnabled(devicePrefs, d.id))
+    .map(d => d.name), [midiDevices, devicePrefs])
   const [theme, setTheme] = useState(() => {
     try {
       return localStorage.getItem('piano:theme') || 'dark'
@@ -20,37 +205,213 @@ export default function App() {
     }
   })
 
+  const handleNoteOn = useCallback((ev) => {
+    for (const zev of zoneRouterRef.current.noteOn(ev)) {
+      dispatchNote({ type: 'noteOn', event: zev })
+      if (midiOutputRef.current) midiOutputRef.current.thru(zev, true)
+    }
+  }, [])
+  const handleNoteOff = useCallback((ev) => {
+    for (const zev of zoneRouterRef.current.noteOff(ev)) {
+      dispatchNote({ type: 'noteOff', event: zev })
+      if (midiOutputRef.current) midiOutputRef.current.thru(zev, false)
+    }
+  }, [])
+  const handlePedal = useCallback((ev) => dispatchNote({ type: 'pedal', event: ev }), [])
+  const handleReleaseDevice = useCallback(({ inputId, channel, reason }) => {
+    dispatchNote({ type: 'releaseDevice', deviceKey: String(inputId), channel, resetPedals: reason === 'disconnect' || reason === 'reset' })
+    if (channel == null) zoneRouterRef.current.forget(String(inputId))
+  }, [])
+  // bumped on panic so components holding their own press state (Keyboard pointers) reset too
+  const [panicCount, setPanicCount] = useState(0)
+
+  // every note producer is an input source registered with the hub (see inputSources.js)
+  const inputHubRef = useRef(null)
+  if (!inputHubRef.current) {
+    inputHubRef.current = createInputHub({ noteOn: handleNoteOn, noteOff: handleNoteOff, pedal: handlePedal, releaseDevice: handleReleaseDevice })
+  }
+  const keyboardSourceRef = useRef(null)
+  if (!keyboardSourceRef.current) keyboardSourceRef.current = createPushSource({ id: 'keyboard', label: 'On-screen keyboard' })
+  const fileSourceRef = useRef(null)
+  if (!fileSourceRef.current) fileSourceRef.current = createPushSource({ id: 'file', label: 'MIDI file playback' })
+  const [virtualStatus, setVirtualStatus] = useState({ playing: false, error: '' })
+  const virtualDeviceRef = useRef(null)
+  if (!virtualDeviceRef.current) virtualDeviceRef.current = createVirtualDevice({ onStatus: setVirtualStatus })
   useEffect(() => {
-    let mounted = true
-    initMIDI(
-      (note) => {
-        if (!mounted) return
-        setPressed((prev) => {
-          const s = new Set(prev)
-          s.add(note)
-          return s
-        })
-      },
-      (note) => {
-        if (!mounted) return
-        setPressed((prev) => {
-          const s = new Set(prev)
-          s.delete(note)
-          return s
-        })
+    const hub = inputHubRef.current
+    const unregister = [keyboardSourceRef.current, fileSourceRef.current, virtualDeviceRef.current].map(src => hub.register(src))
+    // scripting hook for headless runs: window.pianoVirtualDevice.play([{ t: 0, notes: ['C4', 'E4', 'G4'], duration: 500 }])
+    window.pianoVirtualDevice = virtualDeviceRef.current
+    return () => {
+      unregister.forEach(fn => fn())
+      if (window.pianoVirtualDevice === virtualDeviceRef.current) delete window.pianoVirtualDevice
+    }
+  }, [])
+
+  // MIDI file / take playback, fed into the same handlers as live input
+  const [playerStatus, setPlayerStatus] = useState({ playing: false, position: 0 })
+  const playerRef = useRef(null)
+  if (!playerRef.current) {
+    const fileSource = fileSourceRef.current
+    playerRef.current = createMidiFilePlayer({
+      onNoteOn: fileSource.noteOn,
+      onNoteOff: fileSource.noteOff,
+      onPedal: fileSource.pedal,
+      onStatus: setPlayerStatus
+    })
+  }
+  const [loadedFile, setLoadedFile] = useState(null) // { name, timeline }
+  const [fileError, setFileError] = useState('')
+  const fileInputRef = useRef(null)
+  useEffect(() => () => playerRef.current.dispose(), [])
+  const openTimeline = useCallback((name, timeline) => {
+    playerRef.current.load(timeline)
+    setLoadedFile({ name, timeline })
+    setFileError('')
+  }, [])
+  const openMidiFile = useCallback(async (file) => {
+    try {
+      const timeline = smfTimeline(parseSMF(await file.arrayBuffer()))
+      if (timeline.events.length === 0) throw new Error('no notes found')
+      openTimeline(file.name, timeline)
+    } catch (err) {
+      setFileError(`Could not open ${file.name}: ${err.message || err}`)
+    }
+  }, [])
+  const closeFile = useCallback(() => {
+    playerRef.current.load(null)
+    setLoadedFile(null)
+  }, [])
+
+  const panic = useCallback(() => {
+    playerRef.current.pause()
+    virtualDeviceRef.current.stop()
+    dispatchNote({ type: 'panic' })
+    zoneRouterRef.current.forget()
+    synthRef.current.allNotesOff()
+    samplerRef.current.allNotesOff()
+    if (midiOutputRef.current) midiOutputRef.current.allNotesOff()
+    setPanicCount(c => c + 1)
+  }, [])
+
+  useEffect(() => {
+    return inputHubRef.current.register(createMidiSource({
+      getDevicePrefs: () => devicePrefsRef.current,
+      onStatus: setMidiStatus,
+      onDevicesChange: setMidiDevices,
+      onOutputsChange: (access) => {
+        if (!midiOutputRef.current) {
+          midiOutputRef.current = createMidiOutput(access, { getPrefs: () => outputPrefsRef.current })
+          setMidiOutput(midiOutputRef.current)
+        }
+        setMidiOutputs(describeOutputs(access))
       },
-      (status) => {
-        if (!mounted) return
-        setMidiStatus(status)
+      onError: (err) => {
+        console.error('MIDI init error', err)
+        setMidiStatus('MIDI init failed: ' + String(err))
       }
-    ).catch((err) => {
-      console.error('MIDI init error', err)
-      setMidiStatus('MIDI init failed: ' + String(err))
-    })
+    }))
+  }, [])
 
-    return () => { mounted = false }
+  // (re)load the selected sample library from the IndexedDB cache
+  useEffect(() => {
+    listLibraries().then(setSampleLibraries).catch(() => {})
+  }, [])
+  useEffect(() => {
+    const name = synthSettings.library
+    if (!name) { samplerRef.current.setInstrument(null); loadedLibraryRef.current = null; return }
+    if (loadedLibraryRef.current === name) return
+    let cancelled = false
+    setSampleStatus(`Loading ${name}…`)
+    getLibrary(name)
+      .then(record => {
+        if (!record) throw new Error('not in cache')
+        return buildInstrument(record, samplerRef.current.audioContext())
+      })
+      .then(inst => {
+        if (cancelled) return
+        samplerRef.current.setInstrument(inst)
+        loadedLibraryRef.current = name
+        setSampleStatus(`${inst.name} (${inst.zones.length} zones)`)
+      })
+      .catch(err => { if (!cancelled) setSampleStatus(`Could not load ${name}: ${err.message || err}`) })
+    return () => { cancelled = true }
+  }, [synthSettings.library])
+
+  const loadSampleFiles = useCallback(async (files) => {
+    try {
+      setSampleStatus('Reading files…')
+      const record = await recordFromFiles(files)
+      const inst = await buildInstrument(record, samplerRef.current.audioContext())
+      samplerRef.current.setInstrument(inst)
+      loadedLibraryRef.current = record.name
+      setSampleStatus(`${inst.name} (${inst.zones.length} zones)`)
+      setSynthSettings(prev => ({ ...prev, engine: 'sampler', library: record.name }))
+      try {
+        await saveLibrary(record)
+        setSampleLibraries(await listLibraries())
+      } catch (e) {
+        console.warn('Sample library cache failed', e)
+      }
+    } catch (err) {
+      setSampleStatus(`Load failed: ${err.message || err}`)
+    }
+  }, [])
+
+  const removeSampleLibrary = useCallback(async (name) => {
+    try { await deleteLibrary(name) } catch (e) {}
+    try { setSampleLibraries(await listLibraries()) } catch (e) {}
+    setSynthSettings(prev => (prev.library === name ? { ...prev, library: null } : prev))
   }, [])
 
+  useEffect(() => {
+    listTakes().then(setTakes).catch(() => {})
+  }, [])
+  const toggleRecording = useCallback(async () => {
+    const recorder = recorderRef.current
+    if (!recorder.isRecording()) {
+      recorder.start()
+      setRecordingSince(Date.now())
+      return
+    }
+    const take = recorder.stop()
+    setRecordingSince(null)
+    if (!take || take.events.length === 0) return
+    try {
+      const id = await saveTake(take)
+      setTakes(prev => [{ ...take, id }, ...prev])
+    } catch (e) {
+      console.warn('Could not save take', e)
+    }
+  }, [])
+  // footer clock while recording
+  useEffect(() => {
+    if (recordingSince == null) return
+    setRecordClock(0)
+    const id = setInterval(() => setRecordClock(Date.now() - recordingSince), 500)
+    return () => clearInterval(id)
+  }, [recordingSince])
+  const playTake = useCallback((take) => {
+    openTimeline(take.name, timelineFromEvents(take.events, [take.name], take.durationMs))
+    setShowSettings(false)
+  }, [])
+  const renameTake = useCallback((take, name) => {
+    const next = { ...take, name }
+    setTakes(prev => prev.map(t => (t.id === take.id ? next : t)))
+    updateTake(next).catch(e => console.warn('Could not rename take', e))
+  }, [])
+  const removeTake = useCallback((take) => {
+    setTakes(prev => prev.filter(t => t.id !== take.id))
+    deleteTake(take.id).catch(e => console.warn('Could not delete take', e))
+  }, [])
+
+  useEffect(() => {
+    return inputHubRef.current.register(createQwertySource({
+      getSettings: () => qwertySettingsRef.current,
+      onSettingsChange: changeQwertySettings
+    }))
+  }, [changeQwertySettings])
+
   useEffect(() => {
     document.documentElement.classList.toggle('light', theme === 'light')
     try { localStorage.setItem('piano:theme', theme) } catch (e) {}
@@ -108,28 +469,34 @@ export default function App() {
           <main>
             <div className="app-view">
               <ErrorBoundary>
-                {selectedApp === 'chord' && <ChordRecognition pressedNotes={pressed} />}
-                {selectedApp === 'play' && <PlayTheChord pressedNotes={pressed} setKeyboardTargetPCs={setKeyboardTargets} />}
-                {selectedApp === 'visualizer' && <Visualizer pressedNotes={pressed} shrinkOn={shrinkOn} freezeOn={freezeOn} />}
+                {selectedApp === 'chord' && <ChordRecognition pressedNotes={notesFor('chord')} activeNotes={activeNotes} pedals={pedals} zoneNotes={zoneNotesFor('chord')} keySignature={keySignature} notation={notation} keyEstimate={keyEstimate} chordDictionary={chordDictionary} setKeyboardTargetPCs={setKeyboardTargets} />}
+                {selectedApp === 'play' && <PlayTheChord pressedNotes={notesFor('play')} activeNotes={activeNotes} pedals={pedals} zoneNotes={zoneNotesFor('play')} keySignature={keySignature} notation={notation} chordDictionary={chordDictionary} setKeyboardTargetPCs={setKeyboardTargets} midiOutput={midiOutput} qwertyActive={qwertySettings.enabled} synth={instrumentRef.current} />}
+                {selectedApp === 'visualizer' && <Visualizer pressedNotes={pressed} activeNotes={activeNotes} shrinkOn={shrinkOn} freezeOn={freezeOn} />}
               </ErrorBoundary>
             </div>
 
+            {fileError && (
+              <div className="file-player" style={{display:'flex',alignItems:'center',gap:8,fontSize:13}}>
+                <span style={{flex:1}}>{fileError}</span>
+                <button className="collapse-btn" onClick={() => setFileError('')}>Dismiss</button>
+              </div>
+            )}
+            {loadedFile && (
+              <FilePlayer player={playerRef.current} name={loadedFile.name} timeline={loadedFile.timeline} status={playerStatus} onClose={closeFile} />
+            )}
+
             {!keyboardCollapsed && (
               <Keyboard
                 pressedNotes={pressed}
-                  onNoteOn={(n) => setPressed(prev => {
-                    const s = new Set(prev)
-                    s.add(n)
-                    return s
-                  })}
-                  onNoteOff={(n) => setPressed(prev => {
-                    const s = new Set(prev)
-                    s.delete(n)
-                    return s
-                  })}
+                sustainedNotes={sustainedOnly}
+                zones={activeZones(zoneSettings)}
+                resetKey={panicCount}
+                onNoteOn={keyboardSourceRef.current.noteOn}
+                onNoteOff={keyboardSourceRef.current.noteOff}
                 onHeightChange={(h) => setKeyboardHeightPx(h)}
                 targetMidis={keyboardTargetMidis}
                 targetPCs={keyboardTargetPCs}
+                dimPCs={outOfKeyPCs}
                 mode={selectedApp}
                 labelMode={labelMode}
                 onLabelModeChange={(m) => setLabelMode(m)}
@@ -147,8 +514,27 @@ export default function App() {
       <div className="site-footer" role="contentinfo">
         <div className="inner">
           <div className="title">Piano App</div>
-          <div className="center">MIDI status: {midiStatus}</div>
+          <div className="center">
+            {activeDeviceNames.length > 0 ? `MIDI: ${activeDeviceNames.join(', ')}` : `MIDI status: ${midiStatus}`}
+            {qwertySettings.enabled && (
+              <span className="qwerty-indicator" title="Computer keyboard input: [ ] octave, - = transpose">
+                ⌨ {ROOTS[qwertySettings.base % 12]}{Math.floor(qwertySettings.base / 12) - 1}
+                {qwertySettings.transpose ? ` ${qwertySettings.transpose > 0 ? '+' : ''}${qwertySettings.transpose}` : ''}
+              </span>
+            )}
+            <span className="pedal-indicators" aria-label="Pedals">
+              <span className={`pedal-dot ${pedals.sustain ? 'down' : ''}`} title="Sustain pedal (CC64)">Sus</span>
+              <span className={`pedal-dot ${pedals.sostenuto ? 'down' : ''}`} title="Sostenuto pedal (CC66)">Sost</span>
+              <span className={`pedal-dot ${pedals.soft ? 'down' : ''}`} title="Soft pedal (CC67)">Soft</span>
+            </span>
+          </div>
             <div className="right">
+            <input ref={fileInputRef} type="file" accept=".mid,.midi,audio/midi" style={{display:'none'}} onChange={e => { const f = e.target.files && e.target.files[0]; if (f) openMidiFile(f); e.target.value = '' }} />
+            <button className="collapse-btn" onClick={() => fileInputRef.current && fileInputRef.current.click()} title="Open a Standard MIDI File and play it through the app" style={{marginRight:6}}>Open MIDI</button>
+            <button className={`collapse-btn record-btn ${recordingSince != null ? 'recording' : ''}`} onClick={toggleRecording} title={recordingSince != null ? 'Stop recording and save the take' : 'Record a take (saved under Settings → Recorded takes)'}>
+              {recordingSince != null ? `■ ${Math.floor(recordClock / 60000)}:${String(Math.floor(recordClock / 1000) % 60).padStart(2, '0')}` : '● Rec'}
+            </button>
+            <button className="collapse-btn" onClick={panic} title="Release all held notes and pedals">Panic</button>
             {selectedApp !== 'visualizer' && (
               <button className="collapse-btn" onClick={() => setKeyboardCollapsed(k => !k)}>{keyboardCollapsed ? 'Show' : 'Hide'}</button>
             )}
@@ -161,7 +547,44 @@ export default function App() {
             )}
           </div>
         </div>
-          <Settings open={showSettings} onClose={() => setShowSettings(false)} app={selectedApp} shrinkOn={shrinkOn} />
+          <Settings
+            open={showSettings}
+            onClose={() => setShowSettings(false)}
+            app={selectedApp}
+            shrinkOn={shrinkOn}
+            noteSource={noteSourceByApp[selectedApp]}
+            onNoteSourceChange={(v) => setNoteSourceByApp(prev => ({ ...prev, [selectedApp]: v }))}
+            midiDevices={midiDevices}
+            devicePrefs={devicePrefs}
+            onDevicePrefsChange={setDevicePrefs}
+            midiOutputs={midiOutputs}
+            outputPrefs={outputPrefs}
+            onOutputPrefsChange={changeOutputPrefs}
+            qwertySettings={qwertySettings}
+            onQwertySettingsChange={changeQwertySettings}
+            synthSettings={synthSettings}
+            onSynthSettingsChange={setSynthSettings}
+            sampleLibraries={sampleLibraries}
+            sampleStatus={sampleStatus}
+            onLoadSampleFiles={loadSampleFiles}
+            onDeleteSampleLibrary={removeSampleLibrary}
+            takes={takes}
+            onRenameTake={renameTake}
+            onDeleteTake={removeTake}
+            onPlayTake={playTake}
+            virtualDevice={virtualDeviceRef.current}
+            virtualStatus={virtualStatus}
+            zoneSettings={zoneSettings}
+            onZoneSettingsChange={setZoneSettings}
+            keySignature={keySignature}
+            onKeySignatureChange={setKeySignature}
+            notation={notation}
+            onNotationChange={setNotation}
+            dimOutOfKey={dimOutOfKey}
+            onDimOutOfKeyChange={setDimOutOfKey}
+            chordDictionary={chordDictionary}
+            onChordDictionaryChange={changeChordDictionary}
+          />
       </div>
     </div>
   )
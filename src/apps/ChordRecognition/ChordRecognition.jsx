@@ -1,42 +1,225 @@
-import React, { useMemo } from 'react'
-import { recognize, pcsToNotes, ROOTS, formatMatch, intervalName } from '../../lib/chords'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { recognize, pcsToNotes, formatMatch, intervalName, describeStructure, isExactMatch } from '../../lib/chords'
+import { spellPitchClass } from '../../lib/spelling'
+import { parseChordSymbol } from '../../lib/chordSymbols'
+import { parseKey, AUTO_KEY } from '../../lib/notation'
+import { analyzeChord } from '../../lib/analysis'
+import { recognizeInterval } from '../../lib/intervals'
+import { createNoteWindow, noteWindowReducer, windowWeights, loadWindowSettings, saveWindowSettings, WINDOW_SEGMENTS } from '../../lib/noteWindow'
 
-export default function ChordRecognition({ pressedNotes }) {
+const fieldStyle = { padding:'6px 8px', borderRadius:6, border:'1px solid rgba(255,255,255,0.06)', background:'transparent', color:'var(--muted)' }
+
+const noteName = (n, keySignature) => `${spellPitchClass(n, { keySignature })}${Math.floor(n / 12) - 1}`
+
+export default function ChordRecognition({ pressedNotes, zoneNotes = [], keySignature = null, notation = null, keyEstimate = null, chordDictionary = null, setKeyboardTargetPCs = () => {} }) {
   // pressedNotes expected as Set or Array of MIDI numbers
   const pressedArr = useMemo(() => Array.isArray(pressedNotes) ? pressedNotes : Array.from(pressedNotes || []), [pressedNotes])
 
-  const matches = useMemo(() => recognize(pressedArr), [pressedArr])
-  const formatted = useMemo(() => matches.map(m => ({ ...m, formatted: formatMatch(m, pressedArr) })), [matches, pressedArr])
+  // held: name the keys down now; windowed: name everything struck within the window, so rolled
+  // and broken chords are read as one harmony (lib/noteWindow.js)
+  const [windowSettings, setWindowSettings] = useState(loadWindowSettings)
+  useEffect(() => { saveWindowSettings(windowSettings) }, [windowSettings])
+  const windowed = windowSettings.mode === 'windowed'
+  const [noteWindow, setNoteWindow] = useState(createNoteWindow)
+  const [now, setNow] = useState(() => performance.now())
+  const prevPressedRef = useRef(new Set())
+  useEffect(() => {
+    const prev = prevPressedRef.current
+    prevPressedRef.current = new Set(pressedArr)
+    if (!windowed) return
+    const struck = pressedArr.filter(n => !prev.has(n)).sort((a, b) => a - b)
+    if (struck.length === 0) return
+    const time = performance.now()
+    const bassZoneNotes = new Set((zoneNotes || []).filter(g => g.zone.role === 'bass').flatMap(g => Array.from(g.notes)))
+    setNoteWindow(state => struck.reduce((w, note) => noteWindowReducer(w, { type: 'strike', note, time, inBassZone: bassZoneNotes.has(note) }, windowSettings), state))
+    setNow(time)
+  }, [pressedArr, windowed, windowSettings, zoneNotes])
+  useEffect(() => { if (!windowed) setNoteWindow(createNoteWindow()) }, [windowed])
+  // fade the window while it holds struck notes
+  const windowEmpty = noteWindow.strikes.size === 0
+  useEffect(() => {
+    if (!windowed || windowEmpty) return
+    const id = setInterval(() => {
+      const time = performance.now()
+      setNow(time)
+      setNoteWindow(state => noteWindowReducer(state, { type: 'prune', time }, windowSettings))
+    }, 100)
+    return () => clearInterval(id)
+  }, [windowed, windowEmpty, windowSettings])
+  const weights = useMemo(() => (windowed ? windowWeights(noteWindow, now, windowSettings, pressedArr) : null), [windowed, noteWindow, now, windowSettings, pressedArr])
+  const windowKey = weights ? Array.from(weights.keys()).sort((a, b) => a - b).join(',') : null
+  const notes = useMemo(() => (windowKey != null ? (windowKey ? windowKey.split(',').map(Number) : []) : pressedArr), [windowKey, pressedArr])
+
+  // key for Roman numerals and the chord analysis: chosen in Settings, or App's estimate from
+  // the session's notes (lib/keyDetection.js)
+  const autoKey = !notation || notation.key === AUTO_KEY
+  const analysisKey = autoKey ? (keyEstimate ? keyEstimate.key : null) : parseKey(notation.key)
+
+  // spelling and chord symbol style for every chord name shown here
+  const nameOptions = useMemo(() => ({ keySignature, notation: notation ? notation.style : 'house', key: analysisKey }), [keySignature, notation, analysisKey])
+
+  // chordDictionary: recompute when App applies a new chord dictionary
+  const matches = useMemo(() => recognize(notes), [notes, chordDictionary])
+  const formatted = useMemo(() => matches.map(m => ({ ...m, formatted: formatMatch(m, notes, nameOptions) })), [matches, notes, nameOptions])
+
+  // two pitch classes are named as an interval first; the chord readings become alternatives
+  const dyad = useMemo(() => recognizeInterval(notes, { keySignature }), [notes, keySignature])
+
+  // clusters, stacks in fourths / fifths, polychords and altered tertian stacks: the structure
+  // names the chord when no dictionary chord matches exactly
+  const structure = useMemo(() => (dyad || matches.length === 0 || isExactMatch(matches[0]) ? null : describeStructure(notes, nameOptions)), [dyad, matches, notes, nameOptions])
+  const structural = structure != null
+  // readings listed for an interval or a structural description: without rootless readings,
+  // which only make sense for full jazz voicings (C-C#-D is no rootless A¹¹⁺⁹)
+  const rootedReadings = useMemo(() => formatted.filter(m => !(m.omitted || []).includes('root')), [formatted])
+
+  // with keyboard zones: read the non-bass zones as an upper structure over the bass zone's lowest note
+  const handReading = useMemo(() => {
+    const groups = (zoneNotes || []).filter(g => g.notes.size > 0)
+    if (groups.length === 0) return null
+    const bassGroup = groups.find(g => g.zone.role === 'bass')
+    const upperNotes = groups.filter(g => g.zone.role !== 'bass').flatMap(g => Array.from(g.notes))
+    const upperMatch = upperNotes.length > 0 ? recognize(upperNotes)[0] : null
+    const upperName = upperMatch ? formatMatch(upperMatch, upperNotes, nameOptions).displayName : null
+    const bass = bassGroup ? Math.min(...bassGroup.notes) : null
+    const zones = groups.map(g => ({ zone: g.zone, notes: Array.from(g.notes).sort((a, b) => a - b).map(n => noteName(n, keySignature)).join(' ') }))
+    return { zones, upperName, bassName: bass != null ? spellPitchClass(bass, { keySignature }) : null }
+  }, [zoneNotes, keySignature, nameOptions, chordDictionary])
+
+  // a typed chord symbol is shown on the keyboard as targets
+  const [symbolText, setSymbolText] = useState('')
+  const typed = useMemo(() => {
+    if (!symbolText.trim()) return null
+    try {
+      const parsed = parseChordSymbol(symbolText)
+      // a typed slash bass is kept as written: pass the voicing so its lowest note is the bass
+      const match = { root: parsed.root, type: parsed.type, chordSize: parsed.intervals.length, slash: parsed.bass != null }
+      const name = parsed.type ? formatMatch(match, parsed.bass != null ? parsed.voicing : [], nameOptions).displayName : parsed.symbol
+      return { parsed, name, notes: pcsToNotes(parsed.pcs, { root: parsed.root, type: parsed.type, keySignature }) }
+    } catch (err) {
+      return { error: err.message }
+    }
+  }, [symbolText, keySignature, nameOptions, chordDictionary])
+  useEffect(() => {
+    setKeyboardTargetPCs(typed && typed.parsed ? { mids: new Set(typed.parsed.voicing), pcs: new Set(typed.parsed.pcs) } : null)
+  }, [typed, setKeyboardTargetPCs])
+  useEffect(() => () => setKeyboardTargetPCs(null), [setKeyboardTargetPCs])
 
   return (
     <section className="chord-app">
       <div style={{display:'flex',alignItems:'center',justifyContent:'space-between',width:'100%'}}>
         <h2 style={{margin:0}}>Chord Recognition</h2>
-        <div style={{marginLeft:12,fontSize:14}}></div>
+        <div style={{marginLeft:12,fontSize:14,display:'flex',alignItems:'center',gap:8}}>
+          {typed && (typed.error
+            ? <span style={{color:'#ff7a7a',fontSize:12}}>{typed.error}</span>
+            : <span className="muted">{typed.name}: {typed.notes}</span>)}
+          <div style={{display:'flex',gap:4}} title="Held: the keys down now. Windowed: everything played within the window, for rolled and broken chords">
+            {['held', 'windowed'].map(mode => (
+              <button key={mode} onClick={() => setWindowSettings({ ...windowSettings, mode })} style={{...fieldStyle,cursor:'pointer',...(windowSettings.mode === mode ? {background:'var(--accent)',color:'#000'} : {})}}>{mode === 'held' ? 'Held' : 'Windowed'}</button>
+            ))}
+          </div>
+          {windowed && (
+            <>
+              <label style={{display:'flex',alignItems:'center',gap:4,fontSize:12}} title="How long a struck note stays in the harmony">
+                Window
+                <input type="number" min={100} max={10000} step={100} value={windowSettings.windowMs} onChange={e => setWindowSettings({ ...windowSettings, windowMs: Math.max(100, Number(e.target.value) || 0) })} style={{...fieldStyle,width:64}} />ms
+              </label>
+              <label style={{display:'flex',alignItems:'center',gap:4,fontSize:12}} title="Half-life of a struck note's weight (0 = no fading)">
+                Decay
+                <input type="number" min={0} max={10000} step={100} value={windowSettings.decayMs} onChange={e => setWindowSettings({ ...windowSettings, decayMs: Math.max(0, Number(e.target.value) || 0) })} style={{...fieldStyle,width:64}} />ms
+              </label>
+              <select value={windowSettings.segment} onChange={e => setWindowSettings({ ...windowSettings, segment: e.target.value })} title="Start a new window when the bass changes (a lower note, or a new note in a bass zone)" style={fieldStyle}>
+                {WINDOW_SEGMENTS.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+              </select>
+            </>
+          )}
+          <input value={symbolText} onChange={e => setSymbolText(e.target.value)} onKeyDown={e => { if (e.key === 'Escape') setSymbolText('') }} placeholder="Type a chord, e.g. B♭m7b5/A♭" title="Show a chord symbol on the keyboard (Esc clears)" style={{...fieldStyle,width:200}} />
+        </div>
       </div>
+      {keyEstimate && (
+        <div style={{textAlign:'center',fontSize:13,color:'var(--muted)',margin:'6px 0'}} title="Estimated from the pitch classes played recently and how long they sounded (Krumhansl-Kessler key profiles)">
+          Key estimate: <strong style={{color:'var(--accent)'}}>{keyEstimate.key.label}</strong> · {Math.round(keyEstimate.confidence * 100)}% · then {keyEstimate.ranking.slice(1, 3).map(r => `${r.key.label} ${Math.round(r.confidence * 100)}%`).join(', ')}
+        </div>
+      )}
+      {weights && weights.size > 0 && (
+        <div style={{display:'flex',gap:8,justifyContent:'center',fontSize:13,color:'var(--muted)',margin:'6px 0'}}>
+          Window: {Array.from(weights).sort((a, b) => a[0] - b[0]).map(([n, w]) => <span key={n} style={{opacity:0.3 + 0.7 * w}}>{noteName(n, keySignature)}</span>)}
+        </div>
+      )}
       <div style={{display:'flex',flexDirection:'column',alignItems:'center',gap:12}}>
-        {formatted.length === 0 ? (
+        {dyad ? (
+          <div style={{width:'100%',maxWidth:1100,background:'rgba(255,255,255,0.02)',padding:18,borderRadius:8,display:'flex',flexDirection:'column',alignItems:'center'}}>
+            <div style={{display:'flex',flexDirection:'column',alignItems:'center',justifyContent:'center',minHeight:220}}>
+              <div style={{fontSize:96,fontWeight:900,color:'var(--accent)',lineHeight:1,textAlign:'center',transform:'translateY(6px)'}}>{dyad.shortName}</div>
+              <div style={{marginTop:12,fontSize:22,textAlign:'center'}}>{dyad.name}</div>
+              <div style={{marginTop:8,fontSize:16,color:'var(--muted)',textAlign:'center'}}>{dyad.lowerName} – {dyad.upperName} · {dyad.semitones} semitone{dyad.semitones === 1 ? '' : 's'}{dyad.compound ? ` (${dyad.octaves} octave${dyad.octaves === 1 ? '' : 's'} + ${dyad.simpleSemitones})` : ''}</div>
+              <div style={{marginTop:6,fontSize:14,color:'var(--muted)'}}>Inverts to {dyad.inversion.name.toLowerCase()} ({dyad.inversion.shortName}, {dyad.inversion.semitones} semitones)</div>
+            </div>
+            <div style={{width:'100%',marginTop:12}}>
+              <h4 style={{margin:'6px 0',color:'var(--muted)'}}>Chord readings</h4>
+              {rootedReadings.length === 0 ? <div className="muted">No chord readings</div> : (
+                <ul style={{listStyle:'none',padding:0,margin:0,display:'grid',gridTemplateColumns:'repeat(auto-fill,minmax(200px,1fr))',gap:8}}>
+                  {rootedReadings.slice(0,5).map((m, idx) => (
+                    <li key={idx} className={`alt ${m.isSubset ? 'subset' : ''}`}>
+                      <div className="alt-name">{m.formatted.displayName}</div>
+                      <div className="alt-meta">{m.matchedCount}/{m.chordSize}{m.isSubset ? ' subset' : ''}{m.confidence != null ? ` · ${Math.round(m.confidence * 100)}%` : ''}</div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        ) : formatted.length === 0 ? (
           <div className="muted">No matching chords</div>
         ) : (
           (() => {
             const top = formatted[0]
-            const chordTones = (top.chordPCs || []).map(pc => {
-              const interval = (pc - top.root + 12) % 12
-              return {
-                pc,
-                note: ROOTS[pc],
-                interval,
-                intervalName: intervalName(interval),
-                present: top.matchedPCs.includes(pc)
-              }
-            })
+            const analysis = analysisKey && !structural ? analyzeChord(top, notes, analysisKey) : null
+            // spelled chord tones in formula order (degree names follow the chord, e.g. 𝄫7 in a dim7);
+            // a structural description lists the voiced notes low to high
+            const chordTones = structural
+              ? structure.tones.map(t => ({ pc: t.pc, note: t.name, intervalName: t.label, present: true }))
+              : top.formatted.tones.map(t => ({
+                pc: t.pc,
+                note: t.name,
+                interval: t.interval,
+                intervalName: intervalName(t.interval, top.type),
+                present: top.matchedPCs.includes(t.pc)
+              }))
+            const alternatives = structural ? rootedReadings.slice(0, 5) : formatted.slice(1, 6)
 
             return (
               <div style={{width:'100%',maxWidth:1100,background:'rgba(255,255,255,0.02)',padding:18,borderRadius:8,display:'flex',flexDirection:'column',alignItems:'center'}}>
                 <div style={{display:'flex',flexDirection:'column',alignItems:'center',justifyContent:'center',minHeight:220}}>
-                  <div style={{fontSize:120,fontWeight:900,color:'var(--accent)',lineHeight:1,textAlign:'center',transform:'translateY(6px)'}}>{top.formatted.displayName}</div>
-                  <div style={{marginTop:8,fontSize:16,color:'var(--muted)',textAlign:'center'}}>{top.formatted.longName}</div>
-                  <div style={{marginTop:6,fontSize:14,color:'var(--muted)'}}>{top.formatted.inversion ? top.formatted.inversion : ''}{top.formatted.bassName ? ` • bass ${top.formatted.bassName}` : ''}</div>
+                  <div style={{fontSize:120,fontWeight:900,color:'var(--accent)',lineHeight:1,textAlign:'center',transform:'translateY(6px)'}}>{structural ? structure.displayName : top.formatted.displayName}</div>
+                  {structural ? (
+                    <div style={{marginTop:8,fontSize:16,color:'var(--muted)',textAlign:'center'}} title="No chord in the dictionary matches these notes exactly; the name describes how the voicing is built">{structure.longName} · structural description</div>
+                  ) : (
+                    <div style={{marginTop:8,fontSize:16,color:'var(--muted)',textAlign:'center'}}>{top.formatted.longName} · {isExactMatch(top) ? 'dictionary match' : 'closest dictionary match'}{top.confidence != null ? ` · ${Math.round(top.confidence * 100)}% confidence` : ''}</div>
+                  )}
+                  {analysis && (
+                    <div style={{marginTop:6,fontSize:18,textAlign:'center'}} title={`${analysisKey.label}${autoKey ? ' (detected from the recent notes)' : ''}`}>
+                      <strong>{analysis.numeral}</strong>
+                      <span style={{color:'var(--muted)'}}> · {analysis.function || 'no function'} · {analysis.description} · {analysisKey.label}{autoKey ? ' (detected)' : ''}</span>
+                    </div>
+                  )}
+                  {structural ? (
+                    <div style={{marginTop:6,fontSize:14,color:'var(--muted)'}}>{structure.bassName ? `bass ${structure.bassName}` : ''}</div>
+                  ) : (
+                    <div style={{marginTop:6,fontSize:14,color:'var(--muted)'}}>{top.formatted.inversion ? top.formatted.inversion : ''}{top.formatted.bassName ? ` • bass ${top.formatted.bassName}` : ''}</div>
+                  )}
+                  {handReading && (
+                    <div style={{marginTop:10,display:'flex',flexDirection:'column',alignItems:'center',gap:6}}>
+                      {handReading.upperName && handReading.bassName && (
+                        <div style={{fontSize:18}}>Upper structure: <strong style={{color:'var(--accent)'}}>{handReading.upperName}</strong> over <strong>{handReading.bassName}</strong></div>
+                      )}
+                      <div style={{display:'flex',gap:12,flexWrap:'wrap',justifyContent:'center',fontSize:13,color:'var(--muted)'}}>
+                        {handReading.zones.map(z => (
+                          <span key={z.zone.id} style={{borderLeft:`4px solid ${z.zone.color}`,paddingLeft:6}}>{z.zone.name}: {z.notes}</span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 {/* Transposed table below the chord */}
@@ -61,13 +244,13 @@ export default function ChordRecognition({ pressedNotes }) {
 
                 {/* Alternatives below */}
                 <div style={{width:'100%',marginTop:12}}>
-                  <h4 style={{margin:'6px 0',color:'var(--muted)'}}>Alternative interpretations</h4>
-                  {formatted.length <= 1 ? <div className="muted">No alternatives</div> : (
+                  <h4 style={{margin:'6px 0',color:'var(--muted)'}}>{structural ? 'Closest dictionary chords' : 'Alternative interpretations'}</h4>
+                  {alternatives.length === 0 ? <div className="muted">No alternatives</div> : (
                     <ul style={{listStyle:'none',padding:0,margin:0,display:'grid',gridTemplateColumns:'repeat(auto-fill,minmax(200px,1fr))',gap:8}}>
-                      {formatted.slice(1,6).map((m, idx) => (
+                      {alternatives.map((m, idx) => (
                         <li key={idx} className={`alt ${m.isSubset ? 'subset' : ''}`}>
                           <div className="alt-name">{m.formatted.displayName}</div>
-                          <div className="alt-meta">{m.matchedCount}/{m.chordSize}{m.isSubset ? ' subset' : ''}</div>
+                          <div className="alt-meta">{m.matchedCount}/{m.chordSize}{m.isSubset ? ' subset' : ''}{m.confidence != null ? ` · ${Math.round(m.confidence * 100)}%` : ''}</div>
                         </li>
                       ))}
                     </ul>
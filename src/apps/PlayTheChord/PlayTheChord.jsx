@@ -1,11 +1,16 @@
 import React, { useEffect, useMemo, useState, useRef } from 'react'
-import { getTemplates, ROOTS, pcsToNotes, chordFormulas } from '../../lib/chords'
+import { getTemplates, ROOTS, pcsToNotes, chordFormulas, chordTags, CHORD_CATEGORIES, spellChordTones } from '../../lib/chords'
 import { formatMatch } from '../../lib/chords'
+import { spellPitchClass } from '../../lib/spelling'
+import { parseKey } from '../../lib/notation'
 
 function randomInt(max) { return Math.floor(Math.random() * max) }
 
-export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () => {} }) {
-  const templates = useMemo(() => getTemplates(), [])
+export default function PlayTheChord({ pressedNotes, zoneNotes = [], keySignature = null, notation = null, chordDictionary = null, setKeyboardTargetPCs = () => {}, midiOutput = null, qwertyActive = false, synth = null }) {
+  // rebuilt by App when the chord dictionary changes
+  const templates = useMemo(() => getTemplates().slice(), [chordDictionary])
+  // spelling and chord symbol style for the chord card, the type list and the stats table
+  const nameOptions = useMemo(() => ({ keySignature, notation: notation ? notation.style : 'house', key: notation ? parseKey(notation.key) : null }), [keySignature, notation])
 
   const centerCardRef = useRef(null)
   const chordRef = useRef(null)
@@ -19,22 +24,7 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
   // --- Settings: categories and allowed roots (persisted)
   // New filter groups requested by user (sorted):
   // Major, Minor, Diminished, Augmented, Suspended, Flat/Raised, 6th, 7th, add9, add11, add13, 9th, 11th, 13th
-  const CATEGORIES = {
-    major: { label: 'Major', types: ['fifth','major','M7','M9','M11','M13'] },
-    minor: { label: 'Minor', types: ['minor','m6','m7','m9','m11','m13'] },
-    diminished: { label: 'Diminished', types: ['dim','dim7'] },
-    augmented: { label: 'Augmented', types: ['aug','9#5','11#5','13#5','m9#5','m7#5'] },
-    suspended: { label: 'Suspended', types: ['sus2','sus4','7sus2','7sus4','9sus4'] },
-    flatRaised: { label: 'Flat/Raised', types: ['flat5','7b5','9b5','11b5','13b5','b9','mb9','m9b5'] },
-    sixth: { label: '6th', types: ['6','m6','7/6','9/6','m9/6'] },
-    seventh: { label: '7th', types: ['7','m7','dim7','M7','mM7','7b5','7#5','m7b5','m7#5','7sus2','7sus4','7/6'] },
-    add9: { label: 'add9', types: ['add9','madd9'] },
-    add11: { label: 'add11', types: ['add11','madd11'] },
-    add13: { label: 'add13', types: ['add13','madd13'] },
-    ninth: { label: '9th', types: ['9','m9','b9','mb9','9#5','9sus4','9b5','m9b5','m9#5','M9','9/6','m9/6'] },
-    eleventh: { label: '11th', types: ['11','m11','M11','11b5','11#5','11M7','11b9','11#9'] },
-    thirteenth: { label: '13th', types: ['13','M13','m13','13b5','13#5'] }
-  }
+  const CATEGORIES = CHORD_CATEGORIES
 
   const loadCategories = () => {
     // Do not read persisted main app filters; always start with defaults here
@@ -68,6 +58,23 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
   const [showNotes, setShowNotes] = useState(loadShowNotes)
   useEffect(() => { try { localStorage.setItem('play:showNotes', JSON.stringify(showNotes)) } catch(e){} }, [showNotes])
 
+  // send the target voicing to the MIDI output (light-up keys / external sound module)
+  const loadSendToOutput = () => {
+    try { const raw = localStorage.getItem('play:sendToOutput'); if (raw) return JSON.parse(raw) } catch(e){}
+    return false
+  }
+  const [sendToOutput, setSendToOutput] = useState(loadSendToOutput)
+  useEffect(() => { try { localStorage.setItem('play:sendToOutput', JSON.stringify(sendToOutput)) } catch(e){} }, [sendToOutput])
+
+  // per-hand targets: with keyboard zones, the bass zone plays the chord's bass note and the other zones the rest
+  const loadPerHand = () => {
+    try { const raw = localStorage.getItem('play:perHand'); if (raw) return JSON.parse(raw) } catch(e){}
+    return false
+  }
+  const [perHand, setPerHand] = useState(loadPerHand)
+  useEffect(() => { try { localStorage.setItem('play:perHand', JSON.stringify(perHand)) } catch(e){} }, [perHand])
+  const handsAvailable = (zoneNotes || []).some(g => g.zone.role === 'bass') && (zoneNotes || []).some(g => g.zone.role !== 'bass')
+
   const loadHoldSeconds = () => {
     try { const raw = localStorage.getItem('play:holdSeconds'); if (raw) return Number(raw) } catch(e){}
     return 2
@@ -181,72 +188,11 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
 
   const allowedRoots = useMemo(() => new Set(Array.from(selectedRoots)), [selectedRoots])
 
-  // Build reverse mapping: type -> categories that include it
-  // Explicit atomic tag mapping for each chord type. Each tag name corresponds
-  // to a filter key in `CATEGORIES`. A chord is allowed only if ALL of its
-  // tags are enabled by the user (atomic filters). This ensures combining
-  // filters expands allowed chord types predictably.
-  const TYPE_TAGS = useMemo(() => ({
-    'fifth': [],
-    'major': ['major'],
-    'minor': ['minor'],
-    'dim': ['diminished'],
-    'aug': ['augmented'],
-    'sus2': ['suspended'],
-    'sus4': ['suspended'],
-    'flat5': ['flatRaised'],
-    '6': ['sixth'],
-    'm6': ['minor','sixth'],
-
-    '7': ['seventh'],
-    'm7': ['minor','seventh'],
-    'dim7': ['diminished','seventh'],
-    'M7': ['major','seventh'],
-    'mM7': ['minor','seventh'],
-    '7sus2': ['seventh','suspended'],
-    '7sus4': ['seventh','suspended'],
-    '7b5': ['seventh','flatRaised'],
-    '7#5': ['seventh','augmented'],
-    'm7b5': ['minor','seventh','flatRaised'],
-    'm7#5': ['minor','seventh','augmented'],
-
-    'add9': ['add9','major'],
-    'madd9': ['add9','minor'],
-    'add11': ['add11','major'],
-    'madd11': ['add11','minor'],
-    'add13': ['add13','major'],
-    'madd13': ['add13','minor'],
-
-    '7/6': ['seventh','sixth'],
-    '9/6': ['ninth','sixth'],
-    'm9/6': ['ninth','sixth','minor'],
-
-    '9': ['ninth','seventh'],
-    'm9': ['ninth','seventh','minor'],
-    'b9': ['ninth','seventh','flatRaised'],
-    'mb9': ['ninth','seventh','minor','flatRaised'],
-    '9#5': ['ninth','seventh','augmented'],
-    '9sus4': ['ninth','seventh','suspended'],
-    '9b5': ['ninth','seventh','flatRaised'],
-    'm9b5': ['ninth','seventh','minor','flatRaised'],
-    'm9#5': ['ninth','seventh','minor','augmented'],
-    'M9': ['major','ninth','seventh'],
-
-    '11': ['eleventh'],
-    'm11': ['eleventh','minor'],
-    'M11': ['eleventh','major'],
-    '11b5': ['eleventh','flatRaised'],
-    '11#5': ['eleventh','augmented'],
-    '11M7': ['eleventh','major','seventh'],
-    '11b9': ['eleventh','ninth','flatRaised'],
-    '11#9': ['eleventh','ninth','augmented'],
-
-    '13': ['thirteenth'],
-    'M13': ['major','thirteenth'],
-    'm13': ['minor','thirteenth'],
-    '13b5': ['thirteenth','flatRaised'],
-    '13#5': ['thirteenth','augmented']
-  }), [])
+  // Atomic tag mapping for each chord type (lib/chords.js, extended by the chord dictionary).
+  // Each tag name corresponds to a filter key in `CATEGORIES`. A chord is allowed only if ALL
+  // of its tags are enabled by the user (atomic filters). This ensures combining filters
+  // expands allowed chord types predictably.
+  const TYPE_TAGS = useMemo(() => ({ ...chordTags }), [chordDictionary])
 
   // templates filtered by settings
   // A template is allowed only if its root is allowed AND all atomic tags
@@ -565,6 +511,16 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
     return () => { try { if (typeof setKeyboardTargetPCs === 'function') setKeyboardTargetPCs(new Set()) } catch (e) {} }
   }, [currentTargetMids, currentTargetPcs, showNotes, setKeyboardTargetPCs])
 
+  // preview the target voicing on the MIDI output; hidden notes stay hidden there too
+  useEffect(() => {
+    if (!midiOutput) return
+    try {
+      if (sendToOutput && showNotes) midiOutput.preview(Array.from(currentTargetMids))
+      else midiOutput.clearPreview()
+    } catch (e) {}
+  }, [midiOutput, sendToOutput, showNotes, currentTargetMids])
+  useEffect(() => () => { try { if (midiOutput) midiOutput.clearPreview() } catch (e) {} }, [midiOutput])
+
   // target pitch-classes (used for checking correctness/wrong presses)
   const targetPCs = useMemo(() => new Set(current && current.pcs ? Array.from(current.pcs) : []), [current])
 
@@ -618,6 +574,19 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
     return s
   }, [pressedNotes])
 
+  // bass pitch-class of the target voicing (inversion bass when inversions are on)
+  const targetBassPc = current ? (allowInversions && currentOrderedPcs.length > 0 ? currentOrderedPcs[0] : current.root) : null
+  const handsActive = perHand && handsAvailable
+  // per-hand check: lowest bass-zone note is the target bass, upper zones cover the remaining chord tones
+  const handsOk = useMemo(() => {
+    if (!handsActive || targetBassPc == null) return true
+    const bassNotes = zoneNotes.filter(g => g.zone.role === 'bass').flatMap(g => Array.from(g.notes))
+    const upperPcs = new Set(zoneNotes.filter(g => g.zone.role !== 'bass').flatMap(g => Array.from(g.notes)).map(m => ((m % 12) + 12) % 12))
+    if (bassNotes.length === 0 || Math.min(...bassNotes) % 12 !== targetBassPc) return false
+    for (const pc of targetPCs) if (pc !== targetBassPc && !upperPcs.has(pc)) return false
+    return true
+  }, [handsActive, targetBassPc, zoneNotes, targetPCs])
+
   const [pendingNext, setPendingNext] = useState(null)
 
   // check for success: user pressed includes all targetPCs — now requires holding
@@ -642,7 +611,7 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
     }
 
     // If currently all present and no extras, start or continue hold timer
-    if (allPresent && noExtras) {
+    if (allPresent && noExtras && handsOk) {
       if (!holdStartRef.current) {
         holdStartRef.current = performance.now()
       }
@@ -696,7 +665,7 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
       if (holdTimerRef.current) { clearInterval(holdTimerRef.current); holdTimerRef.current = null }
       holdStartRef.current = null
     }
-  }, [pressedPCs, targetPCs, roundActive, roundStartTs, roundCanceled, hadWrongPress, allowedTemplates, holdSeconds])
+  }, [pressedPCs, targetPCs, handsOk, roundActive, roundStartTs, roundCanceled, hadWrongPress, allowedTemplates, holdSeconds])
 
   // When solved and all keys released, advance to the pending next chord
   useEffect(() => {
@@ -767,11 +736,14 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
     }
   }
 
-  // Keyboard shortcut: press 'S' to skip (ignore when typing in inputs)
+  // Keyboard shortcut: press 'S' to skip (ignore when typing in inputs).
+  // When computer-keyboard note input is on, plain 'S' plays a note (it arrives with
+  // defaultPrevented) and Shift+S skips instead.
   useEffect(() => {
     const handler = (e) => {
       try {
         if (e.key !== 's' && e.key !== 'S' && e.code !== 'KeyS') return
+        if (e.defaultPrevented) return
         const tgt = e.target
         const tag = tgt && (tgt.tagName === 'INPUT' || tgt.tagName === 'TEXTAREA' || tgt.isContentEditable)
         if (tag) return
@@ -783,10 +755,17 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
     return () => window.removeEventListener('keydown', handler)
   }, [allowedTemplates, current])
 
+  // target chord tones spelled from the chord formula (B♭ D♭ F rather than A# C# F)
+  const spelledTones = useMemo(() => (current ? spellChordTones(current.root, current.type, { keySignature }).tones : []), [current, keySignature])
+  const toneName = (pc) => {
+    const tone = spelledTones.find(t => t.pc === pc)
+    return tone ? tone.name : spellPitchClass(pc, { keySignature })
+  }
+
   const showName = () => {
     if (!current) return ''
-    const fakeMatch = { root: current.root, rootName: ROOTS[current.root], type: current.type, chordSize: current.size }
-    const fm = formatMatch(fakeMatch, [])
+    const fakeMatch = { root: current.root, type: current.type, chordSize: current.size }
+    const fm = formatMatch(fakeMatch, [], nameOptions)
     return fm.displayName
   }
 
@@ -837,6 +816,8 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
               <div style={{display:'flex',gap:8,marginTop:6}}>
                 <button className={`play-cat-btn ${allowInversions ? 'active' : ''}`} onClick={() => setAllowInversions(v => !v)}>Allow Inversions</button>
                 <button className={`play-cat-btn ${showNotes ? 'active' : ''}`} onClick={() => setShowNotes(v => !v)}>Show Notes</button>
+                <button className={`play-cat-btn ${handsActive ? 'active' : ''}`} onClick={() => setPerHand(v => !v)} disabled={!handsAvailable} title={handsAvailable ? 'Bass note in the left-hand (bass) zone, remaining chord tones in the other zones' : 'Set up a bass zone and a chord zone under Settings → Keyboard zones'}>Per Hand</button>
+                <button className={`play-cat-btn ${sendToOutput ? 'active' : ''}`} onClick={() => setSendToOutput(v => !v)} disabled={!midiOutput} title={midiOutput ? 'Send the target voicing to the MIDI output selected in Settings' : 'MIDI output unavailable'}>Send to MIDI Out</button>
                 <div style={{display:'flex',alignItems:'center',gap:6,marginLeft:6}}>
                   <label style={{fontSize:12,color:'var(--muted)'}}>Hold (s)</label>
                   <select value={holdSeconds} onChange={e => setHoldSeconds(Number(e.target.value))} style={{background:'transparent',border:'1px solid rgba(255,255,255,0.04)',color:'var(--muted)',padding:'4px 6px',borderRadius:6}}>
@@ -864,7 +845,7 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
                       if (s.has(rIdx)) s.delete(rIdx); else s.add(rIdx)
                       return s
                     })
-                  }}>{rName}</button>
+                  }}>{spellPitchClass(rIdx, { keySignature })}</button>
                 ))}
               </div>
             </div>
@@ -881,14 +862,19 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
                   <div style={{marginTop:14,textAlign:'center',fontSize:16,color:'var(--muted)'}}><strong>Pick chord types or roots to enable templates</strong></div>
                 ) : (
                   (() => {
-                    const fakeMatch = { root: current.root, rootName: ROOTS[current.root], type: current.type, chordSize: current.size }
-                    const fm = formatMatch(fakeMatch, [])
+                    const fakeMatch = { root: current.root, type: current.type, chordSize: current.size }
+                    const fm = formatMatch(fakeMatch, [], nameOptions)
                     return (
                       <div style={{marginTop:12,textAlign:'center',fontSize:15,color:'var(--muted)'}}>
                         {allowInversions && currentInversion !== null ? (
                           <div style={{marginBottom:6}}>Inversion: {currentInversion}{currentInversion === 0 ? ' (root position)' : ''}</div>
                         ) : null}
                         <div><strong>{fm.longName}</strong></div>
+                        {handsActive && targetBassPc != null && (
+                          <div style={{marginTop:6,fontSize:13}}>
+                            Left hand: {toneName(targetBassPc)} · Right hand: {Array.from(targetPCs).filter(pc => pc !== targetBassPc).map(toneName).join(' ')}
+                          </div>
+                        )}
                       </div>
                     )
                   })()
@@ -913,7 +899,7 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
                     {(currentOrderedPcs && currentOrderedPcs.length > 0 ? currentOrderedPcs : (current ? Array.from(current.pcs) : [])).map((pc, i) => {
                       const present = pressedPCs.has(pc)
                       const cellStyle = present ? { background: 'var(--accent)', color: '#000' } : {}
-                      return (<td key={`n-${i}`} style={{padding:8,textAlign:'center',...cellStyle}}>{ROOTS[pc]}</td>)
+                      return (<td key={`n-${i}`} style={{padding:8,textAlign:'center',...cellStyle}}>{toneName(pc)}</td>)
                     })}
                   </tr>
                 </tbody>
@@ -930,7 +916,7 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
             <div style={{marginTop:6,fontSize:13,color:'var(--muted)'}}>
               <strong>Possible C chords:</strong>
               {allowedForC && allowedForC.length > 0 ? (
-                <span style={{marginLeft:8}}>{allowedForC.map(t => formatMatch({ root: 0, rootName: ROOTS[0], type: t.type, chordSize: t.size }, []).displayName).join(', ')}</span>
+                <span style={{marginLeft:8}}>{allowedForC.map(t => formatMatch({ root: 0, type: t.type, chordSize: t.size }, [], nameOptions).displayName).join(', ')}</span>
               ) : (
                 <span style={{marginLeft:8,opacity:0.7}}>none</span>
               )}
@@ -946,6 +932,7 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
               <button className="primary-btn" onClick={stop}>Stop</button>
             </div>
             <div style={{display:'flex',gap:8,alignItems:'center'}}>
+              <button className="primary-btn" onClick={() => { if (synth) synth.playChord(Array.from(currentTargetMids)) }} disabled={!synth || !current} title="Play the target chord">Audition</button>
               <button className="primary-btn" onClick={() => setShowStats(true)}>View Stats</button>
               <div style={{display:'flex',alignItems:'center',gap:8,marginLeft:6}} />
               <button
@@ -965,7 +952,7 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
                 }}
                 disabled={!allowedTemplates || allowedTemplates.length === 0}
               >
-                Skip (S)
+                {qwertyActive ? 'Skip (Shift+S)' : 'Skip (S)'}
               </button>
               <div style={{marginLeft:12}}>{countdown != null ? <span style={{fontSize:18,fontWeight:800}}>Starting in {countdown}…</span> : null}</div>
               <div style={{marginLeft:12,fontSize:13,color:'var(--muted)'}}>
@@ -1027,7 +1014,7 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
                         if (s.has(rIdx)) s.delete(rIdx); else s.add(rIdx)
                         return s
                       })
-                    }}>{rName}</button>
+                    }}>{spellPitchClass(rIdx, { keySignature })}</button>
                   ))}
                 </div>
               </div>
@@ -1063,8 +1050,8 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
                     }
                     const rnum = Number(rStr)
                     if (statsSelectedRoots && statsSelectedRoots.size > 0 && !statsSelectedRoots.has(rnum)) continue
-                    const fakeMatch = { root: rnum, rootName: ROOTS[rnum], type: t, chordSize: 0 }
-                    const fm = formatMatch(fakeMatch, [])
+                    const fakeMatch = { root: rnum, type: t, chordSize: 0 }
+                    const fm = formatMatch(fakeMatch, [], nameOptions)
                     const avg = o.correct ? Math.round(o.totalTimeMs / o.correct) : Infinity
                     const accuracy = o.attempts ? (o.correct / o.attempts) * 100 : 0
                     rows.push({ key, entry: o, type: t, root: rnum, fm, avg, accuracy })
@@ -1090,7 +1077,7 @@ export default function PlayTheChord({ pressedNotes, setKeyboardTargetPCs = () =
                     <tr key={r.key} style={{borderTop:'1px solid rgba(255,255,255,0.03)'}}>
                       <td style={{padding:6,overflow:'hidden',whiteSpace:'nowrap',textOverflow:'ellipsis'}}>{r.fm.displayName}</td>
                       <td style={{padding:6,overflow:'hidden',whiteSpace:'nowrap',textOverflow:'ellipsis'}}>{r.fm.longName}</td>
-                      <td style={{padding:6}}>{ROOTS[r.root]}</td>
+                      <td style={{padding:6}}>{spellPitchClass(r.root, { keySignature })}</td>
                       <td style={{padding:6}}>{`${r.accuracy.toFixed(1)}% (${r.entry.correct}/${r.entry.attempts})`}</td>
                       <td style={{padding:6}}>{r.entry.attempts}</td>
                       <td style={{padding:6}}>{r.entry.correct}</td>
@@ -11,8 +11,10 @@ function ensureArray(s) {
   return Array.from(s)
 }
 
-export default function Visualizer({ pressedNotes, shrinkOn = false, freezeOn = false }) {
+export default function Visualizer({ pressedNotes, activeNotes, shrinkOn = false, freezeOn = false }) {
   const pressedRef = useRef(new Set())
+  const activeNotesRef = useRef(activeNotes)
+  activeNotesRef.current = activeNotes
   const barsRef = useRef([])
   const barElsRef = useRef({}) // map id -> DOM element
   const rafRef = useRef(null)
@@ -56,7 +58,9 @@ export default function Visualizer({ pressedNotes, shrinkOn = false, freezeOn =
     }
   }
 
-  // start a new bar for a midi note
+  // start a new bar for a midi note. When the note event is available, its timestamp
+  // anchors the bar start (so bars reflect when the key was hit, not when React rendered)
+  // and its velocity drives the bar opacity.
   function startBar(midi) {
     if (freezeOnRef.current) return
     const keyEl = document.querySelector(`.keyboard .key[data-midi="${midi}"]`)
@@ -66,13 +70,17 @@ export default function Visualizer({ pressedNotes, shrinkOn = false, freezeOn =
     const width = keyRect.width
     const id = `${midi}-${Date.now()}-${Math.random().toString(36).slice(2,6)}`
     const now = performance.now()
+    const ev = activeNotesRef.current && activeNotesRef.current.get ? activeNotesRef.current.get(midi) : null
+    const startTime = ev && typeof ev.timestamp === 'number' && ev.timestamp <= now ? ev.timestamp : now
+    const velocity = ev && typeof ev.velocity === 'number' ? ev.velocity : 127
     const bar = {
       id,
       midi,
       left,
       width,
       isBlack: keyEl.classList.contains('black'),
-      startTime: now,
+      startTime,
+      velocity,
       releaseTime: null,
       released: false,
       baseHeight: 4,
@@ -410,7 +418,7 @@ export default function Visualizer({ pressedNotes, shrinkOn = false, freezeOn =
             borderBottomLeftRadius: b.released ? '6px' : '0px',
             borderBottomRightRadius: b.released ? '6px' : '0px',
             pointerEvents: 'none',
-            opacity: 1,
+            opacity: 0.35 + 0.65 * (Math.max(0, Math.min(127, b.velocity)) / 127),
             zIndex: b.isBlack ? 30 : 10,
             transition: 'border-radius .12s ease, opacity .18s linear'
           }}
@@ -0,0 +1,22 @@
+// Shared AudioContext for the synth and the sample player, created lazily on first use.
+// Browsers start a context created outside a user gesture (e.g. from a MIDI message)
+// suspended; it is resumed on the next pointer or key press.
+
+let ctx = null
+
+export function getAudioContext() {
+  if (ctx) return ctx
+  const AC = typeof window !== 'undefined' ? (window.AudioContext || window.webkitAudioContext) : null
+  if (!AC) return null
+  ctx = new AC()
+  if (ctx.state === 'suspended') {
+    const resume = () => {
+      if (ctx.state === 'suspended') ctx.resume().catch(() => {})
+      window.removeEventListener('pointerdown', resume)
+      window.removeEventListener('keydown', resume)
+    }
+    window.addEventListener('pointerdown', resume)
+    window.addEventListener('keydown', resume)
+  }
+  return ctx
+}
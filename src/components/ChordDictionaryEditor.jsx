@@ -0,0 +1,141 @@
+import React, { useMemo, useRef, useState } from 'react'
+import { CHORD_CATEGORIES, listChordTypes, intervalName } from '../lib/chords'
+import { validateChordDictionary, exportChordDictionary, chordDictionaryFileName, emptyChordDictionary } from '../lib/chordDictionary'
+
+const fieldStyle = { padding:'4px 6px', borderRadius:6, border:'1px solid rgba(255,255,255,0.06)', background:'transparent', color:'var(--muted)' }
+const btnStyle = { ...fieldStyle, padding:'4px 10px', cursor:'pointer', fontSize:12 }
+
+const parseFormula = (text) => text.split(/[\s,]+/).filter(Boolean).map(Number)
+
+function download(dictionary) {
+  const blob = new Blob([exportChordDictionary(dictionary)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = chordDictionaryFileName(dictionary)
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Chord dictionary editor shown in Settings: add, edit and disable chord types, and share the
+// user's dictionary as JSON. The dictionary is owned by App (lib/chordDictionary.js).
+export default function ChordDictionaryEditor({ dictionary, onChange = () => {} }) {
+  const types = useMemo(() => listChordTypes(), [dictionary])
+  const [filter, setFilter] = useState('')
+  const [draft, setDraft] = useState(null) // { key, isNew, formula, suffix, longName, priority, tags }
+  const [message, setMessage] = useState('')
+  const fileRef = useRef(null)
+  const entries = dictionary.types || {}
+
+  const commit = (next, note = '') => {
+    try {
+      onChange(validateChordDictionary(next))
+      setMessage(note)
+      return true
+    } catch (err) {
+      setMessage(err.message || String(err))
+      return false
+    }
+  }
+
+  const setEntry = (key, entry) => {
+    const nextTypes = { ...entries }
+    if (entry && Object.keys(entry).length > 0) nextTypes[key] = entry
+    else delete nextTypes[key]
+    return commit({ ...dictionary, types: nextTypes })
+  }
+
+  const toggleDisabled = (t) => {
+    const { disabled, ...rest } = entries[t.key] || {}
+    setEntry(t.key, t.disabled ? rest : { ...rest, disabled: true })
+  }
+
+  const startEdit = (t) => setDraft({ key: t.key, isNew: false, formula: t.formula.join(' '), suffix: t.suffix, longName: t.longName, priority: t.priority, tags: t.tags })
+  const startNew = () => setDraft({ key: '', isNew: true, formula: '0 4 7', suffix: '', longName: '', priority: types.length, tags: [] })
+
+  const saveDraft = () => {
+    const key = draft.key.trim()
+    if (!key) { setMessage('Give the chord type a name'); return }
+    if (draft.isNew && types.some(t => t.key === key)) { setMessage(`There is already a chord type "${key}"`); return }
+    const current = types.find(t => t.key === key)
+    const entry = { ...(entries[key] || {}) }
+    const formula = parseFormula(draft.formula)
+    if (!current || formula.join(' ') !== current.formula.join(' ')) entry.formula = formula
+    if (!current || draft.suffix !== current.suffix) entry.suffix = draft.suffix
+    if (!current || draft.longName !== current.longName) entry.longName = draft.longName
+    if (!current || Number(draft.priority) !== current.priority) entry.priority = Number(draft.priority)
+    if (!current || draft.tags.join(' ') !== current.tags.join(' ')) entry.tags = draft.tags
+    if (setEntry(key, entry)) setDraft(null)
+  }
+
+  const importFile = async (file) => {
+    if (!file) return
+    try {
+      const next = validateChordDictionary(await file.text())
+      commit(next, `Imported ${Object.keys(next.types).length} chord type(s) from ${file.name}`)
+    } catch (err) {
+      setMessage(`${file.name}: ${err.message || err}`)
+    }
+  }
+
+  const shown = types.filter(t => !filter || `${t.key} ${t.longName} ${t.suffix}`.toLowerCase().includes(filter.toLowerCase()))
+
+  return (
+    <div style={{display:'flex',flexDirection:'column',gap:8}}>
+      <div style={{display:'flex',gap:6,alignItems:'center',flexWrap:'wrap'}}>
+        <input value={dictionary.name || ''} onChange={e => commit({ ...dictionary, name: e.target.value })} placeholder="Dictionary name" style={{...fieldStyle,width:140}} />
+        <button style={btnStyle} onClick={() => download(dictionary)} title="Download your additions and changes as a JSON dictionary">Export</button>
+        <button style={btnStyle} onClick={() => fileRef.current && fileRef.current.click()} title="Replace your dictionary with a JSON dictionary file">Import</button>
+        <input ref={fileRef} type="file" accept=".json,application/json" style={{display:'none'}} onChange={e => { importFile(e.target.files && e.target.files[0]); e.target.value = '' }} />
+        <button style={btnStyle} onClick={() => commit(emptyChordDictionary(), 'Restored the built-in chord types')} title="Remove all additions and changes">Reset</button>
+        <button style={btnStyle} onClick={startNew}>New type</button>
+        <input value={filter} onChange={e => setFilter(e.target.value)} placeholder="Filter" style={{...fieldStyle,width:90,marginLeft:'auto'}} />
+      </div>
+      {message && <div style={{fontSize:12,color:'var(--muted)'}}>{message}</div>}
+
+      {draft && (
+        <div style={{display:'flex',flexDirection:'column',gap:6,padding:8,borderRadius:6,border:'1px solid rgba(255,255,255,0.06)'}}>
+          <div style={{display:'flex',gap:6,alignItems:'center',flexWrap:'wrap'}}>
+            <input value={draft.key} disabled={!draft.isNew} onChange={e => setDraft({ ...draft, key: e.target.value })} placeholder="Type key, e.g. 7#9" title="Internal name of the chord type" style={{...fieldStyle,width:90}} />
+            <input value={draft.formula} onChange={e => setDraft({ ...draft, formula: e.target.value })} placeholder="0 4 7 10 15" title="Semitones above the root (0-23)" style={{...fieldStyle,width:130}} />
+            <input value={draft.suffix} onChange={e => setDraft({ ...draft, suffix: e.target.value })} placeholder="Suffix" title="Shown after the root, e.g. ⁷⁺⁹" style={{...fieldStyle,width:70}} />
+            <input value={draft.longName} onChange={e => setDraft({ ...draft, longName: e.target.value })} placeholder="Long name" style={{...fieldStyle,flex:1,minWidth:120}} />
+            <label style={{fontSize:12}}>Priority</label>
+            <input type="number" min={0} value={draft.priority} onChange={e => setDraft({ ...draft, priority: Math.max(0, Math.round(Number(e.target.value) || 0)) })} title="Position in the recognition order (0 = preferred first)" style={{...fieldStyle,width:52}} />
+          </div>
+          <div style={{display:'flex',gap:8,flexWrap:'wrap',fontSize:12}}>
+            {Object.keys(CHORD_CATEGORIES).map(tag => (
+              <label key={tag} style={{display:'flex',alignItems:'center',gap:4}}>
+                <input type="checkbox" checked={draft.tags.includes(tag)} onChange={e => setDraft({ ...draft, tags: e.target.checked ? draft.tags.concat(tag) : draft.tags.filter(t => t !== tag) })} />
+                {CHORD_CATEGORIES[tag].label}
+              </label>
+            ))}
+          </div>
+          <div style={{display:'flex',gap:6}}>
+            <button style={btnStyle} onClick={saveDraft}>Save</button>
+            <button style={btnStyle} onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{maxHeight:260,overflowY:'auto',display:'flex',flexDirection:'column',gap:2}}>
+        {shown.map(t => (
+          <div key={t.key} style={{display:'flex',gap:8,alignItems:'center',fontSize:12,opacity:t.disabled ? 0.5 : 1}}>
+            <input type="checkbox" checked={!t.disabled} onChange={() => toggleDisabled(t)} title={t.disabled ? 'Enable this chord type' : 'Disable this chord type'} />
+            <span style={{width:24,textAlign:'right'}}>{t.priority}</span>
+            <span style={{width:70,fontWeight:600}}>C{t.suffix}</span>
+            <span style={{flex:1,minWidth:0,overflow:'hidden',whiteSpace:'nowrap',textOverflow:'ellipsis'}} title={`${t.key}: ${t.formula.join(' ')}`}>{t.longName} · {t.formula.map(i => intervalName(i, t.key)).join(' ')}</span>
+            {!t.builtIn && <span style={{color:'var(--accent)'}}>custom</span>}
+            {t.builtIn && entries[t.key] && <span>changed</span>}
+            <button style={btnStyle} onClick={() => startEdit(t)}>Edit</button>
+            {entries[t.key] && (
+              <button style={btnStyle} onClick={() => setEntry(t.key, null)} title={t.builtIn ? 'Restore the built-in definition' : 'Remove this chord type'}>{t.builtIn ? 'Restore' : 'Remove'}</button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
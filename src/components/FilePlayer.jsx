@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from 'react'
+
+const btnStyle = { padding:'4px 10px', borderRadius:6, border:'1px solid rgba(255,255,255,0.06)', background:'transparent', color:'var(--muted)', cursor:'pointer' }
+const RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2]
+
+function formatTime(ms) {
+  const s = Math.floor((ms || 0) / 1000)
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`
+}
+
+// Transport for a loaded MIDI file (or recorded take): play / pause / stop, seek,
+// A-B loop, speed and track / channel selection. Playback itself lives in
+// midiFilePlayer.js; App owns the player and passes its status down.
+export default function FilePlayer({ player, name = '', timeline, status = { playing: false, position: 0 }, onClose = () => {} }) {
+  const [rate, setRate] = useState(1)
+  const [loopOn, setLoopOn] = useState(false)
+  const [loop, setLoop] = useState({ start: 0, end: 0 })
+  const [offTracks, setOffTracks] = useState([])
+  const [offChannels, setOffChannels] = useState([])
+
+  // reset transport options when a new file is loaded
+  useEffect(() => {
+    setRate(1)
+    setLoopOn(false)
+    setLoop({ start: 0, end: timeline.durationMs })
+    setOffTracks([])
+    setOffChannels([])
+  }, [timeline])
+
+  useEffect(() => { player.setRate(rate) }, [player, rate])
+  useEffect(() => { player.setLoop(loopOn ? loop : null) }, [player, loopOn, loop])
+  useEffect(() => {
+    const trackList = timeline.tracks.map(tr => tr.index).filter(i => !offTracks.includes(i))
+    const channelList = Array.from({ length: 16 }, (_, i) => i).filter(c => !offChannels.includes(c))
+    player.setFilter({ tracks: offTracks.length ? trackList : null, channels: offChannels.length ? channelList : null })
+  }, [player, timeline, offTracks, offChannels])
+
+  const channels = Array.from(new Set(timeline.tracks.flatMap(tr => tr.channels))).sort((a, b) => a - b)
+  const toggle = (list, setList, value) => setList(list.includes(value) ? list.filter(v => v !== value) : list.concat(value))
+  const position = Math.min(status.position, timeline.durationMs)
+
+  return (
+    <div className="file-player">
+      <div style={{display:'flex',gap:8,alignItems:'center',flexWrap:'wrap'}}>
+        <span style={{fontWeight:600,maxWidth:220,overflow:'hidden',textOverflow:'ellipsis',whiteSpace:'nowrap'}} title={name}>{name}</span>
+        <button style={btnStyle} onClick={() => (status.playing ? player.pause() : player.play())} title={status.playing ? 'Pause' : 'Play'}>{status.playing ? '❚❚' : '▶'}</button>
+        <button style={btnStyle} onClick={() => player.stop()} title="Stop and return to the start">■</button>
+        <input type="range" min={0} max={Math.max(1, Math.round(timeline.durationMs))} value={Math.round(position)} onChange={e => player.seek(Number(e.target.value))} style={{flex:1,minWidth:120}} />
+        <span style={{fontSize:12,fontVariantNumeric:'tabular-nums'}}>{formatTime(position)} / {formatTime(timeline.durationMs)}</span>
+        <select value={rate} onChange={e => setRate(Number(e.target.value))} title="Playback speed" style={{padding:'4px 6px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+          {RATES.map(r => <option key={r} value={r}>{Math.round(r * 100)}%</option>)}
+        </select>
+        <button style={btnStyle} onClick={onClose} title="Stop playback and close the file">✕</button>
+      </div>
+      <div style={{display:'flex',gap:8,alignItems:'center',flexWrap:'wrap',marginTop:8,fontSize:12}}>
+        <div className={`toggle ${loopOn ? 'active' : ''}`} onClick={() => setLoopOn(v => !v)} title="Loop between A and B">{`Loop: ${loopOn ? 'ON' : 'OFF'}`}</div>
+        <button style={btnStyle} onClick={() => setLoop(l => ({ start: position, end: l.end > position ? l.end : timeline.durationMs }))} title="Set loop start to the current position">A {formatTime(loop.start)}</button>
+        <button style={btnStyle} onClick={() => setLoop(l => ({ start: l.start < position ? l.start : 0, end: position }))} title="Set loop end to the current position">B {formatTime(loop.end)}</button>
+        {timeline.tracks.length > 1 && (
+          <>
+            <span style={{marginLeft:8}}>Tracks</span>
+            {timeline.tracks.map(tr => (
+              <div key={tr.index} className={`toggle ${offTracks.includes(tr.index) ? '' : 'active'}`} onClick={() => toggle(offTracks, setOffTracks, tr.index)} title={`${tr.noteCount} notes`}>{tr.name}</div>
+            ))}
+          </>
+        )}
+        {channels.length > 1 && (
+          <>
+            <span style={{marginLeft:8}}>Channels</span>
+            {channels.map(ch => (
+              <div key={ch} className={`toggle ${offChannels.includes(ch) ? '' : 'active'}`} onClick={() => toggle(offChannels, setOffChannels, ch)} title={ch === 9 ? 'Channel 10 (usually drums)' : `Channel ${ch + 1}`}>{ch + 1}</div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,7 +1,10 @@
 import React, { useRef, useState, useMemo } from 'react'
+import { makeNoteEvent } from '../midi'
 
 const LOWEST = 21
 const HIGHEST = 108
+// fixed velocity for pointer / keyboard-focus presses (no pressure information available)
+const POINTER_VELOCITY = 100
 
 const isBlackKey = (midi) => {
   const mod = midi % 12
@@ -15,7 +18,7 @@ function midiToLabel(midi) {
   return `${name}${octave}`
 }
 
-export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightChange, targetPCs = new Set(), targetMidis = new Set(), mode = 'chord', labelMode: labelModeProp, onLabelModeChange, collapsed: collapsedProp, onCollapsedChange }) {
+export default function Keyboard({ pressedNotes, sustainedNotes, zones = [], resetKey, onNoteOn, onNoteOff, onHeightChange, targetPCs = new Set(), targetMidis = new Set(), dimPCs = null, mode = 'chord', labelMode: labelModeProp, onLabelModeChange, collapsed: collapsedProp, onCollapsedChange }) {
   const keys = []
   for (let n = LOWEST; n <= HIGHEST; n++) keys.push(n)
 
@@ -29,8 +32,23 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
   const setLabelMode = typeof onLabelModeChange === 'function' ? onLabelModeChange : setInternalLabelMode
   const [localPressed, setLocalPressed] = useState(() => new Set())
   const pointerMapRef = useRef(new Map())
+
+  // on-screen presses produce the same note-event shape as MIDI input
+  const emitNoteOn = (n, e) => {
+    if (typeof onNoteOn === 'function') onNoteOn(makeNoteEvent(n, { velocity: POINTER_VELOCITY, timestamp: e && e.timeStamp, source: 'keyboard' }))
+  }
+  const emitNoteOff = (n, e) => {
+    if (typeof onNoteOff === 'function') onNoteOff(makeNoteEvent(n, { velocity: 0, timestamp: e && e.timeStamp, source: 'keyboard' }))
+  }
   const lastMoveRef = useRef(0)
 
+  // panic: drop any on-screen presses still held by pointers
+  React.useEffect(() => {
+    if (!resetKey) return
+    pointerMapRef.current.clear()
+    setLocalPressed(new Set())
+  }, [resetKey])
+
   // compute combined pressed set (global MIDI + local pointer presses)
   const combinedPressed = useMemo(() => {
     const s = new Set()
@@ -61,6 +79,18 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
 
   
 
+  // colour strip per key showing which split / layer zones it belongs to
+  const zoneBackground = useMemo(() => {
+    const m = new Map()
+    if (!zones || zones.length === 0) return m
+    for (const n of keys) {
+      const colors = zones.filter(z => n >= z.lo && n <= z.hi).map(z => z.color)
+      if (colors.length === 1) m.set(n, colors[0])
+      else if (colors.length > 1) m.set(n, `linear-gradient(90deg, ${colors.map((c, i) => `${c} ${(i * 100) / colors.length}% ${((i + 1) * 100) / colors.length}%`).join(', ')})`)
+    }
+    return m
+  }, [zones])
+
   const showLabelFor = (n) => {
     if (labelMode === 'none') return ''
     const names = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B']
@@ -94,10 +124,11 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
             {keys.map((n) => {
               const black = isBlackKey(n)
               const active = combinedPressed.has(n)
+              const sustained = !active && !!sustainedNotes && sustainedNotes.has(n)
               const isTarget = computedTargetMidis.has(n)
               const pc = ((n % 12) + 12) % 12
               const wrong = combinedPressed.has(n) && (detectionTargetPCs && detectionTargetPCs.size > 0) && !detectionTargetPCs.has(pc)
-              const cls = `${black ? 'black' : 'white'} key ${active ? 'active' : ''} ${isTarget ? 'target' : ''} ${wrong ? 'wrong' : ''}`
+              const cls = `${black ? 'black' : 'white'} key ${active ? 'active' : ''} ${sustained ? 'sustained' : ''} ${isTarget ? 'target' : ''} ${wrong ? 'wrong' : ''} ${dimPCs && dimPCs.has(pc) ? 'out-of-key' : ''}`
 
               const handlePointerDown = (e) => {
                 e.preventDefault()
@@ -108,7 +139,7 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
                   s.add(n)
                   return s
                 })
-                if (typeof onNoteOn === 'function') onNoteOn(n)
+                emitNoteOn(n, e)
               }
 
               const handlePointerMove = (e) => {
@@ -135,7 +166,7 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
                         s.delete(prev)
                         return s
                       })
-                      if (typeof onNoteOff === 'function') onNoteOff(prev)
+                      emitNoteOff(prev, e)
                     }
                     pointerMapRef.current.set(pid, midi)
                     setLocalPressed(prevSet => {
@@ -143,7 +174,7 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
                       s.add(midi)
                       return s
                     })
-                    if (typeof onNoteOn === 'function') onNoteOn(midi)
+                    emitNoteOn(midi, e)
                   }
                 } else {
                   // not over any key; if we had a previous note for this pointer, release it
@@ -154,7 +185,7 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
                       s.delete(prev)
                       return s
                     })
-                    if (typeof onNoteOff === 'function') onNoteOff(prev)
+                    emitNoteOff(prev, e)
                   }
                 }
               }
@@ -168,7 +199,7 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
                     s.delete(note)
                     return s
                   })
-                  if (typeof onNoteOff === 'function') onNoteOff(note)
+                  emitNoteOff(note, e)
                 }
                 try { e.currentTarget.releasePointerCapture(e.pointerId) } catch (err) {}
               }
@@ -182,7 +213,7 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
                     s.delete(note)
                     return s
                   })
-                  if (typeof onNoteOff === 'function') onNoteOff(note)
+                  emitNoteOff(note, e)
                 }
               }
 
@@ -195,7 +226,7 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
                     s.add(n)
                     return s
                   })
-                  if (typeof onNoteOn === 'function') onNoteOn(n)
+                  emitNoteOn(n, e)
                 }
               }
 
@@ -207,7 +238,7 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
                     s.delete(n)
                     return s
                   })
-                  if (typeof onNoteOff === 'function') onNoteOff(n)
+                  emitNoteOff(n, e)
                 }
               }
 
@@ -226,6 +257,7 @@ export default function Keyboard({ pressedNotes, onNoteOn, onNoteOff, onHeightCh
                   onKeyDown={handleKeyDown}
                   onKeyUp={handleKeyUp}
                 >
+                  {zoneBackground.has(n) && <div className="zone-strip" style={{background: zoneBackground.get(n)}} />}
                   <div className="label">{showLabelFor(n)}</div>
                 </div>
               )
@@ -0,0 +1,62 @@
+import React from 'react'
+import { isInputEnabled } from '../midi'
+
+const CHANNELS = Array.from({ length: 16 }, (_, i) => i)
+
+// Device manager shown in Settings: enable/disable each MIDI input and pick which
+// channels it listens on. Preferences are owned by App (persisted via saveDevicePrefs).
+export default function MidiDevices({ devices = [], prefs = {}, onChange = () => {} }) {
+  const update = (dev, patch) => {
+    const prev = prefs[dev.id] || { enabled: true, channels: null }
+    onChange({ ...prefs, [dev.id]: { ...prev, name: dev.name, ...patch } })
+  }
+
+  const toggleChannel = (dev, ch) => {
+    const p = prefs[dev.id]
+    // null = omni; the first click narrows to every channel except the clicked one
+    const current = p && Array.isArray(p.channels) ? p.channels : CHANNELS
+    const next = current.includes(ch) ? current.filter(c => c !== ch) : current.concat(ch).sort((a, b) => a - b)
+    update(dev, { channels: next.length === CHANNELS.length ? null : next })
+  }
+
+  // previously seen devices that are not currently present are listed as disconnected
+  const known = devices.slice()
+  for (const id of Object.keys(prefs)) {
+    if (!known.some(d => d.id === id)) known.push({ id, name: prefs[id].name || id, manufacturer: '', state: 'disconnected' })
+  }
+
+  if (known.length === 0) return <div style={{fontSize:13}}>No MIDI inputs detected</div>
+
+  return (
+    <div style={{display:'flex',flexDirection:'column',gap:10}}>
+      {known.map(dev => {
+        const p = prefs[dev.id]
+        const enabled = isInputEnabled(prefs, dev.id)
+        const channels = p && Array.isArray(p.channels) ? p.channels : null
+        return (
+          <div key={dev.id} style={{display:'flex',flexDirection:'column',gap:6,opacity:dev.state === 'connected' ? 1 : 0.6}}>
+            <label style={{display:'flex',alignItems:'center',gap:8,fontSize:13}}>
+              <input type="checkbox" checked={enabled} onChange={e => update(dev, { enabled: e.target.checked })} />
+              <span style={{fontWeight:600}}>{dev.name}</span>
+              <span style={{fontSize:11}}>{dev.manufacturer ? `${dev.manufacturer} • ` : ''}{dev.state}</span>
+            </label>
+            <div style={{display:'flex',flexWrap:'wrap',gap:4,alignItems:'center'}}>
+              <div className={`toggle ${channels === null ? 'active' : ''}`} onClick={() => enabled && update(dev, { channels: null })} title="Listen on all channels">All</div>
+              {CHANNELS.map(ch => (
+                <div
+                  key={ch}
+                  className={`toggle ${channels === null || channels.includes(ch) ? 'active' : ''}`}
+                  onClick={() => enabled && toggleChannel(dev, ch)}
+                  title={`MIDI channel ${ch + 1}`}
+                  style={{padding:'2px 6px',fontSize:11,opacity:enabled ? 1 : 0.5}}
+                >
+                  {ch + 1}
+                </div>
+              ))}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -1,6 +1,15 @@
 import React, { useEffect, useState } from 'react'
+import MidiDevices from './MidiDevices'
+import Takes from './Takes'
+import VirtualDevicePanel from './VirtualDevicePanel'
+import ZoneSettings from './ZoneSettings'
+import ChordDictionaryEditor from './ChordDictionaryEditor'
+import { QWERTY_MIN_BASE, QWERTY_MAX_BASE } from '../qwertyInput'
+import { SYNTH_PRESETS } from '../synth'
+import { KEY_SIGNATURES } from '../lib/spelling'
+import { NOTATION_STYLES, KEY_STYLES, KEYS, AUTO_KEY } from '../lib/notation'
 
-export default function Settings({ open = false, onClose = () => {}, app = '', shrinkOn = false }) {
+export default function Settings({ open = false, onClose = () => {}, app = '', shrinkOn = false, noteSource = 'sounding', onNoteSourceChange = () => {}, midiDevices = [], devicePrefs = {}, onDevicePrefsChange = () => {}, midiOutputs = [], outputPrefs = { id: null, channel: 0, thru: false }, onOutputPrefsChange = () => {}, qwertySettings = null, onQwertySettingsChange = () => {}, synthSettings = null, onSynthSettingsChange = () => {}, sampleLibraries = [], sampleStatus = '', onLoadSampleFiles = () => {}, onDeleteSampleLibrary = () => {}, takes = [], onRenameTake = () => {}, onDeleteTake = () => {}, onPlayTake = () => {}, virtualDevice = null, virtualStatus = undefined, zoneSettings = null, onZoneSettingsChange = () => {}, keySignature = null, onKeySignatureChange = () => {}, notation = null, onNotationChange = () => {}, dimOutOfKey = false, onDimOutOfKeyChange = () => {}, chordDictionary = null, onChordDictionaryChange = () => {} }) {
   const DEFAULT_WHITE = 40
   const DEFAULT_BLACK = 25
   const DEFAULT_VIS_SPEED = 120
@@ -162,6 +171,176 @@ export default function Settings({ open = false, onClose = () => {}, app = '', s
             <input type="number" value={blackWidth} onChange={e => onBlackChange(e.target.value)} style={{width:48,flex:'0 0 48px',padding:'6px 8px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}} />
           </div>
 
+          {synthSettings && (
+            <>
+              <div style={{fontWeight:600}}>Sound</div>
+              <div style={{display:'flex',flexDirection:'column',gap:6}}>
+                <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                  <select value={synthSettings.engine || 'synth'} onChange={e => onSynthSettingsChange({ ...synthSettings, engine: e.target.value })} style={{flex:1,padding:'4px 6px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+                    <option value="synth">Synthesizer</option>
+                    <option value="sampler">Sample library (SF2 / SFZ)</option>
+                  </select>
+                </div>
+                {synthSettings.engine === 'sampler' && (
+                  <>
+                    <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                      <select value={synthSettings.library || ''} onChange={e => onSynthSettingsChange({ ...synthSettings, library: e.target.value || null })} style={{flex:1,minWidth:0,padding:'4px 6px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+                        <option value="">(none)</option>
+                        {sampleLibraries.map(name => <option key={name} value={name}>{name}</option>)}
+                      </select>
+                      <button disabled={!synthSettings.library} onClick={() => onDeleteSampleLibrary(synthSettings.library)} title="Remove this library from the browser cache" style={{padding:'4px 8px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>Delete</button>
+                    </div>
+                    <input type="file" multiple accept=".sf2,.sfz,.wav,.flac,.ogg,.mp3" title="Pick one .sf2 file, or an .sfz file together with its samples" onChange={e => { if (e.target.files && e.target.files.length) onLoadSampleFiles(e.target.files); e.target.value = '' }} style={{fontSize:12,color:'var(--muted)'}} />
+                    <div style={{fontSize:12,color:'var(--muted)'}}>{sampleStatus || 'Pick an .sf2, or an .sfz with its samples. Libraries are cached in this browser.'}</div>
+                  </>
+                )}
+                <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                  <select value={synthSettings.preset} disabled={synthSettings.engine === 'sampler'} onChange={e => onSynthSettingsChange({ ...synthSettings, preset: e.target.value })} style={{flex:1,padding:'4px 6px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+                    {Object.keys(SYNTH_PRESETS).map(k => <option key={k} value={k}>{SYNTH_PRESETS[k].label}</option>)}
+                  </select>
+                  <label style={{fontSize:12,display:'flex',alignItems:'center',gap:6}}>
+                    <input type="checkbox" checked={!!synthSettings.muted} onChange={e => onSynthSettingsChange({ ...synthSettings, muted: e.target.checked })} />
+                    Mute
+                  </label>
+                </div>
+                <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                  <label style={{fontSize:12}}>Volume</label>
+                  <input type="range" min={0} max={100} value={Math.round(synthSettings.volume * 100)} onChange={e => onSynthSettingsChange({ ...synthSettings, volume: (Number(e.target.value) || 0) / 100 })} onDoubleClick={() => onSynthSettingsChange({ ...synthSettings, volume: 0.7 })} disabled={synthSettings.muted} style={{flex:1, minWidth:0}} />
+                  <span style={{fontSize:12,width:28,textAlign:'right'}}>{Math.round(synthSettings.volume * 100)}</span>
+                </div>
+              </div>
+            </>
+          )}
+
+          <div style={{fontWeight:600,gridColumn:'1 / -1',marginTop:4}}>MIDI input devices</div>
+          <div style={{gridColumn:'1 / -1'}}>
+            <MidiDevices devices={midiDevices} prefs={devicePrefs} onChange={onDevicePrefsChange} />
+          </div>
+
+          <div style={{fontWeight:600}}>MIDI output</div>
+          <div style={{display:'flex',flexDirection:'column',gap:6}}>
+            <select value={outputPrefs.id || ''} onChange={e => onOutputPrefsChange({ ...outputPrefs, id: e.target.value || null })} style={{padding:'6px 8px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+              <option value="">None</option>
+              {midiOutputs.map(o => (
+                <option key={o.id} value={o.id}>{o.name}{o.state === 'disconnected' ? ' (disconnected)' : ''}</option>
+              ))}
+            </select>
+            <div style={{display:'flex',gap:8,alignItems:'center'}}>
+              <label style={{fontSize:12}}>Channel</label>
+              <select value={outputPrefs.channel} onChange={e => onOutputPrefsChange({ ...outputPrefs, channel: Number(e.target.value) })} style={{padding:'4px 6px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+                {Array.from({ length: 16 }, (_, i) => <option key={i} value={i}>{i + 1}</option>)}
+              </select>
+              <label style={{fontSize:12,display:'flex',alignItems:'center',gap:6,marginLeft:'auto'}} title="Echo incoming notes to the output port">
+                <input type="checkbox" checked={!!outputPrefs.thru} onChange={e => onOutputPrefsChange({ ...outputPrefs, thru: e.target.checked })} />
+                MIDI thru
+              </label>
+            </div>
+          </div>
+
+          {qwertySettings && (
+            <>
+              <div style={{fontWeight:600}}>Computer keyboard input</div>
+              <div style={{display:'flex',flexDirection:'column',gap:6}}>
+                <label style={{fontSize:12,display:'flex',alignItems:'center',gap:6}} title="Z–/ and Q–P rows play notes; [ ] shift octave, - = transpose">
+                  <input type="checkbox" checked={!!qwertySettings.enabled} onChange={e => onQwertySettingsChange({ ...qwertySettings, enabled: e.target.checked })} />
+                  Play notes from the computer keyboard
+                </label>
+                <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                  <label style={{fontSize:12}}>Octave</label>
+                  <select value={qwertySettings.base} onChange={e => onQwertySettingsChange({ ...qwertySettings, base: Number(e.target.value) })} style={{padding:'4px 6px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+                    {Array.from({ length: (QWERTY_MAX_BASE - QWERTY_MIN_BASE) / 12 + 1 }, (_, i) => QWERTY_MIN_BASE + i * 12).map(b => (
+                      <option key={b} value={b}>C{Math.floor(b / 12) - 1}</option>
+                    ))}
+                  </select>
+                  <label style={{fontSize:12}}>Transpose</label>
+                  <input type="number" min={-12} max={12} value={qwertySettings.transpose} onChange={e => onQwertySettingsChange({ ...qwertySettings, transpose: Math.max(-12, Math.min(12, Number(e.target.value) || 0)) })} style={{width:48,padding:'4px 6px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}} />
+                </div>
+                <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                  <label style={{fontSize:12}}>Velocity</label>
+                  <input type="range" min={1} max={127} value={qwertySettings.velocity} onChange={e => onQwertySettingsChange({ ...qwertySettings, velocity: Number(e.target.value) || 1 })} onDoubleClick={() => onQwertySettingsChange({ ...qwertySettings, velocity: 100 })} style={{flex:1, minWidth:0}} />
+                  <span style={{fontSize:12,width:28,textAlign:'right'}}>{qwertySettings.velocity}</span>
+                </div>
+              </div>
+            </>
+          )}
+
+          {zoneSettings && (
+            <>
+              <div style={{fontWeight:600,gridColumn:'1 / -1',marginTop:4}}>Keyboard zones</div>
+              <div style={{gridColumn:'1 / -1'}}>
+                <ZoneSettings settings={zoneSettings} onChange={onZoneSettingsChange} />
+              </div>
+            </>
+          )}
+
+          {chordDictionary && (
+            <>
+              <div style={{fontWeight:600,gridColumn:'1 / -1',marginTop:4}}>Chord dictionary</div>
+              <div style={{gridColumn:'1 / -1'}}>
+                <ChordDictionaryEditor dictionary={chordDictionary} onChange={onChordDictionaryChange} />
+              </div>
+            </>
+          )}
+
+          {virtualDevice && (
+            <>
+              <div style={{fontWeight:600,gridColumn:'1 / -1',marginTop:4}}>Virtual device (scripted input)</div>
+              <div style={{gridColumn:'1 / -1'}}>
+                <VirtualDevicePanel device={virtualDevice} status={virtualStatus} />
+              </div>
+            </>
+          )}
+
+          <div style={{fontWeight:600,gridColumn:'1 / -1',marginTop:4}}>Recorded takes</div>
+          <div style={{gridColumn:'1 / -1'}}>
+            <Takes takes={takes} onRename={onRenameTake} onDelete={onDeleteTake} onPlay={onPlayTake} />
+          </div>
+
+          {(app === 'chord' || app === 'play') && (
+            <>
+              <div style={{fontWeight:600}}>Recognition input</div>
+              <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                <select value={noteSource} onChange={e => onNoteSourceChange(e.target.value)} title="Sounding notes include keys released while the sustain or sostenuto pedal is down" style={{flex:1,padding:'6px 8px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+                  <option value="sounding">Sounding notes (pedal aware)</option>
+                  <option value="held">Held keys only</option>
+                </select>
+              </div>
+            </>
+          )}
+
+          {(app === 'chord' || app === 'play') && (
+            <>
+              <div style={{fontWeight:600}}>Note spelling</div>
+              <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                <select value={keySignature == null ? '' : String(keySignature)} onChange={e => onKeySignatureChange(e.target.value === '' ? null : Number(e.target.value))} title="Key signature used to choose between enharmonic names such as A# and B♭" style={{flex:1,padding:'6px 8px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+                  <option value="">Automatic (fewest accidentals)</option>
+                  {KEY_SIGNATURES.map(k => <option key={k.value} value={k.value}>{k.label}</option>)}
+                </select>
+              </div>
+              <div style={{fontWeight:600}}>Chord notation</div>
+              <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                <select value={notation ? notation.style : 'house'} onChange={e => onNotationChange({ ...notation, style: e.target.value })} title="How chord names are written in Chord Recognition and Play the Chord" style={{flex:1,padding:'6px 8px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+                  {NOTATION_STYLES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                </select>
+              </div>
+              {notation && (app === 'chord' || KEY_STYLES.includes(notation.style)) && (
+                <>
+                  <div style={{fontWeight:600}}>Key</div>
+                  <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                    <select value={notation.key} onChange={e => onNotationChange({ ...notation, key: e.target.value })} title="Key that Roman numerals, Nashville numbers and the chord analysis count from" style={{flex:1,padding:'6px 8px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}>
+                      <option value={AUTO_KEY}>Automatic (estimated from the playing; C major in Play the Chord)</option>
+                      {KEYS.map(k => <option key={k.id} value={k.id}>{k.label}</option>)}
+                    </select>
+                  </div>
+                  <label style={{display:'flex',alignItems:'center',gap:8,fontSize:13}}>
+                    <input type="checkbox" checked={dimOutOfKey} onChange={e => onDimOutOfKeyChange(e.target.checked)} />
+                    Dim keys outside the key
+                  </label>
+                </>
+              )}
+            </>
+          )}
+
           {app === 'visualizer' && (
             <>
               <div style={{fontWeight:600}}>Visualizer speed (px/sec)</div>
@@ -0,0 +1,49 @@
+import React from 'react'
+import { takeToSMF, takeFileName } from '../recorder'
+
+const btnStyle = { padding:'4px 8px', borderRadius:6, border:'1px solid rgba(255,255,255,0.06)', background:'transparent', color:'var(--muted)', cursor:'pointer', fontSize:12 }
+
+function formatDuration(ms) {
+  const s = Math.round((ms || 0) / 1000)
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`
+}
+
+function download(take, format) {
+  const blob = new Blob([takeToSMF(take, format)], { type: 'audio/midi' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = takeFileName(take, format)
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Recorded takes shown in Settings: rename, play back, download as .mid (type 0 or 1) and delete.
+// The list itself is owned by App (stored via takeLibrary).
+export default function Takes({ takes = [], onRename = () => {}, onDelete = () => {}, onPlay = () => {} }) {
+  if (takes.length === 0) return <div style={{fontSize:13}}>No recorded takes yet. Use Rec in the footer to record.</div>
+
+  return (
+    <div style={{display:'flex',flexDirection:'column',gap:8}}>
+      {takes.map(take => {
+        const notes = take.events.filter(ev => ev.type === 'noteOn').length
+        return (
+          <div key={take.id} style={{display:'flex',gap:8,alignItems:'center',flexWrap:'wrap'}}>
+            <input
+              defaultValue={take.name}
+              onBlur={e => { const name = e.target.value.trim(); if (name && name !== take.name) onRename(take, name) }}
+              style={{flex:'1 1 160px',minWidth:0,padding:'4px 6px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)'}}
+            />
+            <span style={{fontSize:12,opacity:0.8}}>{formatDuration(take.durationMs)} · {notes} notes</span>
+            <button style={btnStyle} onClick={() => onPlay(take)} title="Play this take through the app">Play</button>
+            <button style={btnStyle} onClick={() => download(take, 0)} title="Download as a single-track Standard MIDI File">.mid</button>
+            <button style={btnStyle} onClick={() => download(take, 1)} title="Download as a multi-track Standard MIDI File (one track per channel)">.mid (type 1)</button>
+            <button style={btnStyle} onClick={() => onDelete(take)} title="Delete this take">Delete</button>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,36 @@
+import React, { useState } from 'react'
+
+const SCRIPT_KEY = 'virtual:script'
+const EXAMPLE_SCRIPT = `[
+  { "t": 0, "notes": ["C4", "E4", "G4"], "duration": 900 },
+  { "t": 1000, "notes": ["A3", "C4", "E4"], "duration": 900 },
+  { "t": 2000, "notes": ["F3", "A3", "C4", "E4"], "duration": 900 },
+  { "t": 3000, "notes": ["G3", "B3", "D4", "F4"], "duration": 900 }
+]`
+
+const btnStyle = { padding:'4px 10px', borderRadius:6, border:'1px solid rgba(255,255,255,0.06)', background:'transparent', color:'var(--muted)', cursor:'pointer' }
+
+// Settings panel for the virtual scripted device: edit a JSON script and replay it
+// through the input pipeline (format documented in virtualDevice.js).
+export default function VirtualDevicePanel({ device, status = { playing: false, error: '' } }) {
+  const [script, setScript] = useState(() => {
+    try { return localStorage.getItem(SCRIPT_KEY) || EXAMPLE_SCRIPT } catch (e) { return EXAMPLE_SCRIPT }
+  })
+
+  const run = () => {
+    try { localStorage.setItem(SCRIPT_KEY, script) } catch (e) {}
+    device.play(script).catch(() => {})
+  }
+
+  return (
+    <div style={{display:'flex',flexDirection:'column',gap:6}}>
+      <textarea value={script} onChange={e => setScript(e.target.value)} spellCheck={false} rows={7} style={{width:'100%',boxSizing:'border-box',fontFamily:'monospace',fontSize:12,padding:'6px 8px',borderRadius:6,border:'1px solid rgba(255,255,255,0.06)',background:'transparent',color:'var(--muted)',resize:'vertical'}} />
+      <div style={{display:'flex',gap:8,alignItems:'center'}}>
+        <button style={btnStyle} onClick={run}>{status.playing ? 'Restart' : 'Run'}</button>
+        <button style={btnStyle} onClick={() => device.stop()} disabled={!status.playing}>Stop</button>
+        <button style={btnStyle} onClick={() => setScript(EXAMPLE_SCRIPT)} title="Replace the script with the example">Example</button>
+        <span style={{fontSize:12,color:status.error ? '#ff7a7a' : 'var(--muted)'}}>{status.error || (status.playing ? 'Playing…' : '')}</span>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,61 @@
+import React, { useState } from 'react'
+import { ZONE_ROLES, ZONE_COLORS, ZONE_LOWEST, ZONE_HIGHEST, splitZones } from '../lib/zones'
+import { ROOTS } from '../lib/chords'
+
+const fieldStyle = { padding:'4px 6px', borderRadius:6, border:'1px solid rgba(255,255,255,0.06)', background:'transparent', color:'var(--muted)' }
+const btnStyle = { ...fieldStyle, padding:'4px 10px', cursor:'pointer' }
+
+const noteLabel = (n) => `${ROOTS[n % 12]}${Math.floor(n / 12) - 1}`
+const KEY_OPTIONS = Array.from({ length: ZONE_HIGHEST - ZONE_LOWEST + 1 }, (_, i) => ZONE_LOWEST + i)
+
+// Keyboard split / layer editor shown in Settings. Settings are owned by App (lib/zones.js).
+export default function ZoneSettings({ settings, onChange = () => {} }) {
+  const [splitPoint, setSplitPoint] = useState(60)
+  const zones = settings.zones || []
+
+  const updateZone = (id, patch) => onChange({ ...settings, zones: zones.map(z => (z.id === id ? { ...z, ...patch } : z)) })
+  const removeZone = (id) => onChange({ ...settings, zones: zones.filter(z => z.id !== id) })
+  const addZone = () => {
+    const id = `zone-${Date.now().toString(36)}`
+    const color = ZONE_COLORS[zones.length % ZONE_COLORS.length]
+    onChange({ ...settings, zones: zones.concat({ id, name: `Zone ${zones.length + 1}`, lo: ZONE_LOWEST, hi: ZONE_HIGHEST, transpose: 0, role: 'any', color }) })
+  }
+
+  return (
+    <div style={{display:'flex',flexDirection:'column',gap:8}}>
+      <div style={{display:'flex',gap:8,alignItems:'center',flexWrap:'wrap'}}>
+        <label style={{fontSize:12,display:'flex',alignItems:'center',gap:6}}>
+          <input type="checkbox" checked={!!settings.enabled} onChange={e => onChange({ ...settings, enabled: e.target.checked })} />
+          Split the keyboard into zones
+        </label>
+        <span style={{fontSize:12,marginLeft:'auto'}}>Split at</span>
+        <select value={splitPoint} onChange={e => setSplitPoint(Number(e.target.value))} style={fieldStyle}>
+          {KEY_OPTIONS.map(n => <option key={n} value={n}>{noteLabel(n)}</option>)}
+        </select>
+        <button style={btnStyle} onClick={() => onChange({ ...settings, enabled: true, zones: splitZones(splitPoint) })} title="Replace the zones with a left-hand / right-hand split">Apply split</button>
+      </div>
+      {zones.map(z => (
+        <div key={z.id} style={{display:'flex',gap:6,alignItems:'center',flexWrap:'wrap',opacity:settings.enabled ? 1 : 0.6}}>
+          <input type="color" value={z.color} onChange={e => updateZone(z.id, { color: e.target.value })} title="Zone colour" style={{width:28,height:24,padding:0,border:'none',background:'transparent'}} />
+          <input value={z.name} onChange={e => updateZone(z.id, { name: e.target.value })} style={{...fieldStyle,width:100}} />
+          <select value={z.lo} onChange={e => updateZone(z.id, { lo: Number(e.target.value) })} title="Lowest key" style={fieldStyle}>
+            {KEY_OPTIONS.map(n => <option key={n} value={n}>{noteLabel(n)}</option>)}
+          </select>
+          <span style={{fontSize:12}}>–</span>
+          <select value={z.hi} onChange={e => updateZone(z.id, { hi: Number(e.target.value) })} title="Highest key" style={fieldStyle}>
+            {KEY_OPTIONS.map(n => <option key={n} value={n}>{noteLabel(n)}</option>)}
+          </select>
+          <label style={{fontSize:12}}>Transpose</label>
+          <input type="number" min={-24} max={24} value={z.transpose} onChange={e => updateZone(z.id, { transpose: Math.max(-24, Math.min(24, Number(e.target.value) || 0)) })} style={{...fieldStyle,width:48}} />
+          <select value={z.role} onChange={e => updateZone(z.id, { role: e.target.value })} title="Role used by the apps" style={fieldStyle}>
+            {ZONE_ROLES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+          </select>
+          <button style={btnStyle} onClick={() => removeZone(z.id)} title="Remove zone">✕</button>
+        </div>
+      ))}
+      <div>
+        <button style={btnStyle} onClick={addZone} title="Add a zone (overlapping zones layer)">Add zone</button>
+      </div>
+    </div>
+  )
+}
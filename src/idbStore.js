@@ -0,0 +1,28 @@
+// Minimal IndexedDB access for the browser-side caches: one object store per database,
+// opened for each transaction and closed when it completes.
+// createIdbStore(dbName, storeName, storeOptions) returns withStore(mode, fn): fn gets the
+// object store and may return a request; the promise resolves to that request's result once
+// the transaction completes.
+
+export function createIdbStore(dbName, storeName, storeOptions) {
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB not available')); return }
+      const req = indexedDB.open(dbName, 1)
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(storeName)) req.result.createObjectStore(storeName, storeOptions)
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+  }
+
+  return function withStore(mode, fn) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode)
+      const req = fn(tx.objectStore(storeName))
+      tx.oncomplete = () => { db.close(); resolve(req ? req.result : undefined) }
+      tx.onerror = () => { db.close(); reject(tx.error) }
+    }))
+  }
+}
@@ -0,0 +1,91 @@
+import { makeNoteEvent, makePedalEvent } from './midi'
+
+// Note input sources.
+// Every producer of note events (Web MIDI, the on-screen keyboard, the computer keyboard,
+// MIDI file playback, the virtual scripted device) is a source:
+//   { id, label, start(sink) -> stop() }
+// sink = { noteOn(ev), noteOff(ev), pedal(ev), releaseDevice({ inputId, channel, reason }) }
+// with events built by makeNoteEvent / makePedalEvent. App registers sources with an input
+// hub, which forwards everything into the note pipeline. Sources only ever see the sink,
+// so any of them can be swapped for a fixture or a script.
+
+const noteKey = (ev) => `${ev.inputId != null ? ev.inputId : ev.source}:${ev.channel}:${ev.note}`
+const pedalKey = (ev) => `${ev.inputId != null ? ev.inputId : ev.source}:${ev.channel}:${ev.pedal}`
+
+// Wrap the hub sink for one source, remembering what it holds so unregistering the
+// source can release its notes and pedals even if it never sends the matching offs.
+function trackingSink(sink) {
+  const notes = new Map()
+  const pedals = new Map()
+  const matches = (ev, { inputId, channel }) => String(ev.inputId) === String(inputId) && (channel == null || ev.channel === channel)
+  return {
+    sink: {
+      noteOn(ev) { notes.set(noteKey(ev), ev); sink.noteOn(ev) },
+      noteOff(ev) { notes.delete(noteKey(ev)); sink.noteOff(ev) },
+      pedal(ev) {
+        if (ev.down) pedals.set(pedalKey(ev), ev); else pedals.delete(pedalKey(ev))
+        sink.pedal(ev)
+      },
+      releaseDevice(info) {
+        for (const [key, ev] of notes) if (matches(ev, info)) notes.delete(key)
+        if (info.channel == null) for (const [key, ev] of pedals) if (matches(ev, info)) pedals.delete(key)
+        sink.releaseDevice(info)
+      }
+    },
+    releaseAll() {
+      for (const ev of notes.values()) sink.noteOff(makeNoteEvent(ev.note, { channel: ev.channel, inputId: ev.inputId, source: ev.source }))
+      for (const ev of pedals.values()) sink.pedal(makePedalEvent(ev.pedal, 0, { channel: ev.channel, inputId: ev.inputId, source: ev.source }))
+      notes.clear()
+      pedals.clear()
+    }
+  }
+}
+
+export function createInputHub(sink) {
+  const entries = new Map() // id -> { source, stop, tracker }
+
+  function unregister(id) {
+    const entry = entries.get(id)
+    if (!entry) return
+    entries.delete(id)
+    try { if (typeof entry.stop === 'function') entry.stop() } catch (e) { console.warn('Input source stop failed', id, e) }
+    entry.tracker.releaseAll()
+  }
+
+  return {
+    // start a source; returns a function that stops and unregisters it (handy as an effect cleanup)
+    register(source) {
+      unregister(source.id)
+      const tracker = trackingSink(sink)
+      entries.set(source.id, { source, stop: null, tracker })
+      const stop = source.start(tracker.sink)
+      if (entries.has(source.id)) entries.get(source.id).stop = stop
+      return () => {
+        const entry = entries.get(source.id)
+        if (entry && entry.source === source) unregister(source.id)
+      }
+    },
+    unregister,
+    list() {
+      return Array.from(entries.values()).map(({ source }) => ({ id: source.id, label: source.label || source.id }))
+    }
+  }
+}
+
+// Source for producers that push events themselves (on-screen keyboard, file playback).
+// The returned source doubles as the emitter: call source.noteOn(ev) etc. Events sent
+// while the source is not registered are dropped.
+export function createPushSource({ id, label = id } = {}) {
+  let sink = null
+  return {
+    id,
+    label,
+    start(next) {
+      sink = next
+      return () => { sink = null }
+    },
+    noteOn: (ev) => { if (sink) sink.noteOn(ev) },
+    noteOff: (ev) => { if (sink) sink.noteOff(ev) },
+    pedal: (ev) => { if (sink) sink.pedal(ev) }
+  }
+}
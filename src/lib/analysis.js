@@ -0,0 +1,103 @@
+// Harmonic analysis of recognized chords against a key: Roman numeral (with figured-bass
+// inversions), what kind of chord it is in the key and its function.
+// analyzeChord(match, pressed, key) -> { numeral, kind, function, description }
+// - key: { tonic, mode } (see KEYS in lib/notation.js)
+// - kind: 'diatonic' | 'secondary' | 'borrowed' | 'neapolitan' | 'augmentedSixth' | 'chromatic'
+// - function: 'tonic' | 'predominant' | 'dominant' | null (chromatic chords get none)
+// Checked in this order: augmented sixths (♭6 in the bass), the Neapolitan, diatonic chords,
+// secondary dominants and leading-tone chords (V⁷/ii, vii°⁷/V), chords borrowed from the
+// parallel key, then anything else as a chromatic chord.
+
+import { spellChordTones, getChordSuffixes } from './chords'
+import { romanNumeral, KEYS } from './notation'
+
+const mod12 = (n) => ((n % 12) + 12) % 12
+
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11]
+// natural minor plus the raised 6th and 7th of melodic / harmonic minor
+const MINOR_SCALE = [0, 2, 3, 5, 7, 8, 10, 9, 11]
+const scaleOf = (mode) => (mode === 'minor' ? MINOR_SCALE : MAJOR_SCALE)
+
+// function of a chord by the scale step of its root (0 = tonic ... 6 = leading tone / subtonic)
+const STEP_FUNCTIONS = ['tonic', 'predominant', 'tonic', 'predominant', 'dominant', 'tonic', 'dominant']
+// step of each semitone above the tonic (chromatic roots take the step they alter)
+const STEP_OF = [0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6]
+
+// Diatonic triads that secondary dominants can point at (no diminished targets, not the tonic)
+const TARGETS = {
+  major: { 2: 'ii', 4: 'iii', 5: 'IV', 7: 'V', 9: 'vi' },
+  minor: { 3: 'III', 5: 'iv', 7: 'V', 8: 'VI', 10: 'VII' }
+}
+
+// Augmented sixths by pitch classes above the tonic, all with ♭6 in the bass
+const AUGMENTED_SIXTHS = [
+  { pcs: [8, 0, 6], numeral: 'It⁺⁶', name: 'Italian' },
+  { pcs: [8, 0, 2, 6], numeral: 'Fr⁺⁶', name: 'French' },
+  { pcs: [8, 0, 3, 6], numeral: 'Ger⁺⁶', name: 'German' }
+]
+
+const DOMINANT_TYPES = ['major', '7']
+const LEADING_TONE_TYPES = ['dim', 'dim7', 'm7b5']
+
+const sameSet = (a, b) => a.size === b.size && [...a].every(x => b.has(x))
+
+function keyLabel(key) {
+  return (KEYS.find(k => k.tonic === key.tonic && k.mode === key.mode) || KEYS[0]).label
+}
+
+export function analyzeChord(match, pressed = [], key) {
+  if (!match || !key || match.type === 'single' || match.type === 'fifth') return null
+  const { tones } = spellChordTones(match.root, match.type)
+  const pressedArr = Array.isArray(pressed) ? pressed : Array.from(pressed || [])
+  const bassPc = pressedArr.length > 0 ? mod12(Math.min(...pressedArr)) : null
+  const bassIndex = bassPc == null ? 0 : tones.findIndex(t => t.pc === bassPc)
+  const parts = {
+    type: match.type,
+    houseSuffix: getChordSuffixes()[match.type] || '',
+    rootPc: match.root,
+    tones,
+    bassIndex,
+    bassPc,
+    slash: bassIndex === -1
+  }
+  const rel = (pc) => mod12(pc - key.tonic)
+  const degree = rel(match.root)
+  const chordRel = new Set(tones.map(t => rel(t.pc)))
+  const scale = new Set(scaleOf(key.mode))
+
+  // augmented sixths: the played pitch classes, with ♭6 in the bass
+  const playedRel = new Set(pressedArr.map(n => rel(n)))
+  if (bassPc != null && rel(bassPc) === 8) {
+    const aug = AUGMENTED_SIXTHS.find(a => sameSet(new Set(a.pcs), playedRel))
+    if (aug) return { numeral: aug.numeral, kind: 'augmentedSixth', function: 'predominant', description: `${aug.name} augmented sixth` }
+  }
+
+  // Neapolitan: major triad on ♭II, usually in first inversion
+  if (degree === 1 && match.type === 'major') {
+    return { numeral: bassIndex === 1 ? 'N⁶' : 'N', kind: 'neapolitan', function: 'predominant', description: 'Neapolitan sixth' }
+  }
+
+  if ([...chordRel].every(pc => scale.has(pc))) {
+    return { numeral: romanNumeral(parts, key), kind: 'diatonic', function: STEP_FUNCTIONS[STEP_OF[degree]], description: 'diatonic' }
+  }
+
+  // secondary dominants (a fifth above the target) and leading-tone chords (a semitone below)
+  const targets = TARGETS[key.mode === 'minor' ? 'minor' : 'major']
+  const dominantTarget = DOMINANT_TYPES.includes(match.type) ? mod12(degree - 7) : null
+  const leadingTarget = LEADING_TONE_TYPES.includes(match.type) ? mod12(degree + 1) : null
+  const target = targets[dominantTarget] ? dominantTarget : targets[leadingTarget] ? leadingTarget : null
+  if (target != null) {
+    const local = romanNumeral(parts, { tonic: mod12(key.tonic + target), mode: 'major' })
+    return { numeral: `${local}/${targets[target]}`, kind: 'secondary', function: 'dominant', description: `secondary ${target === dominantTarget ? 'dominant' : 'leading-tone chord'} of ${targets[target]}` }
+  }
+
+  // modal mixture: all tones from the parallel major / minor
+  const parallelMode = key.mode === 'minor' ? 'major' : 'minor'
+  const parallel = new Set(scaleOf(parallelMode))
+  if ([...chordRel].every(pc => parallel.has(pc))) {
+    const fn = degree === 8 ? 'predominant' : STEP_FUNCTIONS[STEP_OF[degree]]
+    return { numeral: romanNumeral(parts, key), kind: 'borrowed', function: fn, description: `borrowed from ${keyLabel({ tonic: key.tonic, mode: parallelMode })}` }
+  }
+
+  return { numeral: romanNumeral(parts, key), kind: 'chromatic', function: null, description: 'chromatic' }
+}
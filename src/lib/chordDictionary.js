@@ -0,0 +1,90 @@
+// User chord dictionary: additions to and overrides of the built-in chord vocabulary
+// (applied with applyChordDictionary in lib/chords.js), persisted in localStorage and
+// shared as JSON files:
+//   {
+//     "format": "piano-chord-dictionary", "version": 1, "name": "Gospel",
+//     "types": {
+//       "7#9": { "formula": [0, 4, 7, 10, 15], "suffix": "⁷⁺⁹", "longName": "Dominant 7th Sharp 9th", "priority": 20, "tags": ["seventh", "ninth", "augmented"] },
+//       "flat5": { "disabled": true }
+//     }
+//   }
+// formula: semitones above the root (0 included, up to 23); priority: position in the
+// recognition order (0 = preferred first); tags: PlayTheChord categories (CHORD_CATEGORIES).
+// Entries for built-in types only need the fields they change.
+
+import { CHORD_CATEGORIES } from './chords'
+
+export const DICTIONARY_FORMAT = 'piano-chord-dictionary'
+const STORAGE_KEY = 'chords:dictionary'
+
+export const emptyChordDictionary = () => ({ name: '', types: {} })
+
+// Validate and normalise a dictionary (JSON text or object). Throws an Error naming the bad entry.
+export function validateChordDictionary(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input
+  if (!data || typeof data !== 'object' || !data.types || typeof data.types !== 'object' || Array.isArray(data.types)) {
+    throw new Error('A chord dictionary needs a "types" object keyed by chord type')
+  }
+  if (data.format != null && data.format !== DICTIONARY_FORMAT) throw new Error(`Not a chord dictionary (format "${data.format}")`)
+  const types = {}
+  for (const [key, raw] of Object.entries(data.types)) {
+    const where = `chord type "${key}"`
+    if (!key.trim() || key.length > 24 || key === 'single') throw new Error(`${where}: invalid name`)
+    if (!raw || typeof raw !== 'object') throw new Error(`${where}: not an object`)
+    const entry = {}
+    if (raw.formula != null) {
+      if (!Array.isArray(raw.formula) || raw.formula.some(i => !Number.isInteger(i) || i < 0 || i > 23)) {
+        throw new Error(`${where}: formula must be a list of semitones from 0 to 23`)
+      }
+      const formula = Array.from(new Set(raw.formula)).sort((a, b) => a - b)
+      if (formula[0] !== 0 || formula.length < 2) throw new Error(`${where}: formula must contain the root (0) and at least one more tone`)
+      entry.formula = formula
+    }
+    if (raw.suffix != null) {
+      if (typeof raw.suffix !== 'string' || raw.suffix.length > 16) throw new Error(`${where}: suffix must be text of up to 16 characters`)
+      entry.suffix = raw.suffix
+    }
+    if (raw.longName != null) {
+      if (typeof raw.longName !== 'string' || raw.longName.length > 60) throw new Error(`${where}: long name must be text of up to 60 characters`)
+      entry.longName = raw.longName
+    }
+    if (raw.priority != null) {
+      if (!Number.isInteger(raw.priority) || raw.priority < 0) throw new Error(`${where}: priority must be a whole number from 0`)
+      entry.priority = raw.priority
+    }
+    if (raw.tags != null) {
+      const unknown = Array.isArray(raw.tags) ? raw.tags.filter(t => !CHORD_CATEGORIES[t]) : null
+      if (!unknown) throw new Error(`${where}: tags must be a list`)
+      if (unknown.length > 0) throw new Error(`${where}: unknown tag(s) ${unknown.join(', ')} (use ${Object.keys(CHORD_CATEGORIES).join(', ')})`)
+      entry.tags = Array.from(new Set(raw.tags))
+    }
+    if (raw.disabled) entry.disabled = true
+    types[key] = entry
+  }
+  return { name: typeof data.name === 'string' ? data.name.slice(0, 60) : '', types }
+}
+
+export function loadChordDictionary() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    if (raw) return validateChordDictionary(raw)
+  } catch (e) {
+    console.warn('Ignoring stored chord dictionary', e)
+  }
+  return emptyChordDictionary()
+}
+
+export function saveChordDictionary(dictionary) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(dictionary || emptyChordDictionary())) } catch (e) {}
+}
+
+// JSON text for sharing
+export function exportChordDictionary(dictionary) {
+  const { name = '', types = {} } = dictionary || {}
+  return JSON.stringify({ format: DICTIONARY_FORMAT, version: 1, name, types }, null, 2)
+}
+
+export function chordDictionaryFileName(dictionary) {
+  const base = ((dictionary && dictionary.name) || 'chord-dictionary').trim().replace(/[^\w\- ]+/g, '').replace(/\s+/g, '-') || 'chord-dictionary'
+  return `${base}.json`
+}
@@ -0,0 +1,184 @@
+// Chord symbol parser: the inverse of recognize() / formatMatch().
+// Reads our own display style (C⁷♭⁹, Dm⁷♭⁵, E°⁷, F⁹/⁶, G¹¹M⁷ ...) as well as common ASCII and jazz
+// spellings (m7b5, maj7, -7, ø, Δ, sus, add9, 7(b9), 6/9, C/E ...) and returns
+//   { symbol, root, rootName, type, intervals, pcs, bass, bassName, voicing }
+// - type: the chordFormulas key with exactly these intervals, or null for chords we have no
+//   type for (e.g. C7#9): intervals / pcs / voicing are still filled in
+// - pcs: pitch classes of the chord plus the slash bass
+// - voicing: MIDI notes, root position from the root in octave 4, slash bass below it
+// Invalid symbols throw an Error describing what could not be read.
+//
+// An accidental right after the letter always belongs to the root: B♭⁹ is the B-flat ninth.
+// None of the built-in suffixes starts with an accidental, so every name formatMatch writes reads
+// back as the same chord; a flat ninth needs its seventh or parentheses (C⁷♭⁹, C(♭⁹)).
+
+import { chordFormulas, chordPriority, disabledTypes, getChordSuffixes, typeForIntervals } from './chords'
+
+const LETTER_PCS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }
+const ACCIDENTAL_VALUES = { '#': 1, '♯': 1, 'b': -1, '♭': -1, '𝄪': 2, 'x': 2, '𝄫': -2 }
+const ACCIDENTAL_NAMES = { '-2': '𝄫', '-1': '♭', '0': '', '1': '#', '2': '𝄪' }
+const NOTE_RE = /^([A-Ga-g])((?:#|♯|b|♭|𝄪|𝄫|x)*)/
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁺': '+', '⁻': '-', '⁄': '/' }
+
+const mod12 = (n) => ((n % 12) + 12) % 12
+
+// Read a note name at the start of text: { pc, name, length } or null
+function readNote(text) {
+  const m = text.match(NOTE_RE)
+  if (!m) return null
+  const alter = Array.from(m[2]).reduce((n, c) => n + ACCIDENTAL_VALUES[c], 0)
+  const name = m[1].toUpperCase() + (ACCIDENTAL_NAMES[alter] != null ? ACCIDENTAL_NAMES[alter] : '')
+  return { pc: mod12(LETTER_PCS[m[1].toUpperCase()] + alter), name, length: m[0].length }
+}
+
+// Our own suffixes (including the user's chord dictionary), for an exact match before falling
+// back to the structural reading
+function ownSuffixType(suffix) {
+  const suffixes = getChordSuffixes()
+  const type = chordPriority.find(key => suffixes[key] === suffix && !disabledTypes.has(key))
+  return type || null
+}
+
+const QUALITIES = [
+  [/^(mmaj|mM|m\/maj|minmaj|-maj|-M|-Δ|mΔ)/, 'minorMajor'],
+  [/^(maj|Maj|MAJ|Ma|M)/, 'major7'],
+  [/^(Δ|△|\^)/, 'delta'],
+  [/^(min|mi|m|-)/, 'minor'],
+  [/^(dim|°|o)/, 'dim'],
+  [/^(aug|\+)/, 'aug'],
+  [/^(ø|Ø)/, 'halfDim']
+]
+const EXTENSIONS = /^(6\/9|9\/6|69|7\/6|13|11|9|7|6|5)/
+const MODIFIERS = /^(sus2|sus4|sus|add(?:[#b]?)(?:13|11|9|6|4|2)|[#b+-](?:13|11|9|5)|maj7|Maj7|M7|Δ7|Δ|no3|no5|alt|\+(?!\d))/
+
+// Structural reading of a normalised ASCII suffix into intervals
+function suffixIntervals(suffix) {
+  let rest = suffix
+  let quality = null
+  for (const [re, q] of QUALITIES) {
+    const m = rest.match(re)
+    if (m) { quality = q; rest = rest.slice(m[0].length); break }
+  }
+  let ext = null
+  const em = rest.match(EXTENSIONS)
+  if (em) { ext = em[0]; rest = rest.slice(em[0].length) }
+  const mods = []
+  while (rest.length > 0) {
+    const mm = rest.match(MODIFIERS)
+    if (!mm) throw new Error(`cannot read "${rest}"`)
+    mods.push(mm[0])
+    rest = rest.slice(mm[0].length)
+  }
+  if (quality === 'delta' && !ext) ext = '7'
+  // 'maj' / 'M' on its own is a plain major triad; with a number it makes the seventh major
+  let majorSeventh = quality === 'minorMajor' || quality === 'delta' || (quality === 'major7' && ext != null && ext !== '6' && ext !== '5')
+  if (mods.some(m => ['maj7', 'Maj7', 'M7', 'Δ7', 'Δ'].includes(m))) majorSeventh = true
+
+  if (ext === '5' && quality == null && mods.length === 0) return [0, 7]
+
+  const minor = quality === 'minor' || quality === 'minorMajor' || quality === 'dim' || quality === 'halfDim'
+  let third = minor ? 3 : 4
+  let fifth = quality === 'dim' || quality === 'halfDim' ? 6 : quality === 'aug' ? 8 : 7
+  const tones = new Set()
+  if (mods.includes('sus2')) third = 2
+  if (mods.includes('sus4') || mods.includes('sus')) third = 5
+  if (mods.includes('alt')) { fifth = null; tones.add(6).add(8).add(10).add(13).add(15) }
+
+  const seventh = quality === 'dim' ? 9 : majorSeventh ? 11 : 10
+  const extTones = {
+    '5': [], '6': [9], '69': [9, 14], '6/9': [9, 14], '9/6': [9, 14], '7/6': [9, seventh],
+    '7': [seventh], '9': [seventh, 14], '11': [seventh, 14, 17], '13': [seventh, 14, 17, 21]
+  }
+  for (const t of ext ? extTones[ext] : []) tones.add(t)
+  if (quality === 'halfDim') tones.add(10)
+  if (majorSeventh && ![...tones].some(t => t === 10 || t === 11)) tones.add(11)
+  if (majorSeventh) tones.delete(10)
+
+  for (const m of mods) {
+    const add = m.match(/^add([#b]?)(\d+)$/)
+    if (add) {
+      const base = { 2: 14, 9: 14, 4: 17, 11: 17, 6: 21, 13: 21 }[add[2]]
+      tones.add(base + (add[1] === '#' ? 1 : add[1] === 'b' ? -1 : 0))
+      continue
+    }
+    const alt = m.match(/^([#b+-])(\d+)$/)
+    if (!alt) continue
+    const shift = alt[1] === '#' || alt[1] === '+' ? 1 : -1
+    const degree = Number(alt[2])
+    if (degree === 5) { fifth = 7 + shift; continue }
+    const base = { 9: 14, 11: 17, 13: 21 }[degree]
+    tones.delete(base)
+    tones.add(base + shift)
+    // an altered tension on a plain triad implies the dominant seventh: C(b9), C(#9)
+    if (!ext && !quality) tones.add(10)
+  }
+  if (mods.includes('+') && fifth != null) fifth = 8
+
+  tones.add(0)
+  if (!mods.includes('no3')) tones.add(third)
+  if (fifth != null && !mods.includes('no5')) tones.add(fifth)
+  return Array.from(tones).sort((a, b) => a - b)
+}
+
+function normaliseSuffix(suffix) {
+  return Array.from(suffix).map(c => (SUPERSCRIPTS[c] != null ? SUPERSCRIPTS[c] : c)).join('')
+    .replace(/♭/g, 'b').replace(/♯/g, '#')
+    .replace(/[()\s,]/g, '')
+}
+
+// Parse one chord symbol. options.octave: octave of the voicing's root (default 4, i.e. C4 = 60)
+export function parseChordSymbol(symbol, { octave = 4 } = {}) {
+  const text = String(symbol == null ? '' : symbol).trim()
+  if (!text) throw new Error('Empty chord symbol')
+  const root = readNote(text)
+  if (!root) throw new Error(`Unrecognised chord symbol "${text}": it must start with a note name (A–G)`)
+  let suffix = text.slice(root.length)
+
+  // slash bass: "/E", "/B♭" at the end (but not 6/9, 7/6 ...)
+  let bass = null
+  const slash = suffix.lastIndexOf('/')
+  if (slash !== -1) {
+    const note = readNote(suffix.slice(slash + 1))
+    if (note && note.length === suffix.length - slash - 1) {
+      bass = note
+      suffix = suffix.slice(0, slash)
+    }
+  }
+
+  let type = ownSuffixType(suffix)
+  let intervals = type ? chordFormulas[type].slice() : null
+  if (!intervals) {
+    try {
+      intervals = suffixIntervals(normaliseSuffix(suffix))
+    } catch (err) {
+      throw new Error(`Unrecognised chord symbol "${text}": ${err.message}`)
+    }
+    type = typeForIntervals(intervals)
+  }
+
+  const rootMidi = (octave + 1) * 12 + root.pc
+  const voicing = intervals.map(i => rootMidi + i)
+  if (bass) {
+    let bassMidi = rootMidi - mod12(root.pc - bass.pc)
+    if (bassMidi === rootMidi) bassMidi -= 12
+    voicing.unshift(bassMidi)
+  }
+  const pcs = Array.from(new Set((bass ? [bass.pc] : []).concat(intervals.map(i => mod12(root.pc + i)))))
+  return {
+    symbol: text,
+    root: root.pc,
+    rootName: root.name,
+    type,
+    intervals,
+    pcs,
+    bass: bass ? bass.pc : null,
+    bassName: bass ? bass.name : null,
+    voicing
+  }
+}
+
+// Parse a progression such as "Dm7 G7 | Cmaj7, A7b9" into a list of parsed chords
+// (separators: whitespace, commas and bar lines). Throws on the first invalid symbol.
+export function parseChordList(text, options = {}) {
+  return String(text || '').split(/[\s,|]+/).filter(Boolean).map(s => parseChordSymbol(s, options))
+}
@@ -5,9 +5,17 @@
 // - generateTemplates(): precomputes all 12 transpositions (pitch classes) for fast matching
 // - recognize(pressedMidiArray): given an array (or Set) of MIDI note numbers, returns
 //   an ordered list of candidate chord matches sorted by: matchedCount desc, then chord priority order.
+//   Candidates are precomputed per pitch-class mask (see the mask index below);
+//   recognize(notes, { useIndex: false }) scores every template instead.
+// - describeStructure(notes): names voicings without an exact template by their structure
+//   (clusters, quartal / quintal stacks, polychords, altered tertian stacks)
 
 // NOTE: This file contains thorough comments for traceability.
 
+import { DEFAULT_NAMES, spellTones, spellPitchClass, degreeName } from './spelling'
+import { renderChordName } from './notation'
+
+// Sharps-only pitch-class names (kept for pickers and older callers; chord output is spelled, see spellChordTones)
 const ROOT_NAMES = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B']
 
 // Define chord formulas relative to root. These are pitch classes (0 = root)
@@ -112,6 +120,88 @@ export const chordPriority = [
   '13','M13','m13','13b5','13#5'
 ]
 
+// PlayTheChord filter categories: id -> { label, types }. Chord types carry atomic tags
+// (chordTags) naming their categories; `types` is the legacy list used for untagged types.
+export const CHORD_CATEGORIES = {
+  major: { label: 'Major', types: ['fifth','major','M7','M9','M11','M13'] },
+  minor: { label: 'Minor', types: ['minor','m6','m7','m9','m11','m13'] },
+  diminished: { label: 'Diminished', types: ['dim','dim7'] },
+  augmented: { label: 'Augmented', types: ['aug','9#5','11#5','13#5','m9#5','m7#5'] },
+  suspended: { label: 'Suspended', types: ['sus2','sus4','7sus2','7sus4','9sus4'] },
+  flatRaised: { label: 'Flat/Raised', types: ['flat5','7b5','9b5','11b5','13b5','b9','mb9','m9b5'] },
+  sixth: { label: '6th', types: ['6','m6','7/6','9/6','m9/6'] },
+  seventh: { label: '7th', types: ['7','m7','dim7','M7','mM7','7b5','7#5','m7b5','m7#5','7sus2','7sus4','7/6'] },
+  add9: { label: 'add9', types: ['add9','madd9'] },
+  add11: { label: 'add11', types: ['add11','madd11'] },
+  add13: { label: 'add13', types: ['add13','madd13'] },
+  ninth: { label: '9th', types: ['9','m9','b9','mb9','9#5','9sus4','9b5','m9b5','m9#5','M9','9/6','m9/6'] },
+  eleventh: { label: '11th', types: ['11','m11','M11','11b5','11#5','11M7','11b9','11#9'] },
+  thirteenth: { label: '13th', types: ['13','M13','m13','13b5','13#5'] }
+}
+
+// Category tags per chord type. A type is drilled only if all of its tags are enabled.
+export const chordTags = {
+  'fifth': [],
+  'major': ['major'],
+  'minor': ['minor'],
+  'dim': ['diminished'],
+  'aug': ['augmented'],
+  'sus2': ['suspended'],
+  'sus4': ['suspended'],
+  'flat5': ['flatRaised'],
+  '6': ['sixth'],
+  'm6': ['minor','sixth'],
+
+  '7': ['seventh'],
+  'm7': ['minor','seventh'],
+  'dim7': ['diminished','seventh'],
+  'M7': ['major','seventh'],
+  'mM7': ['minor','seventh'],
+  '7sus2': ['seventh','suspended'],
+  '7sus4': ['seventh','suspended'],
+  '7b5': ['seventh','flatRaised'],
+  '7#5': ['seventh','augmented'],
+  'm7b5': ['minor','seventh','flatRaised'],
+  'm7#5': ['minor','seventh','augmented'],
+
+  'add9': ['add9','major'],
+  'madd9': ['add9','minor'],
+  'add11': ['add11','major'],
+  'madd11': ['add11','minor'],
+  'add13': ['add13','major'],
+  'madd13': ['add13','minor'],
+
+  '7/6': ['seventh','sixth'],
+  '9/6': ['ninth','sixth'],
+  'm9/6': ['ninth','sixth','minor'],
+
+  '9': ['ninth','seventh'],
+  'm9': ['ninth','seventh','minor'],
+  'b9': ['ninth','seventh','flatRaised'],
+  'mb9': ['ninth','seventh','minor','flatRaised'],
+  '9#5': ['ninth','seventh','augmented'],
+  '9sus4': ['ninth','seventh','suspended'],
+  '9b5': ['ninth','seventh','flatRaised'],
+  'm9b5': ['ninth','seventh','minor','flatRaised'],
+  'm9#5': ['ninth','seventh','minor','augmented'],
+  'M9': ['major','ninth','seventh'],
+
+  '11': ['eleventh'],
+  'm11': ['eleventh','minor'],
+  'M11': ['eleventh','major'],
+  '11b5': ['eleventh','flatRaised'],
+  '11#5': ['eleventh','augmented'],
+  '11M7': ['eleventh','major','seventh'],
+  '11b9': ['eleventh','ninth','flatRaised'],
+  '11#9': ['eleventh','ninth','augmented'],
+
+  '13': ['thirteenth'],
+  'M13': ['major','thirteenth'],
+  'm13': ['minor','thirteenth'],
+  '13b5': ['thirteenth','flatRaised'],
+  '13#5': ['thirteenth','augmented']
+}
+
 // Helper: convert interval (possibly >12) to pitch class set (0-11)
 const intervalsToPCSet = (intervals) => {
   const s = new Set()
@@ -122,9 +212,12 @@ const intervalsToPCSet = (intervals) => {
 // Precompute templates: for each root (0..11) and each chord type, compute pitch class set and store meta
 const templates = []
 
+// chord types switched off in the user's chord dictionary (no templates, never recognized)
+export const disabledTypes = new Set()
+
 function generateTemplates() {
   templates.length = 0
-  const types = Object.keys(chordFormulas)
+  const types = Object.keys(chordFormulas).filter(type => !disabledTypes.has(type))
   for (let root = 0; root < 12; root++) {
     for (const type of types) {
       const ints = chordFormulas[type]
@@ -134,10 +227,210 @@ function generateTemplates() {
       templates.push({ root, type, pcs, size: pcs.size })
     }
   }
+  buildMaskIndex()
+}
+
+// --- Pitch-class-mask index
+// recognize() looks chords up by the 12-bit mask of the pressed pitch classes (bit n = pitch
+// class n). buildMaskIndex() scores every template against each of the 4096 masks up front and
+// stores, per mask, the templates sharing at least one pitch class with it and their score:
+// the candidates of mask m are entries maskOffsets[m] .. maskOffsets[m + 1] - 1 of maskTemplates,
+// maskPresent and maskWeight (the present-tone weight and the whole fit denominator of the
+// confidence, both in half points so they fit a byte; about 10 MB for the built-in vocabulary).
+// A lookup then only applies what depends on the bass note: the bass role factor and the slash
+// readings, which come from the candidates of the mask without the bass (see lookupTemplates).
+// Per template the index also holds its mask, the priority and plausibility of its type, its
+// tones as [bit, role] and the role of each pitch class; all of it is rebuilt with the templates,
+// so changes to the chord dictionary take effect immediately.
+let templateMasks = new Uint16Array(0)
+let templateTypeIndex = new Int16Array(0)
+let templatePlausibility = new Float64Array(0)
+let templateTones = []
+let templatePCLists = []
+let templateBassRoles = []
+let maskOffsets = new Uint32Array((1 << 12) + 1)
+let maskTemplates = new Uint16Array(0)
+let maskPresent = new Uint8Array(0)
+let maskWeight = new Uint8Array(0)
+
+const BIT_COUNTS = new Uint8Array(1 << 12)
+for (let m = 1; m < BIT_COUNTS.length; m++) BIT_COUNTS[m] = (m & 1) + BIT_COUNTS[m >> 1]
+
+const pcMask = (pcs) => {
+  let mask = 0
+  for (const pc of pcs) mask |= 1 << pc
+  return mask
+}
+
+function buildMaskIndex() {
+  templateMasks = Uint16Array.from(templates, t => pcMask(t.pcs))
+  templateTypeIndex = Int16Array.from(templates, t => chordPriority.indexOf(t.type))
+  templatePlausibility = Float64Array.from(templates, t => TYPE_PLAUSIBILITY[t.type] || 1)
+  templateTones = templates.map(t => Array.from(toneRoles(t.type), ([offset, role]) => [1 << ((t.root + offset) % 12), role]))
+  templatePCLists = templates.map(t => Array.from(t.pcs))
+  templateBassRoles = templates.map(t => Array.from({ length: 12 }, (_, pc) => toneRoles(t.type).get((pc - t.root + 12) % 12) || null))
+
+  maskOffsets = new Uint32Array((1 << 12) + 1)
+  for (let mask = 1; mask < 1 << 12; mask++) {
+    let count = 0
+    for (let i = 0; i < templateMasks.length; i++) if (mask & templateMasks[i]) count++
+    maskOffsets[mask + 1] = maskOffsets[mask] + count
+  }
+  const total = maskOffsets[1 << 12]
+  maskTemplates = new Uint16Array(total)
+  maskPresent = new Uint8Array(total)
+  maskWeight = new Uint8Array(total)
+  let k = 0
+  for (let mask = 1; mask < 1 << 12; mask++) {
+    for (let i = 0; i < templateMasks.length; i++) {
+      if (!(mask & templateMasks[i])) continue
+      maskTemplates[k] = i
+      fitMask(i, mask, k++)
+    }
+  }
+}
+
+// Scale degree of each formula interval, used for spelling: any third is degree 3, any
+// fifth degree 5, ninths 2, elevenths 4, thirteenths 6. Sus chords keep their 2 / 4.
+const DEGREE_OF_INTERVAL = { 0: 1, 1: 2, 2: 2, 3: 3, 4: 3, 5: 4, 6: 5, 7: 5, 8: 5, 9: 6, 10: 7, 11: 7, 12: 1, 13: 2, 14: 2, 15: 2, 16: 3, 17: 4, 18: 4, 19: 5, 20: 6, 21: 6, 22: 7, 23: 7 }
+// Per-type exceptions: the diminished seventh is a doubly flattened 7th, not a 6th
+const DEGREE_OVERRIDES = { dim7: { 9: 7 } }
+
+function degreeFor(type, interval) {
+  const override = DEGREE_OVERRIDES[type]
+  if (override && override[interval] != null) return override[interval]
+  return DEGREE_OF_INTERVAL[interval] || 1
+}
+
+// Tone importance used for scoring (see recognize): what a tone adds when present and what
+// leaving it out costs. The 3rd and 7th define a chord and a perfect 5th is optional. The root
+// is optional too when the voicing reads as a jazz rootless voicing (3rd, 7th and a tension
+// present, e.g. 3-7-9 or 7-3-13); otherwise leaving it out costs as much as the third.
+const ROOTLESS_ROOT_COST = 1
+const TONE_WEIGHTS = {
+  root: { present: 2, missing: 3 },
+  third: { present: 3, missing: 3 },
+  fifth: { present: 1, missing: 0.5 },
+  alteredFifth: { present: 2, missing: 2 },
+  seventh: { present: 3, missing: 3 },
+  extension: { present: 2, missing: 2 },
+  optional: { present: 1, missing: 0.5 }
+}
+// cost of each pressed pitch class the chord does not contain
+const EXTRA_NOTE_PENALTY = 3
+// uncommon readings that should only win when nothing more usual fits (e.g. E-B♭-D is the
+// 3-7-9 of C⁹ before it is B♭(♭5))
+const TYPE_PLAUSIBILITY = { flat5: 0.8 }
+// Bass evidence: the lowest sounding note scales a candidate's confidence by the role it plays
+// in that chord, so root position beats an inversion of the same notes (C-E-G-A over A is Am⁷,
+// over C it is C⁶; of the four dim7 roots the one in the bass wins)
+const BASS_FACTORS = { root: 1, third: 0.9, fifth: 0.9, alteredFifth: 0.9, seventh: 0.9, extension: 0.85, optional: 0.85 }
+// a chord over a bass note it does not contain (D/C, C/A♭): below any inversion of a chord
+// that explains every note, above chords that leave notes unexplained
+const SLASH_BASS_FACTOR = 0.8
+// omissions named in the display (see formatMatch)
+const OMISSION_LABELS = { root: 'rootless', third: 'no3', fifth: 'no5' }
+
+function toneRole(type, interval) {
+  if (interval === 0) return 'root'
+  // sus chords: the 2nd / 4th stands in for the third
+  if ((interval === 2 || interval === 5) && type.includes('sus')) return 'third'
+  const degree = degreeFor(type, interval)
+  if (degree === 3) return 'third'
+  if (degree === 5) return interval === 7 ? 'fifth' : 'alteredFifth'
+  if (degree === 7) return 'seventh'
+  // the 11th of a thirteenth chord is usually left out
+  if (interval === 17 && chordFormulas[type].includes(21)) return 'optional'
+  return 'extension'
+}
+
+// pitch-class offset from the root -> role, per chord type
+const roleCache = new Map()
+function toneRoles(type) {
+  if (!roleCache.has(type)) roleCache.set(type, new Map(chordFormulas[type].map(i => [((i % 12) + 12) % 12, toneRole(type, i)])))
+  return roleCache.get(type)
 }
 
+// Weighted fit of one template to the pressed pitch classes:
+// confidence = weight of the chord tones present / (that + cost of missing tones + extra notes)
+// omitted lists the roles of the missing tones
+function scoreTemplate(t, pressedPCs) {
+  let present = 0
+  let missing = 0
+  const omitted = []
+  const played = new Set()
+  for (const [offset, role] of toneRoles(t.type)) {
+    const w = TONE_WEIGHTS[role]
+    if (pressedPCs.has((t.root + offset) % 12)) { present += w.present; played.add(role) }
+    else { missing += w.missing; omitted.push(role) }
+  }
+  if (omitted.includes('root') && played.has('third') && played.has('seventh') && played.has('extension')) {
+    missing -= TONE_WEIGHTS.root.missing - ROOTLESS_ROOT_COST
+  }
+  let extra = 0
+  for (const p of pressedPCs) if (!t.pcs.has(p)) extra += EXTRA_NOTE_PENALTY
+  const plausibility = TYPE_PLAUSIBILITY[t.type] || 1
+  return { confidence: present > 0 ? plausibility * present / (present + missing + extra) : 0, omitted }
+}
+
+// scoreTemplate for template i of the mask index, from a pitch-class mask, stored as entry k:
+// the weight of the chord tones present and the denominator of the confidence (in half points)
+function fitMask(i, mask, k) {
+  let present = 0
+  let missing = 0
+  let rootMissing = false
+  let thirdPlayed = false
+  let seventhPlayed = false
+  let extensionPlayed = false
+  for (const [bit, role] of templateTones[i]) {
+    const w = TONE_WEIGHTS[role]
+    if (mask & bit) {
+      present += w.present
+      if (role === 'third') thirdPlayed = true
+      else if (role === 'seventh') seventhPlayed = true
+      else if (role === 'extension') extensionPlayed = true
+    } else {
+      missing += w.missing
+      if (role === 'root') rootMissing = true
+    }
+  }
+  if (rootMissing && thirdPlayed && seventhPlayed && extensionPlayed) {
+    missing -= TONE_WEIGHTS.root.missing - ROOTLESS_ROOT_COST
+  }
+  const extra = BIT_COUNTS[mask & ~templateMasks[i]] * EXTRA_NOTE_PENALTY
+  maskPresent[k] = present * 2
+  maskWeight[k] = (present + missing + extra) * 2
+}
+
+// confidence of index entry k for template i, computed as in scoreTemplate
+const maskConfidence = (i, k) => (maskPresent[k] > 0 ? templatePlausibility[i] * (maskPresent[k] / 2) / (maskWeight[k] / 2) : 0)
+
+// roles of the tones of template i missing from a mask, in scoreTemplate order
+const omittedRoles = (i, mask) => templateTones[i].filter(([bit]) => !(mask & bit)).map(([, role]) => role)
+
 generateTemplates()
 
+// Spell a chord's tones from its formula degrees.
+// options.keySignature: sharps (+) / flats (-) of the selected key, or null for automatic spelling
+// Returns { rootName, tones: [{ interval, pc, degree, name }] } in formula order
+export function spellChordTones(root, type, { keySignature = null } = {}) {
+  const intervals = chordFormulas[type]
+  if (!intervals) {
+    const name = spellPitchClass(root, { keySignature })
+    return { rootName: name, tones: [{ interval: 0, pc: ((root % 12) + 12) % 12, degree: 1, name }] }
+  }
+  const spelled = spellTones(root, intervals, intervals.map(i => degreeFor(type, i)), { keySignature })
+  return { rootName: spelled.root.name, tones: spelled.tones.map(({ interval, pc, degree, name }) => ({ interval, pc, degree, name })) }
+}
+
+// automatic (key-less) root spelling, cached per root and type since recognize() names every template
+const rootNameCache = new Map()
+function spelledRootName(root, type) {
+  const key = `${root}:${type}`
+  if (!rootNameCache.has(key)) rootNameCache.set(key, type === 'single' ? DEFAULT_NAMES[root] : spellChordTones(root, type).rootName)
+  return rootNameCache.get(key)
+}
+
 // Utility: get pitch-class set from pressed MIDI notes
 function midiArrayToPCSet(notes) {
   const s = new Set()
@@ -146,8 +439,14 @@ function midiArrayToPCSet(notes) {
 }
 
 // Recognize chords from pressed notes (Array or Set of midi numbers)
-// Returns ordered array of matches: { rootName, type, typeLabel, matchedCount, chordSize, matchedPCs:[], missingPCs:[], extraPCs:[] }
-export function recognize(pressedNotes) {
+// Returns ordered array of matches: { rootName, type, typeLabel, matchedCount, chordSize, matchedPCs:[], missingPCs:[], extraPCs:[], confidence, omitted:[] }
+// confidence (0..1) weighs chord tones by importance (see TONE_WEIGHTS); omitted lists the roles
+// ('root', 'third', 'fifth', ...) of chord tones that were not played.
+// bass is the pitch class of the lowest note, bassRole its role in the chord (null when the
+// chord does not contain it) and slash marks readings as a chord over a foreign bass (D/C).
+// options.useIndex: false scores every template instead of using the mask index (reference path,
+// compared and timed by scripts/bench-recognize.mjs)
+export function recognize(pressedNotes, { useIndex = true } = {}) {
   if (!pressedNotes || pressedNotes.size === 0 || pressedNotes.length === 0) return []
   const pressedArr = Array.isArray(pressedNotes) ? pressedNotes : Array.from(pressedNotes)
   const pressedPCs = midiArrayToPCSet(pressedArr)
@@ -158,7 +457,7 @@ export function recognize(pressedNotes) {
     const onlyPC = Array.from(pressedPCs)[0]
     return [{
       root: onlyPC,
-      rootName: ROOT_NAMES[onlyPC],
+      rootName: spelledRootName(onlyPC, 'single'),
       type: 'single',
       typeIndex: -1,
       matchedCount: 1,
@@ -168,7 +467,9 @@ export function recognize(pressedNotes) {
       matchedPCs: [onlyPC],
       missingPCs: [],
       extraPCs: [],
-      chordPCs: [onlyPC]
+      chordPCs: [onlyPC],
+      confidence: 1,
+      omitted: []
     }]
   }
 
@@ -196,7 +497,7 @@ export function recognize(pressedNotes) {
       const onlyPC = lowerPC
       return [{
         root: onlyPC,
-        rootName: ROOT_NAMES[onlyPC],
+        rootName: spelledRootName(onlyPC, 'single'),
         type: 'single',
         typeIndex: -1,
         matchedCount: 1,
@@ -206,16 +507,18 @@ export function recognize(pressedNotes) {
         matchedPCs: [onlyPC],
         missingPCs: [],
         extraPCs: [],
-        chordPCs: [onlyPC]
+        chordPCs: [onlyPC],
+        confidence: 1,
+        omitted: []
       }]
     }
 
     // Perfect fifth (7 semitones): root is the lower note
-    if (interval === 7) {
+    if (interval === 7 && !disabledTypes.has('fifth')) {
       const root = lowerPC
       return [{
         root,
-        rootName: ROOT_NAMES[root],
+        rootName: spelledRootName(root, 'fifth'),
         type: 'fifth',
         typeIndex: chordPriority.indexOf('fifth'),
         matchedCount: 2,
@@ -225,16 +528,18 @@ export function recognize(pressedNotes) {
         matchedPCs: [lowerPC, higherPC],
         missingPCs: [],
         extraPCs: [],
-        chordPCs: [lowerPC, higherPC]
+        chordPCs: [lowerPC, higherPC],
+        confidence: 1,
+        omitted: []
       }]
     }
 
     // Perfect fourth (5 semitones): interpret as an inverted fifth — root is the higher note
-    if (interval === 5) {
+    if (interval === 5 && !disabledTypes.has('fifth')) {
       const root = higherPC
       return [{
         root,
-        rootName: ROOT_NAMES[root],
+        rootName: spelledRootName(root, 'fifth'),
         type: 'fifth',
         typeIndex: chordPriority.indexOf('fifth'),
         matchedCount: 2,
@@ -244,12 +549,28 @@ export function recognize(pressedNotes) {
         matchedPCs: [lowerPC, higherPC],
         missingPCs: [],
         extraPCs: [],
-        chordPCs: [lowerPC, higherPC]
+        chordPCs: [lowerPC, higherPC],
+        confidence: 1,
+        omitted: []
       }]
     }
     // otherwise fall through to normal template matching (e.g., 2-note dyads that are not perfect 4/5)
   }
 
+  // the lowest sounding note is evidence for the root (see BASS_FACTORS)
+  const bassPC = ((Math.min(...pressedArr) % 12) + 12) % 12
+
+  // Slash readings: a bass note that is not repeated above (octave doublings in the bass are
+  // fine) under a chord formed by the upper notes, e.g. C + D F# A -> D/C
+  const upperNotes = pressedArr.filter(n => ((n % 12) + 12) % 12 !== bassPC)
+  const upperPCs = midiArrayToPCSet(upperNotes)
+  const slashBass = upperPCs.size >= 3 && upperNotes.every(n => n > Math.max(...pressedArr.filter(m => ((m % 12) + 12) % 12 === bassPC)))
+
+  return useIndex ? lookupTemplates(pressedPCs, bassPC, upperPCs, slashBass) : scanTemplates(pressedPCs, bassPC, upperPCs, slashBass)
+}
+
+// Reference path: score every template against the pressed pitch classes
+function scanTemplates(pressedPCs, bassPC, upperPCs, slashBass) {
   const results = []
   // For performance, we iterate templates and compute intersection sizes.
   for (const t of templates) {
@@ -269,9 +590,11 @@ export function recognize(pressedNotes) {
     const extra = []
     for (const pp of pressedPCs) if (!chordPCs.has(pp)) extra.push(pp)
 
+    const { confidence, omitted } = scoreTemplate(t, pressedPCs)
+    const bassRole = toneRoles(t.type).get((bassPC - t.root + 12) % 12) || null
     results.push({
       root: t.root,
-      rootName: ROOT_NAMES[t.root],
+      rootName: spelledRootName(t.root, t.type),
       type: t.type,
       typeIndex: chordPriority.indexOf(t.type),
       matchedCount: matched,
@@ -281,39 +604,153 @@ export function recognize(pressedNotes) {
       matchedPCs: Array.from(pressedPCs).filter(p => chordPCs.has(p)),
       missingPCs: missing,
       extraPCs: extra,
-      chordPCs: Array.from(chordPCs)
+      chordPCs: Array.from(chordPCs),
+      confidence: confidence * (bassRole ? BASS_FACTORS[bassRole] : 1),
+      omitted,
+      bass: bassPC,
+      bassRole,
+      slash: false
     })
   }
 
-  // Sort results: first by matchedCount desc (more matched notes first), then prefer subset matches,
-  // then by chordSize asc (fewer chord tones matched? optional), then by priority order (lower index first),
-  // finally by root (for determinism).
+  if (slashBass) {
+    for (const t of templates) {
+      if (t.pcs.has(bassPC)) continue
+      let containsUpper = true
+      for (const p of upperPCs) if (!t.pcs.has(p)) { containsUpper = false; break }
+      if (!containsUpper) continue
+      const { confidence, omitted } = scoreTemplate(t, upperPCs)
+      results.push({
+        root: t.root,
+        rootName: spelledRootName(t.root, t.type),
+        type: t.type,
+        typeIndex: chordPriority.indexOf(t.type),
+        matchedCount: upperPCs.size,
+        chordSize: t.size,
+        isSubset: false,
+        exactMatch: false,
+        matchedPCs: Array.from(upperPCs),
+        missingPCs: Array.from(t.pcs).filter(p => !upperPCs.has(p)),
+        extraPCs: [bassPC],
+        chordPCs: Array.from(t.pcs),
+        confidence: confidence * SLASH_BASS_FACTOR,
+        omitted,
+        bass: bassPC,
+        bassRole: null,
+        slash: true
+      })
+    }
+  }
+
   // compute exactMatch flags (match all pressed pitch-classes)
   const pressedSize = pressedPCs.size
-  for (const r of results) r.exactMatch = (r.matchedCount === pressedSize)
-
-  results.sort((a,b) => {
-    // 1) exact matches (chords that contain all pressed PCs) first
-    if ((b.exactMatch?1:0) !== (a.exactMatch?1:0)) return (b.exactMatch?1:0) - (a.exactMatch?1:0)
-    // 2) more matched pitch-classes next
-    if (b.matchedCount !== a.matchedCount) return b.matchedCount - a.matchedCount
-    // 3) prefer higher-priority chord types (lower index)
-    const ai = a.typeIndex === -1 ? 999 : a.typeIndex
-    const bi = b.typeIndex === -1 ? 999 : b.typeIndex
-    if (ai !== bi) return ai - bi
-    // 4) smaller chord size (fewer tones) as a tie-breaker
-    if (a.chordSize !== b.chordSize) return a.chordSize - b.chordSize
-    // 5) finally deterministic by root
-    if (a.root !== b.root) return a.root - b.root
-    return 0
-  })
+  // (a slash reading explains its bass note too)
+  for (const r of results) r.exactMatch = (r.matchedCount + (r.slash ? 1 : 0) === pressedSize)
 
+  results.sort(compareMatches)
   return results
 }
 
-// Utility: pretty-print pitch classes as note names relative to root
-export function pcsToNotes(pcs) {
-  return pcs.map(pc => ROOT_NAMES[pc]).join(' ')
+// Sort results: chords containing every pressed pitch class first, then by weighted confidence
+// (so a rootless or no-5th voicing of a seventh chord beats an unrelated triad, and the bass
+// note decides between readings of the same notes such as C⁶ / Am⁷), then by
+// matchedCount desc, then by priority order (lower index first), then size, finally by root
+// (for determinism).
+function compareMatches(a, b) {
+  // 1) exact matches (chords that contain all pressed PCs) first
+  if ((b.exactMatch?1:0) !== (a.exactMatch?1:0)) return (b.exactMatch?1:0) - (a.exactMatch?1:0)
+  // 2) better weighted fit next
+  if (b.confidence !== a.confidence) return b.confidence - a.confidence
+  // 3) more matched pitch-classes next
+  if (b.matchedCount !== a.matchedCount) return b.matchedCount - a.matchedCount
+  // 4) prefer higher-priority chord types (lower index)
+  const ai = a.typeIndex === -1 ? 999 : a.typeIndex
+  const bi = b.typeIndex === -1 ? 999 : b.typeIndex
+  if (ai !== bi) return ai - bi
+  // 5) smaller chord size (fewer tones) as a tie-breaker
+  if (a.chordSize !== b.chordSize) return a.chordSize - b.chordSize
+  // 6) finally deterministic by root
+  if (a.root !== b.root) return a.root - b.root
+  return 0
+}
+
+// Indexed path: the same ranking as scanTemplates, from the candidates precomputed for the
+// pressed mask. Only the bass role factor is applied here; slash readings are the candidates of
+// the mask without the bass that contain every upper note and not the bass.
+function lookupTemplates(pressedPCs, bassPC, upperPCs, slashBass) {
+  const mask = pcMask(pressedPCs)
+  const pressedSize = BIT_COUNTS[mask]
+  // note lists follow the order the notes were pressed in, as in scanTemplates
+  const pressedList = Array.from(pressedPCs)
+  const results = []
+  for (let k = maskOffsets[mask]; k < maskOffsets[mask + 1]; k++) {
+    const i = maskTemplates[k]
+    const t = templates[i]
+    const templateMask = templateMasks[i]
+    const matchedCount = BIT_COUNTS[mask & templateMask]
+    const bassRole = templateBassRoles[i][bassPC]
+    results.push({
+      root: t.root,
+      rootName: spelledRootName(t.root, t.type),
+      type: t.type,
+      typeIndex: templateTypeIndex[i],
+      matchedCount,
+      chordSize: t.size,
+      isSubset: (mask & ~templateMask) === 0,
+      exactMatch: matchedCount === pressedSize,
+      matchedPCs: pressedList.filter(p => templateMask & (1 << p)),
+      missingPCs: templatePCLists[i].filter(p => !(mask & (1 << p))),
+      extraPCs: pressedList.filter(p => !(templateMask & (1 << p))),
+      chordPCs: templatePCLists[i].slice(),
+      confidence: maskConfidence(i, k) * (bassRole ? BASS_FACTORS[bassRole] : 1),
+      omitted: omittedRoles(i, mask),
+      bass: bassPC,
+      bassRole,
+      slash: false
+    })
+  }
+
+  if (slashBass) {
+    const upperMask = mask & ~(1 << bassPC)
+    const upperList = Array.from(upperPCs)
+    for (let k = maskOffsets[upperMask]; k < maskOffsets[upperMask + 1]; k++) {
+      const i = maskTemplates[k]
+      const t = templates[i]
+      const templateMask = templateMasks[i]
+      if (templateMask & (1 << bassPC) || (upperMask & ~templateMask) !== 0) continue
+      results.push({
+        root: t.root,
+        rootName: spelledRootName(t.root, t.type),
+        type: t.type,
+        typeIndex: templateTypeIndex[i],
+        matchedCount: upperPCs.size,
+        chordSize: t.size,
+        isSubset: false,
+        exactMatch: upperPCs.size + 1 === pressedSize,
+        matchedPCs: upperList.slice(),
+        missingPCs: templatePCLists[i].filter(p => !(upperMask & (1 << p))),
+        extraPCs: [bassPC],
+        chordPCs: templatePCLists[i].slice(),
+        confidence: maskConfidence(i, k) * SLASH_BASS_FACTOR,
+        omitted: omittedRoles(i, upperMask),
+        bass: bassPC,
+        bassRole: null,
+        slash: true
+      })
+    }
+  }
+
+  return results.sort(compareMatches)
+}
+
+// Utility: pretty-print pitch classes as note names.
+// options: { root, type } spell chord tones from that chord's formula; keySignature as for spellChordTones
+export function pcsToNotes(pcs, { root = null, type = null, keySignature = null } = {}) {
+  const tones = root != null && type ? spellChordTones(root, type, { keySignature }).tones : []
+  return pcs.map(pc => {
+    const tone = tones.find(t => t.pc === pc)
+    return tone ? tone.name : spellPitchClass(pc, { keySignature })
+  }).join(' ')
 }
 
 // Map internal type keys to chord suffixes using the user's preferred notation
@@ -326,7 +763,7 @@ const typeSuffixMap = {
   'aug': '⁺',
   'sus2': 'sus²',
   'sus4': 'sus⁴',
-  'flat5': '♭⁵',
+  'flat5': '(♭⁵)',
   '6': '⁶',
   'm6': 'm⁶',
   '7': '⁷',
@@ -351,7 +788,7 @@ const typeSuffixMap = {
   'm9/6': 'm⁹/⁶',
   '9': '⁹',
   'm9': 'm⁹',
-  'b9': '♭⁹',
+  'b9': '⁷♭⁹',
   'mb9': 'm♭⁹',
   '9#5': '⁹⁺⁵',
   '9sus4': '⁹sus⁴',
@@ -376,30 +813,46 @@ const typeSuffixMap = {
 
 // Determine inversion and format a display name for a recognition match.
 // pressedMidiArray: Array of midi numbers (can be empty)
-export function formatMatch(match, pressedMidiArray = []) {
-  // display chord name in standard notation: Root + suffix
-  const rootName = match.rootName
+// options.keySignature: spell for a selected key signature (see spellChordTones)
+// options.notation: chord symbol style (see lib/notation.js; default 'house') and options.key,
+// the { tonic, mode } that Roman-numeral and Nashville names count from
+// The result includes `tones`, the spelled chord tones in formula order, and `omissions`
+// ('rootless', 'no3', 'no5') for the chord tones listed in match.omitted; source is always
+// 'dictionary' (see describeStructure for names built from the voicing instead).
+export function formatMatch(match, pressedMidiArray = [], { keySignature = null, notation = 'house', key = null } = {}) {
+  // display chord name in standard notation: Root + suffix (root and tones spelled from the formula)
+  const spelled = spellChordTones(match.root, match.type, { keySignature })
+  const rootName = spelled.rootName
+  const tones = spelled.tones
   const suffix = typeSuffixMap[match.type] !== undefined ? typeSuffixMap[match.type] : match.type
   // For single-note matches, display only the root name.
   if (match.type === 'single') {
-    return { displayName: rootName, inversion: null, bassName: rootName, longName: 'Single Note' }
+    const displayName = renderChordName({ type: 'single', rootPc: match.root, rootName, tones }, notation, key)
+    return { displayName, inversion: null, bassName: rootName, longName: 'Single Note', tones, omissions: [], source: 'dictionary' }
   }
 
   // Determine bass note (lowest pressed MIDI) if available
   let inversion = null
   let bassName = null
+  let bassPC = null
+  let idx = -1
   if (pressedMidiArray && pressedMidiArray.length > 0) {
     const bassMidi = Math.min(...pressedMidiArray)
-    const bassPC = ((bassMidi % 12) + 12) % 12
-    bassName = ROOT_NAMES[bassPC]
+    bassPC = ((bassMidi % 12) + 12) % 12
+    // a chord-tone bass keeps its chord spelling; anything else leans the way the root does
+    const bassTone = tones.find(t => t.pc === bassPC)
+    const rootAlter = rootName.includes('♭') ? -1 : rootName.includes('#') ? 1 : 0
+    bassName = bassTone ? bassTone.name : spellPitchClass(bassPC, { keySignature, prefer: rootAlter })
 
     // Decide whether to use inversion ordinal (triads & sevenths) or slash notation (9ths+)
     const chordToneIntervals = chordFormulas[match.type] || []
     const orderedTones = chordToneIntervals.map(i => (((match.root + i) % 12) + 12) % 12)
-    const idx = orderedTones.indexOf(bassPC)
+    idx = orderedTones.indexOf(bassPC)
 
     // Triads (3-note) and sevenths (4-note) use inversion names when the bass is a chord tone
-    if (match.chordSize <= 4) {
+    if (match.slash) {
+      inversion = 'slash chord'
+    } else if (match.chordSize <= 4) {
       if (idx === -1) {
         inversion = 'no chord tone in bass'
       } else if (idx === 0) {
@@ -412,23 +865,33 @@ export function formatMatch(match, pressedMidiArray = []) {
     } else {
       // For 9ths and above (chordSize > 4), prefer slash-chord notation instead of calling it a high-number inversion
       // We'll leave inversion null (or a short note) and include the bass as a slash in the display name below.
-      if (idx === -1) inversion = 'slash bass'
-      else inversion = 'slash bass'
+      inversion = idx === 0 ? 'root position' : 'slash bass'
     }
   }
 
-  // Build displayName: use slash notation for large chords (9+) or if bass is non-chord-tone
-  let displayName = `${rootName}${suffix ? suffix : ''}`
-  if (pressedMidiArray && pressedMidiArray.length > 0 && match.chordSize > 4 && bassName) {
+  // Build displayName: use slash notation when the bass is not a chord tone, and for large
+  // chords (9+) whenever the bass is not the root
+  // name the omitted root / third / fifth of a partial voicing, e.g. C⁷(no5), C⁹(rootless, no5)
+  const omissions = (match.omitted || []).map(role => OMISSION_LABELS[role]).filter(Boolean)
+  const omission = omissions.length > 0 && match.type !== 'fifth' ? `(${omissions.join(', ')})` : ''
+  let slash = false
+  if (pressedMidiArray && pressedMidiArray.length > 0 && bassName && match.type !== 'fifth' && (match.slash || !tones.some(t => t.name === bassName))) {
+    // foreign bass -> slash chord (D/C)
+    slash = true
+  } else if (pressedMidiArray && pressedMidiArray.length > 0 && match.chordSize > 4 && bassName && bassPC !== match.root) {
     // 9th and up -> use slash notation
-    displayName = `${displayName}/${bassName}`
+    slash = true
   } else if (pressedMidiArray && pressedMidiArray.length > 0 && bassName && match.chordSize === 2 && match.type === 'fifth') {
     // For two-note fifths, prefer showing as root+5 (no inversion wording) but include explicit bassName
     // If bass differs from root, show slash notation (e.g., inverted fourth interpreted as F5 when root is F)
-    if (bassName !== rootName) displayName = `${displayName}/${bassName}`
+    slash = bassName !== rootName
   }
+  const displayName = renderChordName({
+    type: match.type, houseSuffix: suffix, rootPc: match.root, rootName, tones, omission,
+    slash, bassPc: bassPC, bassName, bassIndex: match.slash ? -1 : idx
+  }, notation, key)
 
-  return { displayName, inversion, bassName, longName: longNameFor(match.type) }
+  return { displayName, inversion, bassName, longName: longNameFor(match.type), tones, omissions, source: 'dictionary' }
 }
 
 // Long human-readable names for chord types (used in the UI as verbose descriptors)
@@ -496,7 +959,9 @@ function longNameFor(type) {
 
 // Map semitone offset to a conventional interval name relative to root
 // 0 -> 1, 1 -> b2, 2 -> 2, 3 -> b3, 4 -> 3, 5 -> 4, 6 -> b5, 7 -> 5, 8 -> #5, 9 -> 6, 10 -> b7, 11 -> 7
-export function intervalName(semitones) {
+// With a chord type the name follows that chord's degrees instead, e.g. (9, 'dim7') -> 𝄫7, (15, '11#9') -> #9
+export function intervalName(semitones, type = null) {
+  if (type && chordFormulas[type] && chordFormulas[type].includes(semitones)) return degreeName(semitones, degreeFor(type, semitones))
   const map = {
     0: '1',
     1: '♭2',
@@ -514,9 +979,261 @@ export function intervalName(semitones) {
   return map[((semitones % 12) + 12) % 12] || `${semitones}`
 }
 
+const sameIntervals = (a, b) => a.length === b.length && a.every((v, i) => v === b[i])
+
+// chordFormulas key with exactly these intervals (highest-priority enabled type when several
+// share them), or null
+export function typeForIntervals(intervals) {
+  const sorted = intervals.slice().sort((a, b) => a - b)
+  const matches = Object.keys(chordFormulas).filter(type => !disabledTypes.has(type) && sameIntervals(chordFormulas[type].slice().sort((a, b) => a - b), sorted))
+  if (matches.length === 0) return null
+  return matches.sort((a, b) => chordPriority.indexOf(a) - chordPriority.indexOf(b))[0]
+}
+
+// --- Structural descriptions
+// Fallback names for voicings the dictionary has no exact template for: clusters, quartal and
+// quintal stacks (and the So What voicing), polychords (D/C⁷) and tertian stacks with altered
+// extensions (C⁷(♭9 #11)). Stacks and clusters are read from the voicing, lowest note first;
+// octave doublings are ignored.
+// describeStructure(notes, options) -> { source: 'structural', kind, displayName, longName,
+//   bassName, tones: [{ pc, name, label }] } or null; options as for formatMatch.
+// kind: 'cluster' | 'quartal' | 'quintal' | 'soWhat' | 'polychord' | 'tertian'
+
+// A match names the pressed notes exactly: every pitch class explained, no chord tone missing
+export function isExactMatch(match) {
+  return !!match && match.exactMatch && match.missingPCs.length === 0
+}
+
+const STEP_NAMES = { 4: 'major third', 5: 'perfect fourth', 6: 'augmented fourth', 7: 'perfect fifth' }
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`
+
+// lowest occurrence of every pitch class, low to high
+function voicedNotes(notes) {
+  const seen = new Set()
+  return notes.slice().sort((a, b) => a - b).filter(n => {
+    const pc = ((n % 12) + 12) % 12
+    if (seen.has(pc)) return false
+    seen.add(pc)
+    return true
+  })
+}
+
+// Spell a stack from its lowest note: letterSteps[i] letters above the previous note
+function stackTones(voiced, letterSteps, keySignature) {
+  const low = voiced[0]
+  const intervals = voiced.map(n => n - low)
+  const offsets = letterSteps.reduce((acc, step) => [...acc, acc[acc.length - 1] + step], [0])
+  const { tones } = spellTones(low, intervals, offsets.map(o => o + 1), { keySignature })
+  return tones.map((t, i) => ({ pc: t.pc, name: t.name, label: degreeName(intervals[i], (offsets[i] % 7) + 1) }))
+}
+
+function describeStack(voiced, keySignature) {
+  const steps = voiced.slice(1).map((n, i) => n - voiced[i])
+  const fourths = steps.filter(s => s === 5).length
+
+  if (steps.every(s => s <= 2)) {
+    const chromatic = steps.every(s => s === 1)
+    const tones = voiced.map(n => ({ pc: ((n % 12) + 12) % 12, name: spellPitchClass(n, { keySignature }), label: intervalName(n - voiced[0]) }))
+    return {
+      kind: 'cluster',
+      displayName: `${tones[0].name}–${tones[tones.length - 1].name} cluster`,
+      longName: `${chromatic ? 'Chromatic' : 'Diatonic'} cluster of ${voiced.length} notes`,
+      tones
+    }
+  }
+  if (steps.every(s => s === 5 || s === 6) && fourths > 0) {
+    const tones = stackTones(voiced, steps.map(() => 3), keySignature)
+    const augmented = steps.length - fourths
+    return {
+      kind: 'quartal',
+      displayName: `${tones[0].name} quartal`,
+      longName: `Quartal stack of ${plural(fourths, STEP_NAMES[5])}${augmented ? ` and ${plural(augmented, STEP_NAMES[6])}` : ''}`,
+      tones
+    }
+  }
+  if (steps.length >= 3 && steps[steps.length - 1] === 4 && steps.slice(0, -1).every(s => s === 5)) {
+    const tones = stackTones(voiced, [...steps.slice(0, -1).map(() => 3), 2], keySignature)
+    return {
+      kind: 'soWhat',
+      displayName: `${tones[0].name} So What`,
+      longName: `So What voicing: ${plural(fourths, STEP_NAMES[5])} and a ${STEP_NAMES[4]} on top`,
+      tones
+    }
+  }
+  if (steps.every(s => s === 7)) {
+    const tones = stackTones(voiced, steps.map(() => 4), keySignature)
+    return {
+      kind: 'quintal',
+      displayName: `${tones[0].name} quintal`,
+      longName: `Quintal stack of ${plural(steps.length, STEP_NAMES[7])}`,
+      tones
+    }
+  }
+  return null
+}
+
+// Two complete dictionary chords of three or more notes, one above the other
+function describePolychord(voiced, options) {
+  for (let split = 3; split <= voiced.length - 3; split++) {
+    const lowerNotes = voiced.slice(0, split)
+    const upperNotes = voiced.slice(split)
+    const lower = recognize(lowerNotes)[0]
+    const upper = recognize(upperNotes)[0]
+    if (!isExactMatch(lower) || !isExactMatch(upper) || lower.slash || upper.slash || lower.root === upper.root) continue
+    // layers are named without their inversions, D/C⁷ rather than D/F#/C⁷
+    const lowerName = formatMatch(lower, [], options)
+    const upperName = formatMatch(upper, [], options)
+    // each layer's notes are labelled with their degree in that layer's chord
+    const spell = (layer, match, name) => layer.map(n => {
+      const tone = name.tones.find(t => t.pc === ((n % 12) + 12) % 12)
+      return { pc: tone.pc, name: tone.name, label: intervalName(tone.interval, match.type) }
+    })
+    return {
+      kind: 'polychord',
+      displayName: `${upperName.displayName}/${lowerName.displayName}`,
+      longName: `Polychord: ${upper.rootName} ${upperName.longName} over ${lower.rootName} ${lowerName.longName}`,
+      tones: [...spell(lowerNotes, lower, lowerName), ...spell(upperNotes, upper, upperName)]
+    }
+  }
+  return null
+}
+
+// Extensions over a seventh chord by semitones above the root: [interval, degree]
+const TERTIAN_EXTENSIONS = { 1: [13, 2], 2: [14, 2], 3: [15, 2], 5: [17, 4], 6: [18, 4], 8: [20, 6], 9: [21, 6] }
+
+// Read the pitch classes as thirds stacked on `root`: a third, a seventh (or the 𝄫7 of a
+// diminished seventh), an optional fifth and at least one extension; null if anything is left over
+function tertianReading(root, pcs) {
+  const rel = new Set(Array.from(pcs).map(pc => ((pc - root) % 12 + 12) % 12))
+  if (!rel.has(0)) return null
+  const third = rel.has(4) ? 4 : rel.has(3) ? 3 : null
+  if (third == null) return null
+  const diminished = third === 3 && rel.has(6) && rel.has(9) && !rel.has(10) && !rel.has(11)
+  const seventh = rel.has(10) ? 10 : rel.has(11) ? 11 : diminished ? 9 : null
+  if (seventh == null) return null
+  // without a perfect fifth a tritone over a major third is the #11, over a minor third the ♭5
+  const fifth = rel.has(7) ? 7 : third === 3 && rel.has(6) ? 6 : third === 4 && rel.has(8) ? 8 : null
+  const type = typeForIntervals([0, third, fifth == null ? 7 : fifth, seventh])
+  if (!type) return null
+
+  const core = [[0, 1], [third, 3], ...(fifth == null ? [] : [[fifth, 5]]), [seventh, 7]]
+  const extensions = []
+  for (const r of rel) {
+    if (core.some(([i]) => i === r)) continue
+    // a minor third beside the major third is the #9
+    if (!TERTIAN_EXTENSIONS[r] || (r === 3 && third !== 4)) return null
+    extensions.push(TERTIAN_EXTENSIONS[r])
+  }
+  if (extensions.length === 0) return null
+  extensions.sort((a, b) => a[0] - b[0])
+  return { root, type, core, extensions, altered: extensions.filter(([i, d]) => /[♭#]/.test(degreeName(i, d))).length }
+}
+
+function describeTertian(voiced, options) {
+  const pcs = new Set(voiced.map(n => ((n % 12) + 12) % 12))
+  const bassPC = ((voiced[0] % 12) + 12) % 12
+  // the bass as the root first, then the fewest extensions and alterations
+  const readings = Array.from(pcs).map(root => tertianReading(root, pcs)).filter(Boolean)
+    .sort((a, b) => (b.root === bassPC) - (a.root === bassPC) || a.extensions.length - b.extensions.length || a.altered - b.altered)
+  const reading = readings[0]
+  if (!reading) return null
+
+  const steps = [...reading.core, ...reading.extensions]
+  const { tones } = spellTones(reading.root, steps.map(([i]) => i), steps.map(([, d]) => d), { keySignature: options.keySignature })
+  const labels = steps.map(([i, d]) => degreeName(i, d))
+  const extensionLabels = labels.slice(reading.core.length)
+  const base = formatMatch({ root: reading.root, type: reading.type, chordSize: chordFormulas[reading.type].length }, [], options)
+  const bass = tones.find(t => t.pc === bassPC)
+  return {
+    kind: 'tertian',
+    displayName: `${base.displayName}(${extensionLabels.join(' ')})${reading.root === bassPC ? '' : `/${bass.name}`}`,
+    longName: `Tertian stack: ${base.longName} with ${extensionLabels.join(', ')}${reading.core.length === 3 ? ' (no 5th)' : ''}`,
+    tones: tones.map((t, i) => ({ pc: t.pc, name: t.name, label: labels[i] }))
+  }
+}
+
+export function describeStructure(pressedNotes, options = {}) {
+  const arr = Array.isArray(pressedNotes) ? pressedNotes : Array.from(pressedNotes || [])
+  const voiced = voicedNotes(arr)
+  if (voiced.length < 3) return null
+  const description = describeStack(voiced, options.keySignature) || describePolychord(voiced, options) || describeTertian(voiced, options)
+  if (!description) return null
+  const bass = description.tones.find(t => t.pc === ((voiced[0] % 12) + 12) % 12)
+  return { source: 'structural', ...description, bassName: bass ? bass.name : null }
+}
+
 // Expose templates and regenerate function for testing/debugging
 export function getTemplates() { return templates }
 export function regenTemplates() { generateTemplates(); return templates }
+// Display suffix of every chord type (used by the chord-symbol parser to read names back)
+export function getChordSuffixes() { return { ...typeSuffixMap } }
+
+// --- User chord dictionary
+// The built-in vocabulary above can be extended and overridden by a dictionary (see
+// lib/chordDictionary.js): { types: { [key]: { formula, suffix, longName, priority, tags, disabled } } }
+// Entries for built-in keys override only the fields they set; other keys add new types.
+// priority is a position in chordPriority (0 = preferred first).
+const BUILTIN = {
+  formulas: JSON.parse(JSON.stringify(chordFormulas)),
+  priority: chordPriority.slice(),
+  suffixes: { ...typeSuffixMap },
+  longNames: { ...typeLongNameMap },
+  tags: JSON.parse(JSON.stringify(chordTags))
+}
+
+const replaceContents = (target, source) => {
+  for (const key of Object.keys(target)) delete target[key]
+  Object.assign(target, source)
+}
+
+// Reset the vocabulary to the built-ins, apply a dictionary and rebuild the templates
+export function applyChordDictionary(dictionary) {
+  replaceContents(chordFormulas, JSON.parse(JSON.stringify(BUILTIN.formulas)))
+  replaceContents(typeSuffixMap, { ...BUILTIN.suffixes })
+  replaceContents(typeLongNameMap, { ...BUILTIN.longNames })
+  replaceContents(chordTags, JSON.parse(JSON.stringify(BUILTIN.tags)))
+  const priority = BUILTIN.priority.slice()
+  disabledTypes.clear()
+
+  const entries = Object.entries((dictionary && dictionary.types) || {})
+  for (const [key, entry] of entries) {
+    if (Array.isArray(entry.formula)) chordFormulas[key] = entry.formula.slice()
+    if (!chordFormulas[key]) continue // override of a type that no longer exists
+    if (entry.suffix != null) typeSuffixMap[key] = entry.suffix
+    else if (typeSuffixMap[key] == null) typeSuffixMap[key] = key
+    if (entry.longName != null) typeLongNameMap[key] = entry.longName
+    if (Array.isArray(entry.tags)) chordTags[key] = entry.tags.slice()
+    if (entry.disabled) disabledTypes.add(key)
+    if (!priority.includes(key)) priority.push(key)
+  }
+  // move types with an explicit priority into place, in order of their target position
+  const placed = entries.filter(([key, entry]) => Number.isInteger(entry.priority) && chordFormulas[key])
+    .sort((a, b) => a[1].priority - b[1].priority)
+  for (const [key, entry] of placed) {
+    priority.splice(priority.indexOf(key), 1)
+    priority.splice(Math.min(entry.priority, priority.length), 0, key)
+  }
+  chordPriority.splice(0, chordPriority.length, ...priority)
+
+  rootNameCache.clear()
+  roleCache.clear()
+  generateTemplates()
+}
+
+// Every chord type with its effective definition, in priority order:
+// [{ key, formula, suffix, longName, priority, tags, disabled, builtIn }]
+export function listChordTypes() {
+  return chordPriority.filter(key => chordFormulas[key]).map((key, priority) => ({
+    key,
+    formula: chordFormulas[key].slice(),
+    suffix: typeSuffixMap[key] != null ? typeSuffixMap[key] : key,
+    longName: longNameFor(key),
+    priority,
+    tags: (chordTags[key] || []).slice(),
+    disabled: disabledTypes.has(key),
+    builtIn: Object.prototype.hasOwnProperty.call(BUILTIN.formulas, key)
+  }))
+}
 
 // Export root names for convenience
 export const ROOTS = ROOT_NAMES
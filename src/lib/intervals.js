@@ -0,0 +1,98 @@
+// Interval recognition for two-note input (dyads).
+// recognizeInterval(notes) reads exactly two pitch classes as an interval from the lowest note up:
+//   { lower, upper, lowerName, upperName, semitones, simpleSemitones, octaves, compound,
+//     number, quality, name, shortName, inversion }
+// - semitones: the real distance, so compound intervals keep their size (C4-E5 is a major 10th)
+// - quality: 'perfect' | 'major' | 'minor' | 'augmented' | 'diminished'
+// - inversion: the complementary simple interval (a major 3rd inverts to a minor 6th)
+// Doubled notes are allowed: the interval is measured from the lowest note to the lowest note
+// of the other pitch class. Anything other than two pitch classes returns null.
+
+import { LETTERS, spellWithLetter, spellPitchClass } from './spelling'
+
+// simple intervals by semitones; the tritone is named an augmented 4th unless spelling it as a
+// diminished 5th needs fewer accidentals
+const SIMPLE = [
+  { number: 1, quality: 'perfect' },
+  { number: 2, quality: 'minor' },
+  { number: 2, quality: 'major' },
+  { number: 3, quality: 'minor' },
+  { number: 3, quality: 'major' },
+  { number: 4, quality: 'perfect' },
+  { number: 4, quality: 'augmented' },
+  { number: 5, quality: 'perfect' },
+  { number: 6, quality: 'minor' },
+  { number: 6, quality: 'major' },
+  { number: 7, quality: 'minor' },
+  { number: 7, quality: 'major' }
+]
+const QUALITY_LETTERS = { perfect: 'P', major: 'M', minor: 'm', augmented: 'A', diminished: 'd' }
+
+const mod12 = (n) => ((n % 12) + 12) % 12
+
+function ordinal(n) {
+  if (n === 1) return 'unison'
+  if (n === 8) return 'octave'
+  const teen = n % 100 >= 11 && n % 100 <= 13
+  const suffix = teen ? 'th' : n % 10 === 1 ? 'st' : n % 10 === 2 ? 'nd' : n % 10 === 3 ? 'rd' : 'th'
+  return `${n}${suffix}`
+}
+
+function describe(number, quality, semitones) {
+  const simple = mod12(semitones)
+  const base = `${quality[0].toUpperCase()}${quality.slice(1)} ${ordinal(number)}`
+  return {
+    number,
+    quality,
+    name: simple === 6 ? `${base} (tritone)` : base,
+    shortName: `${QUALITY_LETTERS[quality]}${number}`
+  }
+}
+
+const accidentalCount = (s) => (s ? Math.abs(s.alter) : Infinity)
+
+export function recognizeInterval(notes, { keySignature = null } = {}) {
+  const arr = Array.isArray(notes) ? notes : Array.from(notes || [])
+  const pcs = new Set(arr.map(mod12))
+  if (pcs.size !== 2) return null
+  const lower = Math.min(...arr)
+  const upper = Math.min(...arr.filter(n => mod12(n) !== mod12(lower)))
+  const semitones = upper - lower
+  const simpleSemitones = mod12(semitones)
+  const octaves = Math.floor(semitones / 12)
+
+  let { number, quality } = SIMPLE[simpleSemitones]
+  const lowerName = spellPitchClass(lower, { keySignature })
+  const lowerLetter = LETTERS.indexOf(lowerName[0])
+  let upperSpelling = spellWithLetter(upper, lowerLetter + number - 1)
+  if (simpleSemitones === 6) {
+    const asFifth = spellWithLetter(upper, lowerLetter + 4)
+    if (accidentalCount(asFifth) < accidentalCount(upperSpelling)) {
+      number = 5
+      quality = 'diminished'
+      upperSpelling = asFifth
+    }
+  }
+  const upperName = upperSpelling ? upperSpelling.name : spellPitchClass(upper, { keySignature })
+
+  const compoundNumber = number + 7 * octaves
+  const inverse = 12 - simpleSemitones
+  const inv = SIMPLE[inverse]
+  // the inversion of a diminished 5th is an augmented 4th and vice versa
+  const inversion = simpleSemitones === 6
+    ? describe(quality === 'diminished' ? 4 : 5, quality === 'diminished' ? 'augmented' : 'diminished', 6)
+    : describe(inv.number, inv.quality, inverse)
+
+  return {
+    lower,
+    upper,
+    lowerName,
+    upperName,
+    semitones,
+    simpleSemitones,
+    octaves,
+    compound: octaves > 0,
+    ...describe(compoundNumber, quality, semitones),
+    inversion: { ...inversion, semitones: inverse }
+  }
+}
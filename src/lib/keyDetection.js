@@ -0,0 +1,108 @@
+// Key finding from the session's note history (Krumhansl-Schmuckler).
+// The history weighs every pitch class by how often and how long it sounded: each note-on adds
+// ONSET_WEIGHT and each note adds its sounding time in seconds when it stops. Older input fades
+// with a half-life (KEY_HALF_LIFE_MS), so the estimate follows modulations.
+// detectKey(weights) correlates the weights with the Krumhansl-Kessler major and minor profiles
+// in all 12 transpositions and returns the best key, its confidence and the runner-up keys.
+// Pure reducer, like lib/noteState.js; App feeds it the notes that start and stop sounding.
+
+import { KEYS } from './notation'
+
+// Krumhansl & Kessler (1982) probe-tone profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88]
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+
+export const KEY_HALF_LIFE_MS = 30000
+const ONSET_WEIGHT = 0.25
+// below this total weight (one onset) the history has faded out and there is no estimate
+export const MIN_KEY_WEIGHT = ONSET_WEIGHT
+// softmax temperature turning correlations into confidences
+const CONFIDENCE_TEMPERATURE = 0.1
+
+const mod12 = (n) => ((n % 12) + 12) % 12
+
+export function createKeyHistory() {
+  return { weights: new Array(12).fill(0), sounding: new Map(), time: null }
+}
+
+// Fade the accumulated weights to `time`
+function advance(state, time, halfLifeMs) {
+  if (state.time == null || time <= state.time) return { ...state, time: state.time == null ? time : state.time }
+  const factor = Math.pow(0.5, (time - state.time) / halfLifeMs)
+  return { ...state, weights: state.weights.map(w => w * factor), time }
+}
+
+// actions:
+// - { type: 'noteOn', note, time }: a note starts sounding
+// - { type: 'noteOff', note, time }: a note stops sounding (key up without pedal, or pedal up)
+// - { type: 'reset' }
+export function keyHistoryReducer(state, action, { halfLifeMs = KEY_HALF_LIFE_MS } = {}) {
+  switch (action.type) {
+    case 'noteOn': {
+      const next = advance(state, action.time, halfLifeMs)
+      const weights = next.weights.slice()
+      weights[mod12(action.note)] += ONSET_WEIGHT
+      const sounding = new Map(next.sounding)
+      sounding.set(action.note, action.time)
+      return { ...next, weights, sounding }
+    }
+    case 'noteOff': {
+      if (!state.sounding.has(action.note)) return state
+      const next = advance(state, action.time, halfLifeMs)
+      const weights = next.weights.slice()
+      const started = next.sounding.get(action.note)
+      // the note faded while it sounded: credit its duration at its mid-point age
+      weights[mod12(action.note)] += ((action.time - started) / 1000) * Math.pow(0.5, (action.time - started) / 2 / halfLifeMs)
+      const sounding = new Map(next.sounding)
+      sounding.delete(action.note)
+      return { ...next, weights, sounding }
+    }
+    case 'reset':
+      return createKeyHistory()
+    default:
+      return state
+  }
+}
+
+// Pitch-class weights at `time`, including the notes still sounding
+export function pitchClassWeights(state, time, { halfLifeMs = KEY_HALF_LIFE_MS } = {}) {
+  let current = advance(state, time, halfLifeMs)
+  for (const note of state.sounding.keys()) current = keyHistoryReducer(current, { type: 'noteOff', note, time }, { halfLifeMs })
+  return current.weights
+}
+
+function correlation(a, b) {
+  const n = a.length
+  const meanA = a.reduce((s, v) => s + v, 0) / n
+  const meanB = b.reduce((s, v) => s + v, 0) / n
+  let num = 0, da = 0, db = 0
+  for (let i = 0; i < n; i++) {
+    num += (a[i] - meanA) * (b[i] - meanB)
+    da += (a[i] - meanA) ** 2
+    db += (b[i] - meanB) ** 2
+  }
+  return da === 0 || db === 0 ? 0 : num / Math.sqrt(da * db)
+}
+
+// Best key for pitch-class weights (array of 12), or null without input (less than
+// MIN_KEY_WEIGHT in total, e.g. once the session's notes have faded).
+// Returns { key, correlation, confidence, ranking } where ranking lists every key as
+// { key, correlation, confidence } best first; confidences add up to 1.
+export function detectKey(weights) {
+  if (!weights || weights.reduce((sum, w) => sum + w, 0) < MIN_KEY_WEIGHT) return null
+  const scored = KEYS.map(key => {
+    const profile = key.mode === 'minor' ? MINOR_PROFILE : MAJOR_PROFILE
+    const rotated = weights.map((_, pc) => weights[mod12(pc + key.tonic)])
+    return { key, correlation: correlation(rotated, profile) }
+  })
+  const exps = scored.map(s => Math.exp(s.correlation / CONFIDENCE_TEMPERATURE))
+  const total = exps.reduce((a, b) => a + b, 0)
+  const ranking = scored.map((s, i) => ({ ...s, confidence: exps[i] / total })).sort((a, b) => b.correlation - a.correlation)
+  return { ...ranking[0], ranking }
+}
+
+// Pitch classes belonging to a key: the major scale, or natural minor with the leading tone
+export function keyScalePcs(key) {
+  const steps = key.mode === 'minor' ? [0, 2, 3, 5, 7, 8, 10, 11] : [0, 2, 4, 5, 7, 9, 11]
+  return new Set(steps.map(s => mod12(key.tonic + s)))
+}
@@ -0,0 +1,206 @@
+// Chord notation styles. formatMatch (lib/chords.js) builds every chord name in the house style
+// (superscripts, °, ⁺, M⁷) and hands the parts to renderChordName for the other styles:
+// - jazz: CΔ7, C-7, Cø7, C°7, C+
+// - ascii: Cmaj7, Cm7b5, Cdim7, Caug
+// - roman: Roman numerals with figured-bass inversions (V⁶₅, ii⁷, vii°⁷); needs a key
+// - nashville: Nashville numbers (5, 2-⁷, 4Δ⁷, 1/3); needs a key
+// - german: H for B and B for B♭, -is / -es roots (Fis7, Es, Hm7)
+
+export const NOTATION_STYLES = [
+  { id: 'house', label: 'Superscript (C⁷, Cm⁷♭⁵, CM⁷)' },
+  { id: 'jazz', label: 'Jazz (CΔ7, C-7, Cø7)' },
+  { id: 'ascii', label: 'Plain ASCII (Cmaj7, Cm7b5)' },
+  { id: 'roman', label: 'Roman numerals (needs a key)' },
+  { id: 'nashville', label: 'Nashville numbers (needs a key)' },
+  { id: 'german', label: 'German (H / B)' }
+]
+
+export const KEY_STYLES = ['roman', 'nashville']
+
+const MAJOR_TONIC_NAMES = ['C', 'D♭', 'D', 'E♭', 'E', 'F', 'F#', 'G', 'A♭', 'A', 'B♭', 'B']
+const MINOR_TONIC_NAMES = ['C', 'C#', 'D', 'E♭', 'E', 'F', 'F#', 'G', 'G#', 'A', 'B♭', 'B']
+
+// The 24 keys for Roman / Nashville analysis: { id: 'tonic:mode', tonic, mode, label }
+export const KEYS = ['major', 'minor'].flatMap(mode => Array.from({ length: 12 }, (_, tonic) => ({
+  id: `${tonic}:${mode}`,
+  tonic,
+  mode,
+  label: `${(mode === 'major' ? MAJOR_TONIC_NAMES : MINOR_TONIC_NAMES)[tonic]} ${mode}`
+})))
+
+// Key setting value that follows the key detected from the playing (Chord Recognition)
+export const AUTO_KEY = 'auto'
+
+export function parseKey(id) {
+  return KEYS.find(k => k.id === id) || KEYS[0]
+}
+
+const NOTATION_KEY = 'piano:notation'
+
+export function loadNotationSettings() {
+  const def = { style: 'house', key: '0:major' }
+  try {
+    const raw = localStorage.getItem(NOTATION_KEY)
+    if (raw) {
+      const parsed = JSON.parse(raw)
+      if (parsed && NOTATION_STYLES.some(s => s.id === parsed.style)) return { ...def, ...parsed }
+    }
+  } catch (e) {}
+  return def
+}
+
+export function saveNotationSettings(settings) {
+  try { localStorage.setItem(NOTATION_KEY, JSON.stringify(settings)) } catch (e) {}
+}
+
+// Plain ASCII suffix of the built-in chord types
+const ASCII_SUFFIXES = {
+  'fifth': '5', 'major': '', 'minor': 'm', 'dim': 'dim', 'aug': 'aug', 'sus2': 'sus2', 'sus4': 'sus4', 'flat5': '(b5)',
+  '6': '6', 'm6': 'm6', '7': '7', 'm7': 'm7', 'dim7': 'dim7', 'M7': 'maj7', 'mM7': 'm(maj7)',
+  '7sus2': '7sus2', '7sus4': '7sus4', '7b5': '7b5', '7#5': '7#5', 'm7b5': 'm7b5', 'm7#5': 'm7#5',
+  'add9': 'add9', 'madd9': 'madd9', 'add11': 'add11', 'madd11': 'madd11', 'add13': 'add13', 'madd13': 'madd13',
+  '7/6': '7/6', '9/6': '6/9', 'm9/6': 'm6/9',
+  '9': '9', 'm9': 'm9', 'b9': '7b9', 'mb9': 'm7b9', '9#5': '9#5', '9sus4': '9sus4', '9b5': '9b5', 'm9b5': 'm9b5', 'm9#5': 'm9#5', 'M9': 'maj9',
+  '11': '11', 'm11': 'm11', 'M11': 'maj11', '11b5': '11b5', '11#5': '11#5', '11M7': '11(maj7)', '11b9': '11b9', '11#9': '11#9',
+  '13': '13', 'M13': 'maj13', 'm13': 'm13', '13b5': '13b5', '13#5': '13#5'
+}
+
+const SUPERSCRIPT_DIGITS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' }
+
+// ASCII suffix for any type; user-defined types are transliterated from their house suffix
+export function asciiSuffix(type, houseSuffix = '') {
+  if (ASCII_SUFFIXES[type] != null) return ASCII_SUFFIXES[type]
+  return Array.from(houseSuffix || '').map(c => SUPERSCRIPT_DIGITS[c] || c).join('')
+    .replace(/♭/g, 'b').replace(/⁺/g, '#').replace(/°/g, 'dim').replace(/ø/g, 'm7b5')
+}
+
+function jazzSuffix(ascii) {
+  if (ascii === 'm7b5') return 'ø7'
+  if (ascii === 'm9b5') return 'ø9'
+  return ascii
+    .replace(/^m\(maj(\d+)\)/, '-Δ$1')
+    .replace(/\(maj(\d+)\)/, 'Δ$1')
+    .replace(/^maj/, 'Δ')
+    .replace(/^m(?!aj)/, '-')
+    .replace(/^dim/, '°')
+    .replace(/^aug/, '+')
+}
+
+const GERMAN_LETTERS = { B: 'H' }
+// German note name from a spelled name: B♭ -> B, B -> H, F# -> Fis, E♭ -> Es, A♭ -> As, D♭ -> Des
+export function germanNoteName(name) {
+  const m = String(name || '').match(/^([A-G])(.*)$/)
+  if (!m) return name
+  const [, letter, acc] = m
+  const alter = Array.from(acc).reduce((n, c) => n + ({ '#': 1, '♭': -1, '𝄪': 2, '𝄫': -2 }[c] || 0), 0)
+  if (letter === 'B' && alter === -1) return 'B'
+  if (letter === 'B' && alter === -2) return 'Heses'
+  const base = GERMAN_LETTERS[letter] || letter
+  if (alter > 0) return base + 'is'.repeat(alter)
+  if (alter < 0) return base + (letter === 'E' || letter === 'A' ? 's' + 'es'.repeat(-alter - 1) : 'es'.repeat(-alter))
+  return base
+}
+
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII']
+// chromatic scale degrees relative to the key: [accidental, degree index]
+const MAJOR_DEGREES = [['', 0], ['♭', 1], ['', 1], ['♭', 2], ['', 2], ['', 3], ['#', 3], ['', 4], ['♭', 5], ['', 5], ['♭', 6], ['', 6]]
+// minor keys are read against harmonic minor, so the leading-tone chord is vii° and the subtonic ♭VII
+const MINOR_DEGREES = [['', 0], ['♭', 1], ['', 1], ['', 2], ['#', 2], ['', 3], ['#', 3], ['', 4], ['', 5], ['#', 5], ['♭', 6], ['', 6]]
+// Nashville numbers always count against the major scale of the tonic (minor keys read ♭3, ♭6, ♭7)
+const NASHVILLE_DEGREES = MAJOR_DEGREES
+
+const mod12 = (n) => ((n % 12) + 12) % 12
+
+function scaleDegree(pc, key, table) {
+  const [acc, index] = table[mod12(pc - key.tonic)]
+  return { acc, index }
+}
+
+const SUPERSCRIPT = '⁰¹²³⁴⁵⁶⁷⁸⁹'
+// Roman numerals and Nashville numbers raise the chord's number, after any quality mark, so it
+// cannot run into the degree (V⁹, 5⁷, 2-⁷, 4Δ⁹, 5⁶/⁹); tensions and sus / add stay on the line
+const raiseChordNumber = (suffix) => suffix.replace(/^([-Δ°ø+M]*)(\d+(?:\/\d+)?)/, (_, quality, digits) =>
+  quality + Array.from(digits).map(c => (c === '/' ? c : SUPERSCRIPT[c])).join(''))
+
+// figured-bass inversion marks for triads and sevenths, by position of the bass in the chord
+const TRIAD_FIGURES = ['', '⁶', '⁶₄']
+const SEVENTH_FIGURES = ['⁷', '⁶₅', '⁴₃', '⁴₂']
+
+// Roman numeral of a chord in a key (also used by lib/analysis.js)
+export function romanNumeral(parts, key) {
+  const { type, tones, rootPc, bassIndex, slash, bassPc } = parts
+  const intervals = tones.map(t => t.interval)
+  const { acc, index } = scaleDegree(rootPc, key, key.mode === 'minor' ? MINOR_DEGREES : MAJOR_DEGREES)
+  const minorThird = intervals.includes(3) && !intervals.includes(4)
+  const numeral = minorThird ? ROMAN[index].toLowerCase() : ROMAN[index]
+  const ascii = asciiSuffix(type, parts.houseSuffix)
+  const seventh = tones.length === 4 && intervals.some(i => i === 9 || i === 10 || i === 11) && !intervals.some(i => i > 11) && type !== '6' && type !== 'm6'
+
+  // quality marks: ° diminished, ø half-diminished, + augmented, M major seventh
+  let quality = ''
+  if (type === 'dim' || type === 'dim7') quality = '°'
+  else if (type === 'm7b5') quality = 'ø'
+  else if (type === 'aug' || type === '7#5') quality = '+'
+  let figure
+  if (seventh || type === 'dim7') {
+    const major7 = intervals.includes(11)
+    const inv = bassIndex > 0 && bassIndex < 4 ? bassIndex : 0
+    figure = `${major7 ? 'M' : ''}${SEVENTH_FIGURES[inv]}`
+    // altered sevenths keep their alteration after the figure
+    if (!['7', 'm7', 'M7', 'mM7', 'dim7', 'm7b5', '7#5'].includes(type)) figure += ascii.replace(/^m?(maj)?7/, '')
+  } else if (tones.length === 3 && ['major', 'minor', 'dim', 'aug'].includes(type)) {
+    figure = TRIAD_FIGURES[bassIndex > 0 && bassIndex < 3 ? bassIndex : 0]
+  } else if (type === '6' || type === 'm6') {
+    // a raised 6 would read as the first-inversion figure
+    figure = 'add6'
+  } else {
+    figure = raiseChordNumber(ascii.replace(/^m(?!aj)/, '').replace(/^maj/, 'M').replace(/^dim/, '').replace(/^aug/, ''))
+  }
+  const name = `${acc}${numeral}${quality}${figure}`
+  if (!slash || bassPc == null) return name
+  const bass = scaleDegree(bassPc, key, key.mode === 'minor' ? MINOR_DEGREES : MAJOR_DEGREES)
+  return `${name} over ${bass.acc}${bass.index + 1}`
+}
+
+function nashvilleName(parts, key) {
+  const { acc, index } = scaleDegree(parts.rootPc, key, NASHVILLE_DEGREES)
+  const name = `${acc}${index + 1}${raiseChordNumber(jazzSuffix(asciiSuffix(parts.type, parts.houseSuffix)))}`
+  // Nashville charts write every inversion over its bass: 1/3, 5/7
+  if (parts.bassPc == null || !(parts.slash || parts.bassIndex > 0)) return name
+  const bass = scaleDegree(parts.bassPc, key, NASHVILLE_DEGREES)
+  return `${name}/${bass.acc}${bass.index + 1}`
+}
+
+const asciiOmission = (omission) => omission.replace(/\s/g, '')
+
+// Chord name in a notation style.
+// parts: { type, houseSuffix, rootPc, rootName, tones, omission, slash, bassPc, bassName, bassIndex }
+// - slash: the house name shows the bass after a slash; bassIndex: position of the bass in the formula
+// key: { tonic, mode } for roman / nashville (C major when missing)
+export function renderChordName(parts, style = 'house', key = null) {
+  const { type, houseSuffix = '', rootName, omission = '', slash, bassName } = parts
+  if (type === 'single') return style === 'german' ? germanNoteName(rootName) : rootName
+  const k = key || KEYS[0]
+  switch (style) {
+    case 'ascii': {
+      const name = `${rootName.replace(/♭/g, 'b').replace(/𝄫/g, 'bb').replace(/𝄪/g, 'x')}${asciiSuffix(type, houseSuffix)}${asciiOmission(omission)}`
+      return slash && bassName ? `${name}/${bassName.replace(/♭/g, 'b').replace(/𝄫/g, 'bb').replace(/𝄪/g, 'x')}` : name
+    }
+    case 'jazz': {
+      const name = `${rootName}${jazzSuffix(asciiSuffix(type, houseSuffix))}${omission}`
+      return slash && bassName ? `${name}/${bassName}` : name
+    }
+    case 'german': {
+      const name = `${germanNoteName(rootName)}${asciiSuffix(type, houseSuffix)}${omission}`
+      return slash && bassName ? `${name}/${germanNoteName(bassName)}` : name
+    }
+    case 'roman':
+      return `${romanNumeral(parts, k)}${omission}`
+    case 'nashville':
+      return `${nashvilleName(parts, k)}${omission}`
+    default: {
+      const name = `${rootName}${houseSuffix}${omission}`
+      return slash && bassName ? `${name}/${bassName}` : name
+    }
+  }
+}
@@ -0,0 +1,173 @@
+// Note state tracking (held keys, pedal-sustained notes and pedal positions).
+// Pure reducer used by App so the pedal rules live in one place:
+// - held: Map deviceKey -> Map midi -> note event for keys physically down, per device
+// - sustained: Map midi -> note event for keys released while a pedal keeps them sounding
+// - sostenutoNotes: Set of midi notes captured when the sostenuto pedal went down
+// - pedals: { sustain, sostenuto, soft } booleans
+// - pedalOwners: { pedal -> deviceKey } device that last moved each pedal
+//
+// Sustain (CC64) keeps every released note sounding until the pedal is lifted.
+// Sostenuto (CC66) only keeps the notes that were held at the moment it was pressed.
+// Soft (CC67) does not affect which notes sound; it is tracked for display only.
+//
+// Tracking held notes per device lets a disconnect, All Notes Off / All Sound Off or a
+// MIDI reset clear exactly that device's notes without touching other inputs.
+
+export function createNoteState() {
+  return {
+    held: new Map(),
+    sustained: new Map(),
+    sostenutoNotes: new Set(),
+    pedals: { sustain: false, sostenuto: false, soft: false },
+    pedalOwners: {}
+  }
+}
+
+// Key identifying the producer of an event: the MIDI input id, else the source name
+export function deviceKeyOf(ev) {
+  if (ev && ev.inputId != null) return String(ev.inputId)
+  return (ev && ev.source) || 'unknown'
+}
+
+function isHeldAnywhere(held, note) {
+  for (const notes of held.values()) if (notes.has(note)) return true
+  return false
+}
+
+// true when a released note should keep sounding under the current pedal state
+function isPedalSustained(state, note) {
+  if (state.pedals.sustain) return true
+  if (state.pedals.sostenuto && state.sostenutoNotes.has(note)) return true
+  return false
+}
+
+export function noteStateReducer(state, action) {
+  switch (action.type) {
+    case 'noteOn': {
+      const ev = action.event
+      const key = deviceKeyOf(ev)
+      const held = new Map(state.held)
+      const notes = new Map(held.get(key) || [])
+      notes.set(ev.note, ev)
+      held.set(key, notes)
+      let sustained = state.sustained
+      if (sustained.has(ev.note)) {
+        // re-struck while sustained: the key is physically down again
+        sustained = new Map(sustained)
+        sustained.delete(ev.note)
+      }
+      return { ...state, held, sustained }
+    }
+    case 'noteOff': {
+      const ev = action.event
+      const key = deviceKeyOf(ev)
+      const deviceNotes = state.held.get(key)
+      if (!deviceNotes || !deviceNotes.has(ev.note)) return state
+      const prevEvent = deviceNotes.get(ev.note)
+      const held = new Map(state.held)
+      const notes = new Map(deviceNotes)
+      notes.delete(ev.note)
+      if (notes.size > 0) held.set(key, notes); else held.delete(key)
+      let sustained = state.sustained
+      if (!isHeldAnywhere(held, ev.note) && isPedalSustained(state, ev.note)) {
+        sustained = new Map(sustained)
+        sustained.set(ev.note, prevEvent)
+      }
+      return { ...state, held, sustained }
+    }
+    case 'pedal': {
+      const ev = action.event
+      if (!Object.prototype.hasOwnProperty.call(state.pedals, ev.pedal)) return state
+      if (state.pedals[ev.pedal] === ev.down) return state
+      const pedals = { ...state.pedals, [ev.pedal]: ev.down }
+      const pedalOwners = { ...state.pedalOwners, [ev.pedal]: deviceKeyOf(ev) }
+      let sostenutoNotes = state.sostenutoNotes
+      if (ev.pedal === 'sostenuto') {
+        sostenutoNotes = ev.down ? new Set(heldNotes(state).keys()) : new Set()
+      }
+      return releaseUnsustained(state, { ...state, pedals, pedalOwners, sostenutoNotes }, ev.down)
+    }
+    case 'releaseDevice': {
+      // Clear one device's notes (optionally a single channel). Used for disconnects,
+      // CC120 All Sound Off, CC123 All Notes Off and System Reset.
+      const { deviceKey, channel = null, resetPedals = false } = action
+      const matches = (ev) => deviceKeyOf(ev) === deviceKey && (channel == null || ev.channel === channel)
+      const held = new Map(state.held)
+      const deviceNotes = held.get(deviceKey)
+      if (deviceNotes) {
+        const notes = new Map()
+        for (const [note, ev] of deviceNotes) if (!matches(ev)) notes.set(note, ev)
+        if (notes.size > 0) held.set(deviceKey, notes); else held.delete(deviceKey)
+      }
+      const sustained = new Map()
+      for (const [note, ev] of state.sustained) if (!matches(ev)) sustained.set(note, ev)
+      let next = { ...state, held, sustained }
+      if (resetPedals) {
+        const pedals = { ...state.pedals }
+        const pedalOwners = { ...state.pedalOwners }
+        let lifted = false
+        for (const pedal of Object.keys(pedals)) {
+          if (pedals[pedal] && pedalOwners[pedal] === deviceKey) {
+            pedals[pedal] = false
+            delete pedalOwners[pedal]
+            lifted = true
+          }
+        }
+        if (lifted) {
+          const sostenutoNotes = pedals.sostenuto ? state.sostenutoNotes : new Set()
+          next = releaseUnsustained(next, { ...next, pedals, pedalOwners, sostenutoNotes }, false)
+        }
+      }
+      return next
+    }
+    case 'panic':
+      return createNoteState()
+    default:
+      return state
+  }
+}
+
+// After a pedal change: when a pedal was lifted, drop sustained notes no remaining pedal keeps sounding
+function releaseUnsustained(prev, next, pedalDown) {
+  if (pedalDown || prev.sustained.size === 0) return next
+  const sustained = new Map()
+  for (const [note, noteEv] of prev.sustained) {
+    if (isPedalSustained(next, note)) sustained.set(note, noteEv)
+  }
+  return { ...next, sustained }
+}
+
+// Map midi -> note event of every physically held key across all devices
+export function heldNotes(state) {
+  if (state.held.size === 1) return state.held.values().next().value
+  const m = new Map()
+  for (const notes of state.held.values()) {
+    for (const [note, ev] of notes) m.set(note, ev)
+  }
+  return m
+}
+
+// Notes that started / stopped sounding between two states (used to drive audio engines).
+// A note counts as started when it newly sounds or was re-struck (a newer event object);
+// a release that merely hands the note over to another device's older press does not.
+export function soundingChanges(prev, next) {
+  const before = soundingNotes(prev)
+  const after = soundingNotes(next)
+  const started = []
+  const stopped = []
+  for (const [note, ev] of after) {
+    const old = before.get(note)
+    if (!old || (ev !== old && ev.timestamp > old.timestamp)) started.push(ev)
+  }
+  for (const note of before.keys()) if (!after.has(note)) stopped.push(note)
+  return { started, stopped }
+}
+
+// Map of every sounding note (held keys plus pedal-sustained notes)
+export function soundingNotes(state) {
+  const held = heldNotes(state)
+  if (state.sustained.size === 0) return held
+  const m = new Map(state.sustained)
+  for (const [note, ev] of held) m.set(note, ev)
+  return m
+}
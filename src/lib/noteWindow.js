@@ -0,0 +1,105 @@
+// Time-window note accumulation, so arpeggiated and rolled chords, Alberti basses and other
+// broken-chord patterns can be named as one harmony. Pure reducer, like lib/noteState.js.
+// State: { strikes: Map midi -> time of its latest strike, bass: midi of the window's bass }
+//
+// A struck note stays in the harmony for `windowMs` after its latest strike and fades with a
+// half-life of `decayMs` (0 = no fading); it counts while its weight is at least MIN_WEIGHT.
+// Keys still down always count. With segment 'bass' a bass change also starts a new window:
+// a note struck below the current bass, or a new pitch class in a bass zone (see lib/zones.js).
+// Without zones only a bass line moving down is detected; the window length covers the rest.
+
+export const MIN_WEIGHT = 0.25
+
+export const WINDOW_SEGMENTS = [
+  { id: 'window', label: 'Sliding window' },
+  { id: 'bass', label: 'Until the bass changes' }
+]
+
+export const DEFAULT_WINDOW_SETTINGS = { mode: 'held', windowMs: 1500, decayMs: 800, segment: 'window' }
+
+const SETTINGS_KEY = 'piano:chordWindow'
+
+export function loadWindowSettings() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY)
+    if (raw) {
+      const parsed = JSON.parse(raw)
+      if (parsed && typeof parsed === 'object') return { ...DEFAULT_WINDOW_SETTINGS, ...parsed }
+    }
+  } catch (e) {}
+  return { ...DEFAULT_WINDOW_SETTINGS }
+}
+
+export function saveWindowSettings(settings) {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)) } catch (e) {}
+}
+
+export function createNoteWindow() {
+  return { strikes: new Map(), bass: null }
+}
+
+const mod12 = (n) => ((n % 12) + 12) % 12
+
+// Weight of a strike `age` ms old
+function weightAt(age, { windowMs, decayMs }) {
+  if (age > windowMs) return 0
+  return decayMs > 0 ? Math.pow(0.5, age / decayMs) : 1
+}
+
+// actions:
+// - { type: 'strike', note, time, inBassZone }: a note-on
+// - { type: 'prune', time }: drop strikes that no longer count
+// - { type: 'clear' }
+export function noteWindowReducer(state, action, settings = DEFAULT_WINDOW_SETTINGS) {
+  switch (action.type) {
+    case 'strike': {
+      const { note, time, inBassZone = false } = action
+      let strikes = pruned(state.strikes, time, settings)
+      let bass = strikes.has(state.bass) ? state.bass : lowest(strikes)
+      if (settings.segment === 'bass' && bass != null) {
+        if (note < bass || (inBassZone && mod12(note) !== mod12(bass))) {
+          strikes = new Map()
+          bass = null
+        }
+      }
+      strikes = new Map(strikes)
+      strikes.set(note, time)
+      return { strikes, bass: bass == null ? note : Math.min(bass, note) }
+    }
+    case 'prune': {
+      const strikes = pruned(state.strikes, action.time, settings)
+      if (strikes === state.strikes) return state
+      return { strikes, bass: strikes.has(state.bass) ? state.bass : lowest(strikes) }
+    }
+    case 'clear':
+      return createNoteWindow()
+    default:
+      return state
+  }
+}
+
+function lowest(strikes) {
+  return strikes.size > 0 ? Math.min(...strikes.keys()) : null
+}
+
+function pruned(strikes, time, settings) {
+  let out = strikes
+  for (const [note, t] of strikes) {
+    if (weightAt(time - t, settings) < MIN_WEIGHT) {
+      if (out === strikes) out = new Map(strikes)
+      out.delete(note)
+    }
+  }
+  return out
+}
+
+// Notes in the window at `time` with their weights (Map midi -> 0..1); held keys weigh 1
+export function windowWeights(state, time, settings = DEFAULT_WINDOW_SETTINGS, held = []) {
+  const weights = new Map()
+  for (const [note, t] of state.strikes) {
+    const w = weightAt(time - t, settings)
+    if (w >= MIN_WEIGHT) weights.set(note, w)
+  }
+  for (const note of held) weights.set(note, 1)
+  return weights
+}
@@ -0,0 +1,206 @@
+// Scale and mode library, the scale-side counterpart of lib/chords.js.
+// - scaleFormulas: scale keys -> intervals in semitones from the root
+// - scaleDegreeNumbers: the scale degree (1-7) of every interval, used for spelling (C D♭ D# E ...)
+// - scalePriority: scale keys ordered by how common they are (preferred first)
+// - recognizeScales(notes): ranks every scale (all 12 roots) that contains the given pitch classes
+// - scaleDegrees(root, type): the spelled degrees of a scale
+// - diatonicChords(root, type): the chords stacked in thirds on each degree, named with chordFormulas
+
+import { spellTones, degreeName } from './spelling'
+import { typeForIntervals } from './chords'
+
+export const scaleFormulas = {
+  // major modes
+  'ionian': [0, 2, 4, 5, 7, 9, 11],
+  'dorian': [0, 2, 3, 5, 7, 9, 10],
+  'phrygian': [0, 1, 3, 5, 7, 8, 10],
+  'lydian': [0, 2, 4, 6, 7, 9, 11],
+  'mixolydian': [0, 2, 4, 5, 7, 9, 10],
+  'aeolian': [0, 2, 3, 5, 7, 8, 10],
+  'locrian': [0, 1, 3, 5, 6, 8, 10],
+  // melodic minor modes
+  'melodicMinor': [0, 2, 3, 5, 7, 9, 11],
+  'dorianb2': [0, 1, 3, 5, 7, 9, 10],
+  'lydianAugmented': [0, 2, 4, 6, 8, 9, 11],
+  'lydianDominant': [0, 2, 4, 6, 7, 9, 10],
+  'mixolydianb6': [0, 2, 4, 5, 7, 8, 10],
+  'locrianNat2': [0, 2, 3, 5, 6, 8, 10],
+  'altered': [0, 1, 3, 4, 6, 8, 10],
+  // harmonic minor modes
+  'harmonicMinor': [0, 2, 3, 5, 7, 8, 11],
+  'locrianNat6': [0, 1, 3, 5, 6, 9, 10],
+  'ionianAugmented': [0, 2, 4, 5, 8, 9, 11],
+  'dorianSharp4': [0, 2, 3, 6, 7, 9, 10],
+  'phrygianDominant': [0, 1, 4, 5, 7, 8, 10],
+  'lydianSharp2': [0, 3, 4, 6, 7, 9, 11],
+  'ultralocrian': [0, 1, 3, 4, 6, 8, 9],
+  // pentatonic and blues
+  'majorPentatonic': [0, 2, 4, 7, 9],
+  'minorPentatonic': [0, 3, 5, 7, 10],
+  'blues': [0, 3, 5, 6, 7, 10],
+  'majorBlues': [0, 2, 3, 4, 7, 9],
+  // symmetric
+  'wholeTone': [0, 2, 4, 6, 8, 10],
+  'halfWhole': [0, 1, 3, 4, 6, 7, 9, 10],
+  'wholeHalf': [0, 2, 3, 5, 6, 8, 9, 11],
+  // bebop
+  'bebopDominant': [0, 2, 4, 5, 7, 9, 10, 11],
+  'bebopMajor': [0, 2, 4, 5, 7, 8, 9, 11],
+  'bebopDorian': [0, 2, 3, 4, 5, 7, 9, 10],
+  'bebopMelodicMinor': [0, 2, 3, 5, 7, 8, 9, 11]
+}
+
+// Scale degree of each interval for the scales that are not plain heptatonic (1..7)
+const DEGREE_NUMBERS = {
+  'majorPentatonic': [1, 2, 3, 5, 6],
+  'minorPentatonic': [1, 3, 4, 5, 7],
+  'blues': [1, 3, 4, 5, 5, 7],
+  'majorBlues': [1, 2, 3, 3, 5, 6],
+  'wholeTone': [1, 2, 3, 4, 5, 7],
+  'halfWhole': [1, 2, 2, 3, 4, 5, 6, 7],
+  'wholeHalf': [1, 2, 3, 4, 5, 6, 6, 7],
+  'bebopDominant': [1, 2, 3, 4, 5, 6, 7, 7],
+  'bebopMajor': [1, 2, 3, 4, 5, 5, 6, 7],
+  'bebopDorian': [1, 2, 3, 3, 4, 5, 6, 7],
+  'bebopMelodicMinor': [1, 2, 3, 4, 5, 5, 6, 7]
+}
+
+export function scaleDegreeNumbers(type) {
+  return DEGREE_NUMBERS[type] || scaleFormulas[type].map((_, i) => i + 1)
+}
+
+export const scalePriority = [
+  'ionian', 'aeolian', 'majorPentatonic', 'minorPentatonic', 'dorian', 'mixolydian', 'blues', 'majorBlues',
+  'harmonicMinor', 'melodicMinor', 'lydian', 'phrygian', 'locrian',
+  'lydianDominant', 'altered', 'phrygianDominant', 'halfWhole', 'wholeHalf', 'wholeTone',
+  'bebopDominant', 'bebopMajor', 'bebopDorian', 'bebopMelodicMinor',
+  'locrianNat2', 'mixolydianb6', 'dorianb2', 'lydianAugmented',
+  'dorianSharp4', 'locrianNat6', 'ionianAugmented', 'lydianSharp2', 'ultralocrian'
+]
+
+export const scaleLongNames = {
+  'ionian': 'Major (Ionian)',
+  'dorian': 'Dorian',
+  'phrygian': 'Phrygian',
+  'lydian': 'Lydian',
+  'mixolydian': 'Mixolydian',
+  'aeolian': 'Natural Minor (Aeolian)',
+  'locrian': 'Locrian',
+  'melodicMinor': 'Melodic Minor',
+  'dorianb2': 'Dorian ♭2',
+  'lydianAugmented': 'Lydian Augmented',
+  'lydianDominant': 'Lydian Dominant',
+  'mixolydianb6': 'Mixolydian ♭6',
+  'locrianNat2': 'Locrian ♮2',
+  'altered': 'Altered (Super Locrian)',
+  'harmonicMinor': 'Harmonic Minor',
+  'locrianNat6': 'Locrian ♮6',
+  'ionianAugmented': 'Ionian Augmented',
+  'dorianSharp4': 'Dorian #4',
+  'phrygianDominant': 'Phrygian Dominant',
+  'lydianSharp2': 'Lydian #2',
+  'ultralocrian': 'Ultralocrian',
+  'majorPentatonic': 'Major Pentatonic',
+  'minorPentatonic': 'Minor Pentatonic',
+  'blues': 'Blues',
+  'majorBlues': 'Major Blues',
+  'wholeTone': 'Whole Tone',
+  'halfWhole': 'Diminished (Half-Whole)',
+  'wholeHalf': 'Diminished (Whole-Half)',
+  'bebopDominant': 'Bebop Dominant',
+  'bebopMajor': 'Bebop Major',
+  'bebopDorian': 'Bebop Dorian',
+  'bebopMelodicMinor': 'Bebop Melodic Minor'
+}
+
+const mod12 = (n) => ((n % 12) + 12) % 12
+
+// All 12 transpositions of every scale, like the chord templates
+const scaleTemplates = []
+for (const type of scalePriority) {
+  for (let root = 0; root < 12; root++) {
+    scaleTemplates.push({ root, type, pcs: new Set(scaleFormulas[type].map(i => mod12(root + i))), size: scaleFormulas[type].length })
+  }
+}
+
+export function getScaleTemplates() { return scaleTemplates }
+
+// Spelled degrees of a scale: [{ degree, interval, pc, name, degreeName }]
+// (degree: 1-7, degreeName: relative to the major scale, e.g. ♭3, #4)
+export function scaleDegrees(root, type, { keySignature = null } = {}) {
+  const intervals = scaleFormulas[type]
+  if (!intervals) return []
+  const degrees = scaleDegreeNumbers(type)
+  const { tones } = spellTones(mod12(root), intervals, degrees, { keySignature })
+  return tones.map(t => ({ degree: t.degree, interval: t.interval, pc: t.pc, name: t.name, degreeName: degreeName(t.interval, t.degree) }))
+}
+
+const rootNameCache = new Map()
+function scaleRootName(root, type, keySignature) {
+  const key = `${root}:${type}:${keySignature}`
+  if (!rootNameCache.has(key)) rootNameCache.set(key, scaleDegrees(root, type, { keySignature })[0].name)
+  return rootNameCache.get(key)
+}
+
+// Rank the scales that contain every pressed pitch class.
+// Sorted by: exact match (same notes), fewest notes left out, root on the lowest pressed note,
+// scalePriority, root. Each result: { root, rootName, type, longName, scaleSize, matchedCount,
+// missingPCs, scalePCs, exactMatch, rootIsBass }
+export function recognizeScales(pressedNotes, { keySignature = null } = {}) {
+  const arr = Array.isArray(pressedNotes) ? pressedNotes : Array.from(pressedNotes || [])
+  if (arr.length === 0) return []
+  const pressedPCs = new Set(arr.map(mod12))
+  const bassPC = mod12(Math.min(...arr))
+
+  const results = []
+  for (const t of scaleTemplates) {
+    let contains = true
+    for (const p of pressedPCs) if (!t.pcs.has(p)) { contains = false; break }
+    if (!contains) continue
+    const missing = Array.from(t.pcs).filter(p => !pressedPCs.has(p))
+    results.push({
+      root: t.root,
+      type: t.type,
+      typeIndex: scalePriority.indexOf(t.type),
+      longName: scaleLongNames[t.type] || t.type,
+      scaleSize: t.size,
+      matchedCount: pressedPCs.size,
+      missingPCs: missing,
+      scalePCs: Array.from(t.pcs),
+      exactMatch: missing.length === 0,
+      rootIsBass: t.root === bassPC
+    })
+  }
+
+  results.sort((a, b) => {
+    if (a.exactMatch !== b.exactMatch) return a.exactMatch ? -1 : 1
+    if (a.missingPCs.length !== b.missingPCs.length) return a.missingPCs.length - b.missingPCs.length
+    if (a.rootIsBass !== b.rootIsBass) return a.rootIsBass ? -1 : 1
+    if (a.typeIndex !== b.typeIndex) return a.typeIndex - b.typeIndex
+    return a.root - b.root
+  })
+  return results.map(r => ({ ...r, rootName: scaleRootName(r.root, r.type, keySignature) }))
+}
+
+// Chords stacked in thirds (every other scale tone) on each degree of a scale.
+// options.sevenths: four-note chords instead of triads
+// Returns [{ degree, root, rootName, intervals, pcs, type }]; type is the chordFormulas key with
+// those intervals, or null when the vocabulary has none (e.g. stacks from symmetric scales)
+export function diatonicChords(root, type, { sevenths = false, keySignature = null } = {}) {
+  const degrees = scaleDegrees(root, type, { keySignature })
+  const n = degrees.length
+  if (n === 0) return []
+  const size = sevenths ? 4 : 3
+  return degrees.map((d, i) => {
+    const tones = Array.from({ length: size }, (_, k) => degrees[(i + 2 * k) % n])
+    const intervals = tones.map(t => mod12(t.pc - d.pc))
+    return {
+      degree: i + 1,
+      root: d.pc,
+      rootName: d.name,
+      intervals,
+      pcs: tones.map(t => t.pc),
+      type: typeForIntervals(intervals)
+    }
+  })
+}
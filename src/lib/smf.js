@@ -0,0 +1,254 @@
+// Standard MIDI File (SMF) encoding and decoding.
+// Events are plain objects with a time in milliseconds from the start of the take:
+//   { t, type: 'noteOn' | 'noteOff', channel, note, velocity }
+//   { t, type: 'control', channel, controller, value }
+// Format 0 writes every event to a single track. Format 1 writes a conductor track
+// (name + tempo) followed by one track per MIDI channel used.
+// Decoding (parseSMF + smfTimeline) produces the same event shape with a `track` index added.
+
+export const DEFAULT_PPQ = 480
+export const DEFAULT_BPM = 120
+
+// variable-length quantity used for delta times and meta lengths
+function vlq(value) {
+  let v = Math.max(0, Math.round(value))
+  const bytes = [v & 0x7f]
+  v >>= 7
+  while (v > 0) {
+    bytes.unshift((v & 0x7f) | 0x80)
+    v >>= 7
+  }
+  return bytes
+}
+
+function u32(n) {
+  return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff]
+}
+
+function u16(n) {
+  return [(n >> 8) & 0xff, n & 0xff]
+}
+
+function textMeta(type, text) {
+  const bytes = Array.from(new TextEncoder().encode(text || ''))
+  return [0xff, type, ...vlq(bytes.length), ...bytes]
+}
+
+function tempoMeta(bpm) {
+  const usPerQuarter = Math.round(60000000 / bpm)
+  return [0xff, 0x51, 0x03, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff]
+}
+
+// channel message bytes for one event (null for unknown types)
+function eventBytes(ev) {
+  const ch = (ev.channel || 0) & 0x0f
+  const clamp = (v) => Math.max(0, Math.min(127, Math.round(v || 0)))
+  if (ev.type === 'noteOn') return [0x90 | ch, clamp(ev.note), Math.max(1, clamp(ev.velocity))]
+  if (ev.type === 'noteOff') return [0x80 | ch, clamp(ev.note), clamp(ev.velocity)]
+  if (ev.type === 'control') return [0xb0 | ch, clamp(ev.controller), clamp(ev.value)]
+  return null
+}
+
+// One MTrk chunk. `items` are { tick, bytes } and must already be sorted by tick.
+function trackChunk(items) {
+  const data = []
+  let last = 0
+  for (const item of items) {
+    data.push(...vlq(item.tick - last), ...item.bytes)
+    last = item.tick
+  }
+  data.push(0x00, 0xff, 0x2f, 0x00) // End of Track
+  return [0x4d, 0x54, 0x72, 0x6b, ...u32(data.length), ...data]
+}
+
+// Encode events as an SMF. Returns a Uint8Array.
+// options: { format: 0 | 1, ppq, bpm, name }
+export function encodeSMF(events, { format = 0, ppq = DEFAULT_PPQ, bpm = DEFAULT_BPM, name = '' } = {}) {
+  const msToTicks = (ms) => Math.round((ms * ppq * bpm) / 60000)
+  // stable sort by time; at equal times note-offs go first so re-struck notes are not cut short
+  const order = (ev) => (ev.type === 'noteOff' ? 0 : ev.type === 'control' ? 1 : 2)
+  const sorted = (events || [])
+    .map((ev, i) => ({ ev, i }))
+    .sort((a, b) => (a.ev.t - b.ev.t) || (order(a.ev) - order(b.ev)) || (a.i - b.i))
+    .map(x => x.ev)
+  const toItems = (list) => list
+    .map(ev => ({ tick: msToTicks(Math.max(0, ev.t || 0)), bytes: eventBytes(ev) }))
+    .filter(item => item.bytes)
+
+  const header = { tick: 0, bytes: tempoMeta(bpm) }
+  const tracks = []
+  if (format === 1) {
+    const conductor = [{ tick: 0, bytes: textMeta(0x03, name) }, header]
+    tracks.push(trackChunk(conductor))
+    const channels = Array.from(new Set(sorted.map(ev => ev.channel || 0))).sort((a, b) => a - b)
+    for (const ch of channels) {
+      const items = [{ tick: 0, bytes: textMeta(0x03, `Channel ${ch + 1}`) }].concat(toItems(sorted.filter(ev => (ev.channel || 0) === ch)))
+      tracks.push(trackChunk(items))
+    }
+  } else {
+    const items = (name ? [{ tick: 0, bytes: textMeta(0x03, name) }] : []).concat([header], toItems(sorted))
+    tracks.push(trackChunk(items))
+  }
+
+  const head = [0x4d, 0x54, 0x68, 0x64, ...u32(6), ...u16(format === 1 ? 1 : 0), ...u16(tracks.length), ...u16(ppq)]
+  const out = new Uint8Array(head.length + tracks.reduce((n, t) => n + t.length, 0))
+  out.set(head, 0)
+  let offset = head.length
+  for (const t of tracks) {
+    out.set(t, offset)
+    offset += t.length
+  }
+  return out
+}
+
+// --- Decoding
+
+function readVlq(bytes, pos, end = bytes.length) {
+  let value = 0
+  let b
+  do {
+    if (pos >= end) throw new Error('Truncated MIDI file')
+    b = bytes[pos++]
+    value = (value << 7) | (b & 0x7f)
+  } while (b & 0x80)
+  return { value, pos }
+}
+
+function readTrack(bytes, start, end) {
+  const events = []
+  const tempos = []
+  let name = ''
+  let tick = 0
+  let running = null
+  let p = start
+  // every read stays inside the track chunk, so a cut-off file fails instead of reading undefined
+  const byte = () => {
+    if (p >= end) throw new Error('Truncated MIDI file')
+    return bytes[p++]
+  }
+  const skip = (len) => {
+    if (p + len > end) throw new Error('Truncated MIDI file')
+    p += len
+  }
+  while (p < end) {
+    const delta = readVlq(bytes, p, end)
+    tick += delta.value
+    p = delta.pos
+    let status = byte()
+    if (status < 0x80) {
+      // running status: reuse the previous channel status byte
+      if (running == null) throw new Error('Invalid MIDI track data')
+      status = running
+      p--
+    }
+    if (status === 0xff) {
+      const type = byte()
+      const len = readVlq(bytes, p, end)
+      p = len.pos
+      const data = bytes.subarray(p, p + len.value)
+      skip(len.value)
+      if (type === 0x03 && !name) name = new TextDecoder().decode(data)
+      else if (type === 0x51 && data.length === 3) tempos.push({ tick, usPerQuarter: (data[0] << 16) | (data[1] << 8) | data[2] })
+      else if (type === 0x2f) break
+      continue
+    }
+    if (status === 0xf0 || status === 0xf7) {
+      const len = readVlq(bytes, p, end)
+      p = len.pos
+      skip(len.value)
+      running = null
+      continue
+    }
+    running = status
+    const kind = status & 0xf0
+    const channel = status & 0x0f
+    const d1 = byte()
+    const d2 = kind === 0xc0 || kind === 0xd0 ? 0 : byte()
+    if (kind === 0x90 && d2 > 0) events.push({ tick, type: 'noteOn', channel, note: d1, velocity: d2 })
+    else if (kind === 0x80 || kind === 0x90) events.push({ tick, type: 'noteOff', channel, note: d1, velocity: d2 })
+    else if (kind === 0xb0) events.push({ tick, type: 'control', channel, controller: d1, value: d2 })
+  }
+  return { name, events, tempos }
+}
+
+// Parse an SMF (ArrayBuffer or Uint8Array).
+// Returns { format, division, tracks: [{ name, events: [{ tick, type, channel, ... }], tempos }] }
+export function parseSMF(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+  const tag = (p) => String.fromCharCode(bytes[p], bytes[p + 1], bytes[p + 2], bytes[p + 3])
+  const u32At = (p) => ((bytes[p] << 24) >>> 0) + (bytes[p + 1] << 16) + (bytes[p + 2] << 8) + bytes[p + 3]
+  if (bytes.length < 14 || tag(0) !== 'MThd') throw new Error('Not a Standard MIDI File')
+  const headerLen = u32At(4)
+  const format = (bytes[8] << 8) | bytes[9]
+  const trackCount = (bytes[10] << 8) | bytes[11]
+  const division = (bytes[12] << 8) | bytes[13]
+  const tracks = []
+  let p = 8 + headerLen
+  while (tracks.length < trackCount && p + 8 <= bytes.length) {
+    const id = tag(p)
+    const len = u32At(p + 4)
+    const start = p + 8
+    const end = Math.min(bytes.length, start + len)
+    if (id === 'MTrk') tracks.push(readTrack(bytes, start, end))
+    p = start + len
+  }
+  return { format, division, tracks }
+}
+
+// Convert a parsed SMF to a millisecond timeline using its tempo map:
+// { durationMs, tracks: [{ index, name, channels, noteCount }], events: [{ t, track, type, channel, ... }] }
+export function smfTimeline(smf) {
+  let tickToMs
+  if (smf.division & 0x8000) {
+    // SMPTE timing: frames per second (negative high byte) x ticks per frame
+    const fps = 256 - (smf.division >> 8)
+    const perFrame = smf.division & 0xff
+    tickToMs = (tick) => (tick * 1000) / (fps * perFrame)
+  } else {
+    const ppq = smf.division || DEFAULT_PPQ
+    const tempos = smf.tracks.flatMap(tr => tr.tempos).sort((a, b) => a.tick - b.tick)
+    // segments of constant tempo: { tick, ms, usPerQuarter }
+    const segments = [{ tick: 0, ms: 0, usPerQuarter: 500000 }]
+    for (const tempo of tempos) {
+      const last = segments[segments.length - 1]
+      const ms = last.ms + ((tempo.tick - last.tick) * last.usPerQuarter) / (ppq * 1000)
+      if (tempo.tick === last.tick) segments[segments.length - 1] = { ...last, usPerQuarter: tempo.usPerQuarter }
+      else segments.push({ tick: tempo.tick, ms, usPerQuarter: tempo.usPerQuarter })
+    }
+    tickToMs = (tick) => {
+      let seg = segments[0]
+      for (let i = 1; i < segments.length && segments[i].tick <= tick; i++) seg = segments[i]
+      return seg.ms + ((tick - seg.tick) * seg.usPerQuarter) / (ppq * 1000)
+    }
+  }
+  const events = []
+  smf.tracks.forEach((tr, track) => {
+    for (const ev of tr.events) {
+      const { tick, ...rest } = ev
+      events.push({ ...rest, t: tickToMs(tick), track })
+    }
+  })
+  return timelineFromEvents(events, smf.tracks.map(tr => tr.name))
+}
+
+// Build a playable timeline from events already in milliseconds (also used for recorded takes).
+// Events without a `track` are placed on track 0.
+export function timelineFromEvents(events, trackNames = [], durationMs = 0) {
+  const order = (ev) => (ev.type === 'noteOff' ? 0 : ev.type === 'control' ? 1 : 2)
+  const sorted = events
+    .map(ev => (ev.track == null ? { ...ev, track: 0 } : ev))
+    .sort((a, b) => (a.t - b.t) || (order(a) - order(b)))
+  const info = new Map()
+  for (const ev of sorted) {
+    if (!info.has(ev.track)) info.set(ev.track, { index: ev.track, name: trackNames[ev.track] || `Track ${ev.track + 1}`, channels: new Set(), noteCount: 0 })
+    const tr = info.get(ev.track)
+    tr.channels.add(ev.channel)
+    if (ev.type === 'noteOn') tr.noteCount++
+  }
+  const tracks = Array.from(info.values())
+    .filter(tr => tr.noteCount > 0)
+    .sort((a, b) => a.index - b.index)
+    .map(tr => ({ ...tr, channels: Array.from(tr.channels).sort((a, b) => a - b) }))
+  const last = sorted.length ? sorted[sorted.length - 1].t : 0
+  return { durationMs: Math.max(durationMs || 0, last), tracks, events: sorted }
+}
@@ -0,0 +1,295 @@
+// Sample-library parsing (SoundFont 2 and SFZ).
+// Both formats are reduced to the same list of playable zones so the sampler does not
+// care where they came from:
+//   { keyLo, keyHi, velLo, velHi, rootKey, tune, loop, loopStart, loopEnd,
+//     attenuation, release, pan, sample }
+// - tune: extra pitch offset in cents
+// - loopStart / loopEnd: in frames, relative to the start of the zone's sample
+// - attenuation: dB of cut (positive = quieter)
+// - release: amplitude release time in seconds (used when the note stops sounding,
+//   which already accounts for the sustain pedal)
+// - sample: SF2 -> { id, start, end, sampleRate } into the shared sample data,
+//           SFZ -> the sample path as written in the file (resolved by the loader)
+//
+// Only the generators / opcodes that matter for key + velocity mapping, tuning, looping,
+// level and release are read; modulators and filters are ignored.
+
+// --- SoundFont 2 -------------------------------------------------------------------
+
+// SF2 generator numbers used here
+const GEN = {
+  startAddrsOffset: 0,
+  endAddrsOffset: 1,
+  startloopAddrsOffset: 2,
+  endloopAddrsOffset: 3,
+  startAddrsCoarseOffset: 4,
+  endAddrsCoarseOffset: 12,
+  pan: 17,
+  releaseVolEnv: 38,
+  instrument: 41,
+  keyRange: 43,
+  velRange: 44,
+  startloopAddrsCoarseOffset: 45,
+  initialAttenuation: 48,
+  endloopAddrsCoarseOffset: 50,
+  coarseTune: 51,
+  fineTune: 52,
+  sampleID: 53,
+  sampleModes: 54,
+  overridingRootKey: 58
+}
+
+// generators that add up between the preset and instrument levels
+const ADDITIVE = [GEN.coarseTune, GEN.fineTune, GEN.initialAttenuation, GEN.releaseVolEnv, GEN.pan]
+
+function readString(view, offset, length) {
+  let s = ''
+  for (let i = 0; i < length; i++) {
+    const c = view.getUint8(offset + i)
+    if (c === 0) break
+    s += String.fromCharCode(c)
+  }
+  return s
+}
+
+// Walk a RIFF chunk list: returns { id -> { offset, size } } (LIST chunks keyed by their form type)
+function readChunks(view, start, end) {
+  const chunks = {}
+  let p = start
+  while (p + 8 <= end) {
+    const id = readString(view, p, 4)
+    const size = view.getUint32(p + 4, true)
+    if (id === 'LIST') chunks[readString(view, p + 8, 4)] = { offset: p + 12, size: size - 4 }
+    else chunks[id] = { offset: p + 8, size }
+    p += 8 + size + (size & 1)
+  }
+  return chunks
+}
+
+function readGenerators(view, chunk) {
+  const out = []
+  for (let p = chunk.offset; p + 4 <= chunk.offset + chunk.size; p += 4) {
+    out.push({ oper: view.getUint16(p, true), amount: view.getInt16(p + 2, true), lo: view.getUint8(p + 2), hi: view.getUint8(p + 3) })
+  }
+  return out
+}
+
+function readBags(view, chunk) {
+  const out = []
+  for (let p = chunk.offset; p + 4 <= chunk.offset + chunk.size; p += 4) out.push(view.getUint16(p, true))
+  return out
+}
+
+// Collect the generators of each bag into { gens: {oper -> amount}, ranges: {key, vel} }
+function bagZones(bags, gens, from, to) {
+  const zones = []
+  for (let b = from; b < to; b++) {
+    const zone = { gens: {}, key: null, vel: null }
+    for (let g = bags[b]; g < bags[b + 1]; g++) {
+      const gen = gens[g]
+      if (!gen) continue
+      if (gen.oper === GEN.keyRange) zone.key = [gen.lo, gen.hi]
+      else if (gen.oper === GEN.velRange) zone.vel = [gen.lo, gen.hi]
+      else zone.gens[gen.oper] = gen.amount
+    }
+    zones.push(zone)
+  }
+  return zones
+}
+
+function intersect(a, b) {
+  if (!a) return b
+  if (!b) return a
+  return [Math.max(a[0], b[0]), Math.min(a[1], b[1])]
+}
+
+const timecentsToSeconds = (tc) => Math.pow(2, tc / 1200)
+
+// Parse an SF2 file. `presetIndex` picks a preset from the sorted `presets` list
+// (default: the lowest bank/program, usually the main piano).
+export function parseSF2(buffer, { presetIndex = 0 } = {}) {
+  const view = new DataView(buffer)
+  if (readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'sfbk') {
+    throw new Error('Not a SoundFont 2 file')
+  }
+  const top = readChunks(view, 12, Math.min(buffer.byteLength, 8 + view.getUint32(4, true)))
+  if (!top.sdta || !top.pdta) throw new Error('SoundFont is missing sample or preset data')
+  const info = top.INFO ? readChunks(view, top.INFO.offset, top.INFO.offset + top.INFO.size) : {}
+  const sdta = readChunks(view, top.sdta.offset, top.sdta.offset + top.sdta.size)
+  const pdta = readChunks(view, top.pdta.offset, top.pdta.offset + top.pdta.size)
+  if (!sdta.smpl) throw new Error('SoundFont has no 16-bit sample data')
+
+  const sampleData = new Int16Array(buffer.slice(sdta.smpl.offset, sdta.smpl.offset + sdta.smpl.size - (sdta.smpl.size & 1)))
+
+  const phdr = []
+  for (let p = pdta.phdr.offset; p + 38 <= pdta.phdr.offset + pdta.phdr.size; p += 38) {
+    phdr.push({ name: readString(view, p, 20), program: view.getUint16(p + 20, true), bank: view.getUint16(p + 22, true), bag: view.getUint16(p + 24, true) })
+  }
+  const inst = []
+  for (let p = pdta.inst.offset; p + 22 <= pdta.inst.offset + pdta.inst.size; p += 22) {
+    inst.push({ name: readString(view, p, 20), bag: view.getUint16(p + 20, true) })
+  }
+  const shdr = []
+  for (let p = pdta.shdr.offset; p + 46 <= pdta.shdr.offset + pdta.shdr.size; p += 46) {
+    shdr.push({
+      name: readString(view, p, 20),
+      start: view.getUint32(p + 20, true),
+      end: view.getUint32(p + 24, true),
+      loopStart: view.getUint32(p + 28, true),
+      loopEnd: view.getUint32(p + 32, true),
+      sampleRate: view.getUint32(p + 36, true),
+      originalPitch: view.getUint8(p + 40),
+      pitchCorrection: view.getInt8(p + 41)
+    })
+  }
+  const pbag = readBags(view, pdta.pbag)
+  const ibag = readBags(view, pdta.ibag)
+  const pgen = readGenerators(view, pdta.pgen)
+  const igen = readGenerators(view, pdta.igen)
+
+  // the last phdr / inst record is the terminal "EOP" / "EOI" sentinel
+  const presets = phdr.slice(0, -1)
+    .map((h, i) => ({ ...h, index: i }))
+    .sort((a, b) => (a.bank - b.bank) || (a.program - b.program))
+  if (presets.length === 0) throw new Error('SoundFont has no presets')
+  const preset = presets[Math.max(0, Math.min(presets.length - 1, presetIndex))]
+
+  const pZones = bagZones(pbag, pgen, preset.bag, phdr[preset.index + 1].bag)
+  const pGlobal = pZones.length > 0 && pZones[0].gens[GEN.instrument] === undefined ? pZones.shift() : null
+
+  const zones = []
+  for (const pz of pZones) {
+    const instId = pz.gens[GEN.instrument]
+    if (instId === undefined || !inst[instId + 1]) continue
+    const pGens = { ...(pGlobal ? pGlobal.gens : {}), ...pz.gens }
+    const pKey = intersect(pGlobal && pGlobal.key, pz.key)
+    const pVel = intersect(pGlobal && pGlobal.vel, pz.vel)
+
+    const iZones = bagZones(ibag, igen, inst[instId].bag, inst[instId + 1].bag)
+    const iGlobal = iZones.length > 0 && iZones[0].gens[GEN.sampleID] === undefined ? iZones.shift() : null
+    for (const iz of iZones) {
+      const sampleId = iz.gens[GEN.sampleID]
+      const sh = shdr[sampleId]
+      if (sampleId === undefined || !sh) continue
+      const g = { ...(iGlobal ? iGlobal.gens : {}), ...iz.gens }
+      for (const op of ADDITIVE) if (pGens[op] !== undefined) g[op] = (g[op] || 0) + pGens[op]
+      const key = intersect(pKey, intersect(iGlobal && iGlobal.key, iz.key)) || [0, 127]
+      const vel = intersect(pVel, intersect(iGlobal && iGlobal.vel, iz.vel)) || [0, 127]
+      if (key[0] > key[1] || vel[0] > vel[1]) continue
+
+      const start = sh.start + (g[GEN.startAddrsOffset] || 0) + (g[GEN.startAddrsCoarseOffset] || 0) * 32768
+      const end = sh.end + (g[GEN.endAddrsOffset] || 0) + (g[GEN.endAddrsCoarseOffset] || 0) * 32768
+      const loopStart = sh.loopStart + (g[GEN.startloopAddrsOffset] || 0) + (g[GEN.startloopAddrsCoarseOffset] || 0) * 32768
+      const loopEnd = sh.loopEnd + (g[GEN.endloopAddrsOffset] || 0) + (g[GEN.endloopAddrsCoarseOffset] || 0) * 32768
+      const rootKey = g[GEN.overridingRootKey] !== undefined && g[GEN.overridingRootKey] >= 0 ? g[GEN.overridingRootKey] : sh.originalPitch
+      const modes = (g[GEN.sampleModes] || 0) & 3
+
+      zones.push({
+        keyLo: key[0],
+        keyHi: key[1],
+        velLo: vel[0],
+        velHi: vel[1],
+        rootKey,
+        tune: (g[GEN.coarseTune] || 0) * 100 + (g[GEN.fineTune] || 0) + sh.pitchCorrection,
+        loop: modes === 1 || modes === 3,
+        loopStart: loopStart - start,
+        loopEnd: loopEnd - start,
+        attenuation: (g[GEN.initialAttenuation] || 0) / 10,
+        release: timecentsToSeconds(g[GEN.releaseVolEnv] !== undefined ? g[GEN.releaseVolEnv] : -12000),
+        pan: Math.max(-1, Math.min(1, (g[GEN.pan] || 0) / 500)),
+        sample: { id: sampleId, start, end, sampleRate: sh.sampleRate }
+      })
+    }
+  }
+
+  return {
+    kind: 'sf2',
+    name: (info.INAM ? readString(view, info.INAM.offset, info.INAM.size) : '') || preset.name,
+    presetName: preset.name,
+    presets: presets.map(p => ({ name: p.name, bank: p.bank, program: p.program })),
+    zones,
+    sampleData
+  }
+}
+
+// --- SFZ ---------------------------------------------------------------------------
+
+// SFZ note names: c4 = 60, sharps (#) and flats (b) allowed, e.g. "f#3", "eb5"
+export function parseSfzKey(value) {
+  if (value === undefined || value === null) return null
+  const v = String(value).trim().toLowerCase()
+  if (/^-?\d+$/.test(v)) return Number(v)
+  const m = /^([a-g])(#|b)?(-?\d+)$/.exec(v)
+  if (!m) return null
+  const base = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 }[m[1]]
+  const acc = m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0
+  return (Number(m[3]) + 1) * 12 + base + acc
+}
+
+// Parse an SFZ text. Opcodes from <control>, <global>, <master> and <group> headers are
+// inherited by the regions that follow them.
+export function parseSFZ(text) {
+  const clean = String(text || '').replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/[^\n]*/g, '')
+  const tokens = clean.split(/(<[a-z_]+>)/i)
+  const scopes = { control: {}, global: {}, master: {}, group: {} }
+  const regions = []
+  let header = null
+  let current = null
+
+  const flush = () => {
+    if (header === 'region' && current) regions.push({ ...scopes.control, ...scopes.global, ...scopes.master, ...scopes.group, ...current })
+  }
+
+  for (const tok of tokens) {
+    const h = /^<([a-z_]+)>$/i.exec(tok)
+    if (h) {
+      flush()
+      header = h[1].toLowerCase()
+      current = {}
+      // a new outer header resets the scopes nested inside it
+      if (header === 'global') { scopes.global = {}; scopes.master = {}; scopes.group = {}; current = scopes.global }
+      else if (header === 'master') { scopes.master = {}; scopes.group = {}; current = scopes.master }
+      else if (header === 'group') { scopes.group = {}; current = scopes.group }
+      else if (header === 'control') { scopes.control = {}; current = scopes.control }
+      continue
+    }
+    if (!current) continue
+    // values may contain spaces (sample paths); a value runs until the next "name=" token
+    const re = /([a-z_][a-z0-9_]*)=([\s\S]*?)(?=\s+[a-z_][a-z0-9_]*=|$)/gi
+    let m
+    while ((m = re.exec(tok.trim()))) current[m[1].toLowerCase()] = m[2].trim()
+  }
+  flush()
+
+  const num = (v, def) => (v === undefined || v === '' || Number.isNaN(Number(v)) ? def : Number(v))
+  const zones = []
+  for (const r of regions) {
+    if (!r.sample) continue
+    const key = parseSfzKey(r.key)
+    const keyLo = key !== null ? key : (parseSfzKey(r.lokey) ?? 0)
+    const keyHi = key !== null ? key : (parseSfzKey(r.hikey) ?? 127)
+    const rootKey = parseSfzKey(r.pitch_keycenter) ?? (key !== null ? key : 60)
+    const mode = r.loop_mode || ''
+    zones.push({
+      keyLo,
+      keyHi,
+      velLo: num(r.lovel, 0),
+      velHi: num(r.hivel, 127),
+      rootKey,
+      tune: num(r.tune, 0) + num(r.transpose, 0) * 100,
+      loop: mode === 'loop_continuous' || mode === 'loop_sustain',
+      loopStart: num(r.loop_start, num(r.loopstart, 0)),
+      loopEnd: num(r.loop_end, num(r.loopend, 0)),
+      attenuation: -num(r.volume, 0),
+      release: num(r.ampeg_release, 0.05),
+      pan: Math.max(-1, Math.min(1, num(r.pan, 0) / 100)),
+      sample: ((r.default_path || '') + r.sample).replace(/\\/g, '/')
+    })
+  }
+  return { kind: 'sfz', zones }
+}
+
+// Zones that should sound for a note/velocity (several when layered, e.g. stereo pairs)
+export function zonesFor(zones, note, velocity) {
+  return zones.filter(z => note >= z.keyLo && note <= z.keyHi && velocity >= z.velLo && velocity <= z.velHi)
+}
@@ -0,0 +1,121 @@
+// Enharmonic spelling engine.
+// Chord tones are spelled from the degrees of the chord formula: a third always uses the
+// letter two steps above the root, a fifth four steps, and so on. So the third of C minor
+// is E♭ while the third of B major is D#, and double sharps / flats appear where the
+// formula demands them (the 𝄫7 of a diminished seventh, the 𝄪 fifth of an augmented chord on a sharp root).
+// The root itself (and notes outside any chord) follows the key signature when one is
+// selected; otherwise the root is the one that needs the fewest accidentals across the chord.
+//
+// Key signatures are integers: positive = number of sharps, negative = number of flats.
+
+export const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B']
+const LETTER_PCS = [0, 2, 4, 5, 7, 9, 11]
+const ACCIDENTALS = { '-2': '𝄫', '-1': '♭', '0': '', '1': '#', '2': '𝄪' }
+
+// spelling used for a lone pitch class with no key or chord context
+export const DEFAULT_NAMES = ['C', 'D♭', 'D', 'E♭', 'E', 'F', 'F#', 'G', 'A♭', 'A', 'B♭', 'B']
+
+const SHARP_ORDER = [3, 0, 4, 1, 5, 2, 6] // F C G D A E B (letter indexes)
+const FLAT_ORDER = [6, 2, 5, 1, 4, 0, 3] // B E A D G C F
+const MAJOR_TONICS = { '-7': 'C♭', '-6': 'G♭', '-5': 'D♭', '-4': 'A♭', '-3': 'E♭', '-2': 'B♭', '-1': 'F', '0': 'C', '1': 'G', '2': 'D', '3': 'A', '4': 'E', '5': 'B', '6': 'F#', '7': 'C#' }
+const MINOR_TONICS = { '-7': 'A♭', '-6': 'E♭', '-5': 'B♭', '-4': 'F', '-3': 'C', '-2': 'G', '-1': 'D', '0': 'A', '1': 'E', '2': 'B', '3': 'F#', '4': 'C#', '5': 'G#', '6': 'D#', '7': 'A#' }
+
+// Selectable key signatures for the UI: { value, label }
+export const KEY_SIGNATURES = Array.from({ length: 15 }, (_, i) => i - 7).map(value => ({
+  value,
+  label: `${value === 0 ? 'No sharps or flats' : `${Math.abs(value)}${value > 0 ? '#' : '♭'}`} (${MAJOR_TONICS[value]} major / ${MINOR_TONICS[value]} minor)`
+}))
+
+const mod12 = (n) => ((n % 12) + 12) % 12
+
+// { letter, alter, name } for pc written with letter index `letter`, or null if it needs more than a double accidental
+export function spellWithLetter(pc, letter) {
+  const l = ((letter % 7) + 7) % 7
+  let alter = mod12(pc - LETTER_PCS[l])
+  if (alter > 6) alter -= 12
+  if (Math.abs(alter) > 2) return null
+  return { letter: l, alter, name: LETTERS[l] + ACCIDENTALS[alter] }
+}
+
+// Map pc -> spelling of the seven notes of a key signature
+export function keySignatureSpellings(keySignature) {
+  const n = Math.max(-7, Math.min(7, Math.round(Number(keySignature) || 0)))
+  const alters = [0, 0, 0, 0, 0, 0, 0]
+  if (n > 0) for (let i = 0; i < n; i++) alters[SHARP_ORDER[i]] = 1
+  if (n < 0) for (let i = 0; i < -n; i++) alters[FLAT_ORDER[i]] = -1
+  const m = new Map()
+  for (let l = 0; l < 7; l++) m.set(mod12(LETTER_PCS[l] + alters[l]), spellWithLetter(LETTER_PCS[l] + alters[l], l))
+  return m
+}
+
+// E#, B#, F♭ and C♭ only appear as roots when the key signature asks for them
+const AWKWARD_ROOTS = ['E#', 'B#', 'F♭', 'C♭']
+
+// Candidate root spellings for a pitch class: naturals and single accidentals (e.g. A# / B♭)
+function rootCandidates(pc) {
+  const out = []
+  for (let l = 0; l < 7; l++) {
+    const s = spellWithLetter(pc, l)
+    if (s && Math.abs(s.alter) <= 1 && !AWKWARD_ROOTS.includes(s.name)) out.push(s)
+  }
+  return out
+}
+
+const hasKey = (keySignature) => keySignature != null && keySignature !== '' && !Number.isNaN(Number(keySignature))
+
+// Spell a lone pitch class.
+// options:
+// - keySignature: diatonic notes use the key's spelling, others lean the key's way
+// - prefer: -1 / 1 to lean towards flats / sharps when there is no key
+export function spellPitchClass(pc, { keySignature = null, prefer = 0 } = {}) {
+  const p = mod12(pc)
+  if (hasKey(keySignature)) {
+    const diatonic = keySignatureSpellings(keySignature).get(p)
+    if (diatonic) return diatonic.name
+    prefer = Number(keySignature) < 0 ? -1 : 1
+  }
+  if (prefer !== 0) {
+    const leaning = rootCandidates(p).find(s => Math.sign(s.alter) === Math.sign(prefer))
+    if (leaning) return leaning.name
+  }
+  return DEFAULT_NAMES[p]
+}
+
+// Spell the tones of a chord.
+// intervals: semitones above the root (formula order); degrees: matching 1-based scale
+// degrees (3 for any third, 5 for any fifth, 2 for ninths, 4 for elevenths, 6 for thirteenths).
+// Returns { root, tones: [{ interval, pc, degree, letter, alter, name }] }
+export function spellTones(rootPc, intervals, degrees, { keySignature = null } = {}) {
+  const tonesFor = (root) => intervals.map((interval, i) => {
+    const s = spellWithLetter(rootPc + interval, root.letter + degrees[i] - 1)
+    return { interval, pc: mod12(rootPc + interval), degree: degrees[i], ...(s || { letter: null, alter: 0, name: DEFAULT_NAMES[mod12(rootPc + interval)] }) }
+  })
+  const cost = (tones) => tones.reduce((n, t) => n + Math.abs(t.alter) + (t.letter == null ? 10 : 0), 0)
+
+  let candidates = rootCandidates(rootPc)
+  if (hasKey(keySignature)) {
+    const diatonic = keySignatureSpellings(keySignature).get(mod12(rootPc))
+    if (diatonic) candidates = [diatonic]
+  }
+  const lean = hasKey(keySignature) ? Math.sign(Number(keySignature)) : 0
+  let best = null
+  for (const root of candidates) {
+    const tones = tonesFor(root)
+    const score = cost(tones)
+    // ties: lean towards the key's accidentals, then the default name for the root
+    const tie = (lean !== 0 && Math.sign(root.alter) === lean ? 0 : 1) + (root.name === DEFAULT_NAMES[mod12(rootPc)] ? 0 : 0.5)
+    if (!best || score < best.score || (score === best.score && tie < best.tie)) best = { root, tones, score, tie }
+  }
+  return { root: best.root, tones: best.tones }
+}
+
+// Conventional name of a chord-tone interval from its semitones and degree, e.g.
+// (3, 3) -> '♭3', (8, 5) -> '#5', (9, 7) -> '𝄫7', (13, 2) -> '♭9', (17, 4) -> '11'
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11]
+export function degreeName(interval, degree) {
+  let alter = mod12(interval) - MAJOR_SCALE[degree - 1]
+  if (alter > 6) alter -= 12
+  if (alter < -6) alter += 12
+  const number = interval >= 12 ? degree + 7 : degree
+  return `${ACCIDENTALS[alter] != null ? ACCIDENTALS[alter] : ''}${number}`
+}
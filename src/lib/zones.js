@@ -0,0 +1,110 @@
+// Keyboard zones: split points and layers applied in the input layer.
+// Settings (persisted): { enabled, zones: [{ id, name, lo, hi, transpose, role, color }] }
+// - lo / hi: inclusive key range as played (before transpose)
+// - transpose: semitones added to notes played in the zone
+// - role: what the zone is for, so apps can group notes by hand (see ZONE_ROLES)
+// Overlapping ranges layer: a key inside two zones sounds once per zone, each with its
+// own transpose. While zones are enabled, keys outside every zone are ignored.
+// Events routed through a zone carry `zone` (the zone id) and `key` (the key as played).
+
+export const ZONE_ROLES = [
+  { id: 'bass', label: 'Bass (left hand)' },
+  { id: 'chord', label: 'Chord (right hand)' },
+  { id: 'melody', label: 'Melody' },
+  { id: 'any', label: 'Any' }
+]
+
+export const ZONE_COLORS = ['#4aa3ff', '#ffb347', '#7ed957', '#d07bff', '#ff6f91']
+
+export const ZONE_LOWEST = 21
+export const ZONE_HIGHEST = 108
+
+// Two zones split at `splitPoint` (the first key of the upper zone)
+export function splitZones(splitPoint = 60) {
+  return [
+    { id: 'lower', name: 'Left hand', lo: ZONE_LOWEST, hi: splitPoint - 1, transpose: 0, role: 'bass', color: ZONE_COLORS[0] },
+    { id: 'upper', name: 'Right hand', lo: splitPoint, hi: ZONE_HIGHEST, transpose: 0, role: 'chord', color: ZONE_COLORS[1] }
+  ]
+}
+
+const SETTINGS_KEY = 'zones:settings'
+
+export function loadZoneSettings() {
+  const def = { enabled: false, zones: splitZones(60) }
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY)
+    if (raw) {
+      const parsed = JSON.parse(raw)
+      if (parsed && typeof parsed === 'object' && Array.isArray(parsed.zones)) return { ...def, ...parsed }
+    }
+  } catch (e) {}
+  return def
+}
+
+export function saveZoneSettings(settings) {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings || {})) } catch (e) {}
+}
+
+// Zones in effect (none while zones are disabled)
+export function activeZones(settings) {
+  return settings && settings.enabled && Array.isArray(settings.zones) ? settings.zones : []
+}
+
+export function zonesForKey(settings, key) {
+  return activeZones(settings).filter(z => key >= z.lo && key <= z.hi)
+}
+
+// Maps key presses to zone notes and remembers each mapping, so the release of a key
+// always matches its press even if the zones are edited while it is held.
+// options:
+// - getSettings(): current zone settings
+// - bypass(ev): true for events that must not be zoned (e.g. file playback)
+export function createZoneRouter({ getSettings, bypass = () => false } = {}) {
+  const routes = new Map() // 'deviceKey:channel:key' -> [zoned note events]
+  const routeKey = (ev) => `${ev.inputId != null ? ev.inputId : ev.source}:${ev.channel}:${ev.note}`
+
+  return {
+    noteOn(ev) {
+      if (bypass(ev)) return [ev]
+      const zones = activeZones(getSettings ? getSettings() : null)
+      if (zones.length === 0) return [ev]
+      const out = []
+      for (const z of zones) {
+        if (ev.note < z.lo || ev.note > z.hi) continue
+        const note = ev.note + (Number(z.transpose) || 0)
+        if (note < 0 || note > 127) continue
+        out.push({ ...ev, note, key: ev.note, zone: z.id })
+      }
+      routes.set(routeKey(ev), out)
+      return out
+    },
+
+    noteOff(ev) {
+      const key = routeKey(ev)
+      const route = routes.get(key)
+      if (!route) return [ev]
+      routes.delete(key)
+      return route.map(on => ({ ...ev, note: on.note, key: ev.note, zone: on.zone }))
+    },
+
+    // drop remembered presses of a device (its notes were released elsewhere), or all of them
+    forget(deviceKey = null) {
+      if (deviceKey == null) { routes.clear(); return }
+      for (const key of Array.from(routes.keys())) if (key.startsWith(`${deviceKey}:`)) routes.delete(key)
+    }
+  }
+}
+
+// Group sounding notes by zone for apps.
+// notes: Map midi -> note event (heldNotes / soundingNotes)
+// Returns [{ zone, notes: Set }] in zone order (empty while zones are disabled).
+export function groupNotesByZone(settings, notes) {
+  const zones = activeZones(settings)
+  if (zones.length === 0) return []
+  const groups = zones.map(zone => ({ zone, notes: new Set() }))
+  for (const [note, ev] of notes) {
+    const group = groups.find(g => g.zone.id === (ev && ev.zone))
+    if (group) group.notes.add(note)
+  }
+  return groups
+}
@@ -1,37 +1,155 @@
-export async function initMIDI(onNoteOn, onNoteOff, onStateChange) {
+// Note events passed to onNoteOn / onNoteOff carry the full context of a key press:
+// { note, velocity, channel, inputId, timestamp, source }
+// - channel is 0-based (0..15)
+// - timestamp is a DOMHighResTimeStamp (same clock as performance.now())
+// - source identifies the producer ('midi' for hardware input, 'keyboard' for on-screen presses)
+export function makeNoteEvent(note, { velocity = 0, channel = 0, inputId = null, timestamp, source = 'midi' } = {}) {
+  return {
+    note,
+    velocity,
+    channel,
+    inputId,
+    timestamp: typeof timestamp === 'number' ? timestamp : performance.now(),
+    source
+  }
+}
+
+// Pedal controllers handled by the MIDI layer (Control Change number -> pedal name)
+export const PEDAL_CONTROLLERS = { 64: 'sustain', 66: 'sostenuto', 67: 'soft' }
+
+// Channel Mode controllers that silence a device's notes
+const ALL_SOUND_OFF = 120
+const ALL_NOTES_OFF = 123
+const SYSTEM_RESET = 0xff
+
+// Pedal events passed to onPedal: { pedal, value, down, channel, inputId, timestamp, source }
+// `down` follows the MIDI convention of values >= 64 meaning "pedal pressed".
+export function makePedalEvent(pedal, value, { channel = 0, inputId = null, timestamp, source = 'midi' } = {}) {
+  return {
+    pedal,
+    value,
+    down: value >= 64,
+    channel,
+    inputId,
+    timestamp: typeof timestamp === 'number' ? timestamp : performance.now(),
+    source
+  }
+}
+
+// --- Input device preferences (persisted)
+// Shape: { [inputId]: { name, enabled, channels } }
+// - enabled: false disables the device entirely (missing entry = enabled)
+// - channels: array of accepted 0-based channels, or null for all channels (omni)
+const DEVICE_PREFS_KEY = 'midi:devices'
+
+export function loadDevicePrefs() {
+  try {
+    const raw = localStorage.getItem(DEVICE_PREFS_KEY)
+    if (raw) {
+      const parsed = JSON.parse(raw)
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed
+    }
+  } catch (e) {}
+  return {}
+}
+
+export function saveDevicePrefs(prefs) {
+  try { localStorage.setItem(DEVICE_PREFS_KEY, JSON.stringify(prefs || {})) } catch (e) {}
+}
+
+export function isInputEnabled(prefs, inputId) {
+  const p = prefs && prefs[inputId]
+  return !p || p.enabled !== false
+}
+
+export function acceptsChannel(prefs, inputId, channel) {
+  const p = prefs && prefs[inputId]
+  if (!p || !Array.isArray(p.channels)) return true
+  return p.channels.includes(channel)
+}
+
+// Plain description of an input port for the device manager UI
+function describeInput(input) {
+  return {
+    id: input.id,
+    name: input.name || input.id,
+    manufacturer: input.manufacturer || '',
+    state: input.state,
+    connection: input.connection
+  }
+}
+
+// options:
+// - getDevicePrefs(): returns the current device preferences (read on every message so
+//   changes apply immediately without re-attaching inputs)
+// - onDevicesChange(list): called with the described input list on init and on hot-plug
+// - onReleaseDevice({ inputId, channel, reason }): the device's notes must be cleared.
+//   reason is 'disconnect', 'allSoundOff', 'allNotesOff' or 'reset'; channel is null for
+//   whole-device releases (disconnect / reset).
+// - onOutputsChange(access): called on init and whenever an output port appears or disappears
+export async function initMIDI(onNoteOn, onNoteOff, onStateChange, onPedal, { getDevicePrefs, onDevicesChange, onReleaseDevice, onOutputsChange } = {}) {
   if (!navigator.requestMIDIAccess) {
     throw new Error('Web MIDI API not supported in this browser.')
   }
 
   const access = await navigator.requestMIDIAccess({ sysex: false })
 
-  function handleMessage(e) {
+  function handleMessage(e, input) {
     const [status, note, velocity] = e.data
+    if (status === SYSTEM_RESET) {
+      onReleaseDevice && onReleaseDevice({ inputId: input.id, channel: null, reason: 'reset' })
+      return
+    }
     const command = status & 0xf0
+    const channel = status & 0x0f
+    const meta = { velocity, channel, inputId: input.id, timestamp: e.timeStamp, source: 'midi' }
+    // releases always pass so disabling a device or channel mid-press never strands a note
+    const prefs = getDevicePrefs ? getDevicePrefs() : null
+    const accepted = isInputEnabled(prefs, input.id) && acceptsChannel(prefs, input.id, channel)
     if (command === 0x90 && velocity !== 0) {
-      onNoteOn && onNoteOn(note)
+      if (!accepted) return
+      onNoteOn && onNoteOn(makeNoteEvent(note, meta))
     } else if (command === 0x80 || (command === 0x90 && velocity === 0)) {
-      onNoteOff && onNoteOff(note)
+      onNoteOff && onNoteOff(makeNoteEvent(note, meta))
+    } else if (command === 0xb0 && (note === ALL_SOUND_OFF || note === ALL_NOTES_OFF)) {
+      onReleaseDevice && onReleaseDevice({ inputId: input.id, channel, reason: note === ALL_SOUND_OFF ? 'allSoundOff' : 'allNotesOff' })
+    } else if (command === 0xb0 && PEDAL_CONTROLLERS[note]) {
+      // Control Change: second byte is the controller number, third the value
+      if (!accepted && velocity >= 64) return
+      onPedal && onPedal(makePedalEvent(PEDAL_CONTROLLERS[note], velocity, meta))
     }
   }
 
   function attachInput(input) {
     try {
-      input.onmidimessage = handleMessage
+      input.onmidimessage = (e) => handleMessage(e, input)
       onStateChange && onStateChange(`Attached: ${input.name || input.id}`)
     } catch (err) {
       console.warn('Failed to attach input', input, err)
     }
   }
 
+  function reportDevices() {
+    onDevicesChange && onDevicesChange(Array.from(access.inputs.values()).map(describeInput))
+  }
+
   for (const input of access.inputs.values()) {
     attachInput(input)
   }
+  reportDevices()
+  onOutputsChange && onOutputsChange(access)
 
   access.onstatechange = (ev) => {
+    if (ev.port && ev.port.type === 'output') {
+      onOutputsChange && onOutputsChange(access)
+      return
+    }
     if (ev.port && ev.port.type === 'input') {
       if (ev.port.state === 'connected') attachInput(ev.port)
+      // an unplugged controller never sends its note-offs: release whatever it held
+      if (ev.port.state === 'disconnected') onReleaseDevice && onReleaseDevice({ inputId: ev.port.id, channel: null, reason: 'disconnect' })
       onStateChange && onStateChange(`${ev.port.name} ${ev.port.state}`)
+      reportDevices()
     }
   }
 
@@ -39,3 +157,38 @@ export async function initMIDI(onNoteOn, onNoteOff, onStateChange) {
 
   return access
 }
+
+function detachAll(access) {
+  for (const input of access.inputs.values()) input.onmidimessage = null
+  access.onstatechange = null
+}
+
+// Web MIDI as an input source (see inputSources.js).
+// options: initMIDI's getDevicePrefs / onDevicesChange / onOutputsChange, plus
+// - onStatus(text): attach / hot-plug messages
+// - onError(err): Web MIDI unavailable or access denied
+export function createMidiSource({ getDevicePrefs, onDevicesChange, onOutputsChange, onStatus, onError } = {}) {
+  return {
+    id: 'midi',
+    label: 'MIDI input',
+    start(sink) {
+      let active = true
+      let access = null
+      // the access request is async; ignore anything that arrives after stop()
+      const guard = (fn) => (arg) => { if (active && fn) fn(arg) }
+      initMIDI(guard(sink.noteOn), guard(sink.noteOff), guard(onStatus), guard(sink.pedal), {
+        getDevicePrefs,
+        onDevicesChange: guard(onDevicesChange),
+        onReleaseDevice: guard(sink.releaseDevice),
+        onOutputsChange: guard(onOutputsChange)
+      }).then((a) => {
+        access = a
+        if (!active) detachAll(a)
+      }).catch(guard(onError))
+      return () => {
+        active = false
+        if (access) detachAll(access)
+      }
+    }
+  }
+}
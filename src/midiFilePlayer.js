@@ -0,0 +1,204 @@
+import { makeNoteEvent, makePedalEvent, PEDAL_CONTROLLERS } from './midi'
+
+// Plays a timeline (lib/smf.js smfTimeline / timelineFromEvents) into the live note pipeline.
+// Events are handed to the same onNoteOn / onNoteOff / onPedal callbacks as MIDI input,
+// with source 'file' and inputId 'file:<track>' so each track is its own device in the
+// note state. The player keeps track of what it started, so pausing, seeking, looping or
+// deselecting a track/channel always releases its notes and pedals.
+//
+// options:
+// - onNoteOn(ev), onNoteOff(ev), onPedal(ev)
+// - onStatus({ playing, position }) called on transport changes and ~10x per second while playing
+
+const TICK_MS = 10
+const STATUS_MS = 100
+
+export function createMidiFilePlayer({ onNoteOn = () => {}, onNoteOff = () => {}, onPedal = () => {}, onStatus = () => {} } = {}) {
+  let timeline = { durationMs: 0, tracks: [], events: [] }
+  let index = 0 // next event to emit
+  let position = 0 // ms of file time
+  let playing = false
+  let anchorWall = 0
+  let anchorPos = 0
+  let rate = 1
+  let loop = null // { start, end } in ms
+  let tracks = null // Set of enabled track indexes (null = all)
+  let channels = null // Set of enabled channels (null = all)
+  let timer = null
+  let lastStatus = 0
+  const active = new Map() // 'track:channel:note' -> { track, channel, note }
+  const pedalsDown = new Map() // 'track:channel:pedal' -> { track, channel, pedal }
+
+  const inputIdOf = (track) => `file:${track}`
+  const enabled = (ev) => (!tracks || tracks.has(ev.track)) && (!channels || channels.has(ev.channel))
+  const meta = (track, channel) => ({ channel, inputId: inputIdOf(track), source: 'file' })
+
+  function status(force) {
+    const now = performance.now()
+    if (!force && now - lastStatus < STATUS_MS) return
+    lastStatus = now
+    onStatus({ playing, position })
+  }
+
+  function emit(ev) {
+    if (ev.type === 'noteOn') {
+      active.set(`${ev.track}:${ev.channel}:${ev.note}`, { track: ev.track, channel: ev.channel, note: ev.note })
+      onNoteOn(makeNoteEvent(ev.note, { ...meta(ev.track, ev.channel), velocity: ev.velocity }))
+    } else if (ev.type === 'noteOff') {
+      const key = `${ev.track}:${ev.channel}:${ev.note}`
+      // notes started before a seek were already released
+      if (!active.has(key)) return
+      active.delete(key)
+      onNoteOff(makeNoteEvent(ev.note, { ...meta(ev.track, ev.channel), velocity: ev.velocity }))
+    } else if (ev.type === 'control') {
+      const pedal = PEDAL_CONTROLLERS[ev.controller]
+      if (!pedal) return
+      const key = `${ev.track}:${ev.channel}:${pedal}`
+      if (ev.value >= 64) pedalsDown.set(key, { track: ev.track, channel: ev.channel, pedal }); else pedalsDown.delete(key)
+      onPedal(makePedalEvent(pedal, ev.value, meta(ev.track, ev.channel)))
+    }
+  }
+
+  // release notes and pedals the player started (optionally only those failing `keep`)
+  function release(keep = () => false) {
+    for (const [key, n] of active) {
+      if (keep(n)) continue
+      active.delete(key)
+      onNoteOff(makeNoteEvent(n.note, meta(n.track, n.channel)))
+    }
+    for (const [key, p] of pedalsDown) {
+      if (keep(p)) continue
+      pedalsDown.delete(key)
+      onPedal(makePedalEvent(p.pedal, 0, meta(p.track, p.channel)))
+    }
+  }
+
+  // press any pedal that is down at `pos` so seeking into a sustained passage sounds right
+  function chasePedals(pos) {
+    const last = new Map()
+    for (let i = 0; i < timeline.events.length && timeline.events[i].t < pos; i++) {
+      const ev = timeline.events[i]
+      if (ev.type === 'control' && PEDAL_CONTROLLERS[ev.controller] && enabled(ev)) last.set(`${ev.track}:${ev.channel}:${ev.controller}`, ev)
+    }
+    for (const ev of last.values()) if (ev.value >= 64) emit(ev)
+  }
+
+  function firstIndexAt(pos) {
+    let lo = 0
+    let hi = timeline.events.length
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1
+      if (timeline.events[mid].t < pos) lo = mid + 1; else hi = mid
+    }
+    return lo
+  }
+
+  function moveTo(pos) {
+    release()
+    position = Math.max(0, Math.min(timeline.durationMs, pos))
+    index = firstIndexAt(position)
+    anchorWall = performance.now()
+    anchorPos = position
+    if (playing) chasePedals(position)
+  }
+
+  function stopTimer() {
+    if (timer) clearInterval(timer)
+    timer = null
+  }
+
+  function tick() {
+    position = anchorPos + (performance.now() - anchorWall) * rate
+    const end = loop ? loop.end : timeline.durationMs
+    const events = timeline.events
+    while (index < events.length && events[index].t <= Math.min(position, end)) {
+      if (enabled(events[index])) emit(events[index])
+      index++
+    }
+    if (loop && position >= loop.end) {
+      moveTo(loop.start)
+    } else if (!loop && position >= timeline.durationMs) {
+      playing = false
+      stopTimer()
+      release()
+      position = timeline.durationMs
+      status(true)
+      return
+    }
+    status(false)
+  }
+
+  return {
+    load(next) {
+      this.pause()
+      timeline = next || { durationMs: 0, tracks: [], events: [] }
+      loop = null
+      tracks = null
+      channels = null
+      moveTo(0)
+      status(true)
+    },
+
+    play() {
+      if (playing || timeline.events.length === 0) return
+      if (position >= timeline.durationMs) position = 0
+      if (loop && (position < loop.start || position >= loop.end)) position = loop.start
+      playing = true
+      moveTo(position)
+      stopTimer()
+      timer = setInterval(tick, TICK_MS)
+      status(true)
+    },
+
+    pause() {
+      if (!playing) return
+      position = anchorPos + (performance.now() - anchorWall) * rate
+      playing = false
+      stopTimer()
+      release()
+      status(true)
+    },
+
+    stop() {
+      this.pause()
+      moveTo(loop ? loop.start : 0)
+      status(true)
+    },
+
+    seek(ms) {
+      moveTo(ms)
+      status(true)
+    },
+
+    // playback speed multiplier (1 = file tempo)
+    setRate(next) {
+      if (playing) {
+        anchorPos = anchorPos + (performance.now() - anchorWall) * rate
+        anchorWall = performance.now()
+      }
+      rate = Math.max(0.1, Math.min(4, Number(next) || 1))
+    },
+
+    // loop region { start, end } in ms, or null
+    setLoop(next) {
+      loop = next && next.end > next.start ? { start: next.start, end: next.end } : null
+    },
+
+    // restrict playback to some tracks / channels (arrays or null for all)
+    setFilter({ tracks: nextTracks = null, channels: nextChannels = null } = {}) {
+      tracks = nextTracks ? new Set(nextTracks) : null
+      channels = nextChannels ? new Set(nextChannels) : null
+      release(enabled)
+    },
+
+    isPlaying() { return playing },
+    getPosition() { return playing ? anchorPos + (performance.now() - anchorWall) * rate : position },
+    getTimeline() { return timeline },
+
+    dispose() {
+      stopTimer()
+      playing = false
+      release()
+    }
+  }
+}
@@ -0,0 +1,120 @@
+// MIDI output: sends notes to a chosen output port.
+// createMidiOutput() only relies on the parts of MIDIAccess it uses (`outputs` as a
+// Map-like of ports with `send(data, timestamp)`), so a plain object stand-in such as
+// { outputs: new Map([['id', { id, name, send() {} }]]) } works in place of the real thing.
+//
+// Two independent note groups are tracked so they never cancel each other:
+// - 'thru': incoming notes echoed to the output
+// - 'preview': target voicings sent by apps (e.g. PlayTheChord), held until replaced
+// Both go out on the same channel, so a note-off is only sent once no group holds that
+// note on that channel any more.
+
+const OUTPUT_PREFS_KEY = 'midi:output'
+
+// Shape: { id, channel, thru }
+// - id: output port id, or null for no output
+// - channel: 0-based MIDI channel used for sent notes
+// - thru: echo incoming notes to the output
+export function loadOutputPrefs() {
+  const def = { id: null, channel: 0, thru: false }
+  try {
+    const raw = localStorage.getItem(OUTPUT_PREFS_KEY)
+    if (raw) {
+      const parsed = JSON.parse(raw)
+      if (parsed && typeof parsed === 'object') return { ...def, ...parsed }
+    }
+  } catch (e) {}
+  return def
+}
+
+export function saveOutputPrefs(prefs) {
+  try { localStorage.setItem(OUTPUT_PREFS_KEY, JSON.stringify(prefs || {})) } catch (e) {}
+}
+
+export function describeOutputs(access) {
+  if (!access || !access.outputs) return []
+  return Array.from(access.outputs.values()).map(o => ({ id: o.id, name: o.name || o.id, state: o.state }))
+}
+
+export function createMidiOutput(access, { getPrefs } = {}) {
+  const groups = { thru: new Map(), preview: new Map() } // group -> Map note -> channel
+
+  const prefs = () => (getPrefs ? getPrefs() : null) || { id: null, channel: 0, thru: false }
+
+  // resolve the port on every send so hot-plugging or changing the selection just works
+  function port() {
+    const id = prefs().id
+    if (!id || !access || !access.outputs) return null
+    const p = access.outputs.get(id)
+    if (!p || p.state === 'disconnected') return null
+    return p
+  }
+
+  function send(data, timestamp) {
+    const p = port()
+    if (!p) return false
+    try {
+      p.send(data, timestamp)
+      return true
+    } catch (err) {
+      console.warn('MIDI output send failed', err)
+      return false
+    }
+  }
+
+  function noteOn(group, note, velocity, channel = prefs().channel) {
+    const ch = channel & 0x0f
+    if (send([0x90 | ch, note & 0x7f, Math.max(1, Math.min(127, velocity | 0))])) groups[group].set(note, ch)
+  }
+
+  const heldByAnyGroup = (note, ch) => Object.values(groups).some(g => g.get(note) === ch)
+
+  function noteOff(group, note) {
+    const ch = groups[group].get(note)
+    if (ch === undefined) return
+    groups[group].delete(note)
+    if (!heldByAnyGroup(note, ch)) send([0x80 | ch, note & 0x7f, 0])
+  }
+
+  return {
+    // echo an incoming note event (from initMIDI / on-screen keyboard) when thru is enabled
+    thru(ev, on) {
+      if (on) {
+        if (!prefs().thru) return
+        noteOn('thru', ev.note, ev.velocity)
+      } else {
+        noteOff('thru', ev.note)
+      }
+    },
+
+    // replace the previewed voicing: notes no longer in `notes` are released, new ones struck
+    preview(notes, velocity = 64) {
+      const next = new Set(notes || [])
+      for (const n of Array.from(groups.preview.keys())) if (!next.has(n)) noteOff('preview', n)
+      for (const n of next) if (!groups.preview.has(n)) noteOn('preview', n, velocity)
+    },
+
+    clearPreview() {
+      for (const n of Array.from(groups.preview.keys())) noteOff('preview', n)
+    },
+
+    // release everything we sent and broadcast All Notes Off on the configured channel
+    allNotesOff() {
+      for (const g of Object.keys(groups)) {
+        for (const n of Array.from(groups[g].keys())) noteOff(g, n)
+      }
+      send([0xb0 | (prefs().channel & 0x0f), 123, 0])
+    },
+
+    // move to a new port/channel: release everything on the current one, apply the change,
+    // then re-strike the previewed voicing so light-up keys follow the switch
+    retarget(applyChange) {
+      const previewNotes = Array.from(groups.preview.keys())
+      this.allNotesOff()
+      applyChange()
+      this.preview(previewNotes)
+    },
+
+    send
+  }
+}
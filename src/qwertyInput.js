@@ -0,0 +1,133 @@
+import { makeNoteEvent } from './midi'
+
+// Computer-keyboard (QWERTY) note input.
+// Two-row tracker-style layout, mapped by physical key (KeyboardEvent.code) so it works
+// on any keyboard language:
+//   lower row  Z S X D C V G B H N J M , L . ; /   -> base .. base+16
+//   upper row  Q 2 W 3 E R 5 T 6 Y 7 U I 9 O 0 P   -> base+12 .. base+28
+// [ / ] shift the octave, - / = transpose by a semitone.
+// Keys pressed with Shift, Ctrl, Alt or Meta are left alone so app shortcuts (e.g. Shift+S
+// to skip in PlayTheChord) keep working while this input is enabled.
+
+const KEY_OFFSETS = {
+  KeyZ: 0, KeyS: 1, KeyX: 2, KeyD: 3, KeyC: 4, KeyV: 5, KeyG: 6, KeyB: 7, KeyH: 8, KeyN: 9, KeyJ: 10, KeyM: 11,
+  Comma: 12, KeyL: 13, Period: 14, Semicolon: 15, Slash: 16,
+  KeyQ: 12, Digit2: 13, KeyW: 14, Digit3: 15, KeyE: 16, KeyR: 17, Digit5: 18, KeyT: 19, Digit6: 20, KeyY: 21,
+  Digit7: 22, KeyU: 23, KeyI: 24, Digit9: 25, KeyO: 26, Digit0: 27, KeyP: 28
+}
+
+export const QWERTY_MIN_BASE = 24
+export const QWERTY_MAX_BASE = 84
+
+const SETTINGS_KEY = 'qwerty:settings'
+
+// Shape: { enabled, base, transpose, velocity }
+// - base: MIDI note of the Z key before transposition (48 = C3)
+export function loadQwertySettings() {
+  const def = { enabled: false, base: 48, transpose: 0, velocity: 100 }
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY)
+    if (raw) {
+      const parsed = JSON.parse(raw)
+      if (parsed && typeof parsed === 'object') return { ...def, ...parsed }
+    }
+  } catch (e) {}
+  return def
+}
+
+export function saveQwertySettings(settings) {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings || {})) } catch (e) {}
+}
+
+function isTypingTarget(el) {
+  if (!el) return false
+  return el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable
+}
+
+// options:
+// - getSettings(): current settings (read on every key so changes apply immediately)
+// - onSettingsChange(next): called when octave / transpose keys change the settings
+// Returns a dispose function that releases held notes and removes the listeners.
+export function initQwertyInput(onNoteOn, onNoteOff, { getSettings, onSettingsChange } = {}) {
+  const held = new Map() // event.code -> midi note that was struck (so octave changes never strand notes)
+
+  const settings = () => (getSettings ? getSettings() : null) || loadQwertySettings()
+
+  function release(code, timestamp) {
+    const note = held.get(code)
+    if (note === undefined) return
+    held.delete(code)
+    onNoteOff && onNoteOff(makeNoteEvent(note, { velocity: 0, timestamp, source: 'qwerty' }))
+  }
+
+  function releaseAll() {
+    for (const code of Array.from(held.keys())) release(code)
+  }
+
+  function shift(patch) {
+    const cur = settings()
+    onSettingsChange && onSettingsChange({ ...cur, ...patch(cur) })
+  }
+
+  function onKeyDown(e) {
+    const s = settings()
+    if (!s.enabled) return
+    if (e.shiftKey || e.ctrlKey || e.altKey || e.metaKey) return
+    if (isTypingTarget(e.target)) return
+
+    if (e.code === 'BracketLeft' || e.code === 'BracketRight') {
+      e.preventDefault()
+      if (e.repeat) return
+      const dir = e.code === 'BracketLeft' ? -12 : 12
+      shift(cur => ({ base: Math.max(QWERTY_MIN_BASE, Math.min(QWERTY_MAX_BASE, cur.base + dir)) }))
+      return
+    }
+    if (e.code === 'Minus' || e.code === 'Equal') {
+      e.preventDefault()
+      if (e.repeat) return
+      const dir = e.code === 'Minus' ? -1 : 1
+      shift(cur => ({ transpose: Math.max(-12, Math.min(12, cur.transpose + dir)) }))
+      return
+    }
+
+    const offset = KEY_OFFSETS[e.code]
+    if (offset === undefined) return
+    // claim the key so other window shortcuts (PlayTheChord's 'S') see defaultPrevented
+    e.preventDefault()
+    if (e.repeat || held.has(e.code)) return
+    const note = s.base + s.transpose + offset
+    if (note < 0 || note > 127) return
+    held.set(e.code, note)
+    onNoteOn && onNoteOn(makeNoteEvent(note, { velocity: s.velocity, timestamp: e.timeStamp, source: 'qwerty' }))
+  }
+
+  function onKeyUp(e) {
+    if (!held.has(e.code)) return
+    e.preventDefault()
+    release(e.code, e.timeStamp)
+  }
+
+  // key-ups are never delivered while the window is unfocused
+  function onBlur() { releaseAll() }
+
+  // capture phase so notes are claimed before bubbling-phase shortcut handlers run
+  window.addEventListener('keydown', onKeyDown, true)
+  window.addEventListener('keyup', onKeyUp, true)
+  window.addEventListener('blur', onBlur)
+
+  return () => {
+    releaseAll()
+    window.removeEventListener('keydown', onKeyDown, true)
+    window.removeEventListener('keyup', onKeyUp, true)
+    window.removeEventListener('blur', onBlur)
+  }
+}
+
+// Computer keyboard as an input source (see inputSources.js); options as for initQwertyInput
+export function createQwertySource(options = {}) {
+  return {
+    id: 'qwerty',
+    label: 'Computer keyboard',
+    start(sink) { return initQwertyInput(sink.noteOn, sink.noteOff, options) }
+  }
+}
@@ -0,0 +1,94 @@
+import { PEDAL_CONTROLLERS } from './midi'
+import { encodeSMF } from './lib/smf'
+import { heldNotes } from './lib/noteState'
+
+// Session recorder. App feeds it every note-state action (see recordAction) while a
+// take is running; stop() returns the take:
+//   { name, createdAt, durationMs, events }
+// with events in the lib/smf.js shape (times in ms from the start of the take).
+// Keys still down and pedals still pressed when recording stops are closed at the end
+// of the take, so every exported file is self-contained.
+
+const PEDAL_CC = Object.fromEntries(Object.entries(PEDAL_CONTROLLERS).map(([cc, pedal]) => [pedal, Number(cc)]))
+
+function takeName(date) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `Take ${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+}
+
+export function createRecorder() {
+  let take = null // { startedAt, createdAt, events, open: Map 'ch:note' -> true, pedals: Map cc -> channel }
+
+  const timeOf = (ev) => Math.max(0, (typeof ev.timestamp === 'number' ? ev.timestamp : performance.now()) - take.startedAt)
+
+  function noteOn(ev) {
+    take.open.set(`${ev.channel}:${ev.note}`, true)
+    take.events.push({ t: timeOf(ev), type: 'noteOn', channel: ev.channel, note: ev.note, velocity: ev.velocity })
+  }
+
+  function noteOff(ev, t) {
+    const key = `${ev.channel}:${ev.note}`
+    // keys pressed before recording started have no note-on in this take
+    if (!take.open.has(key)) return
+    take.open.delete(key)
+    take.events.push({ t: t != null ? t : timeOf(ev), type: 'noteOff', channel: ev.channel, note: ev.note, velocity: 0 })
+  }
+
+  return {
+    isRecording() { return !!take },
+
+    start(now = performance.now()) {
+      take = { startedAt: now, createdAt: new Date(), events: [], open: new Map(), pedals: new Map() }
+    },
+
+    // Record the effect of one note-state action. prev / next are the note states before
+    // and after the reducer ran, used to catch notes and pedals cleared by panic or a device reset.
+    recordAction(action, prev, next) {
+      if (!take) return
+      if (action.type === 'noteOn') noteOn(action.event)
+      else if (action.type === 'noteOff') noteOff(action.event)
+      else if (action.type === 'pedal') {
+        const ev = action.event
+        const cc = PEDAL_CC[ev.pedal]
+        if (cc == null) return
+        if (ev.down) take.pedals.set(cc, ev.channel); else take.pedals.delete(cc)
+        take.events.push({ t: timeOf(ev), type: 'control', channel: ev.channel, controller: cc, value: ev.value })
+      } else if (action.type === 'releaseDevice' || action.type === 'panic') {
+        const t = performance.now() - take.startedAt
+        const nextHeld = heldNotes(next)
+        for (const [note, ev] of heldNotes(prev)) if (!nextHeld.has(note)) noteOff(ev, t)
+        for (const pedal of Object.keys(next.pedals)) {
+          const cc = PEDAL_CC[pedal]
+          if (prev.pedals[pedal] && !next.pedals[pedal] && take.pedals.has(cc)) {
+            take.events.push({ t, type: 'control', channel: take.pedals.get(cc), controller: cc, value: 0 })
+            take.pedals.delete(cc)
+          }
+        }
+      }
+    },
+
+    stop(now = performance.now()) {
+      if (!take) return null
+      const durationMs = Math.max(0, now - take.startedAt)
+      const { events } = take
+      for (const key of take.open.keys()) {
+        const [channel, note] = key.split(':').map(Number)
+        events.push({ t: durationMs, type: 'noteOff', channel, note, velocity: 0 })
+      }
+      for (const [cc, channel] of take.pedals) events.push({ t: durationMs, type: 'control', channel, controller: cc, value: 0 })
+      const result = { name: takeName(take.createdAt), createdAt: take.createdAt.getTime(), durationMs, events }
+      take = null
+      return result
+    }
+  }
+}
+
+// Encode a recorded take as a Standard MIDI File (format 0 or 1)
+export function takeToSMF(take, format = 0) {
+  return encodeSMF(take.events, { format, name: take.name })
+}
+
+export function takeFileName(take, format = 0) {
+  const base = (take.name || 'take').replace(/[^\w\- ]+/g, '-').trim()
+  return `${base}${format === 1 ? ' (type 1)' : ''}.mid`
+}
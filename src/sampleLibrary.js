@@ -0,0 +1,99 @@
+import { parseSF2, parseSFZ } from './lib/soundfont'
+import { createIdbStore } from './idbStore'
+
+// Sample libraries picked from disk and their IndexedDB cache.
+// A library record keeps the raw files so it can be rebuilt after a reload without
+// asking the user to pick the files again:
+//   { name, kind: 'sf2' | 'sfz', files: [{ path, data: ArrayBuffer }], savedAt }
+// For SFZ the record holds the .sfz text file plus every sample file picked with it.
+
+const withStore = createIdbStore('piano-samples', 'libraries', { keyPath: 'name' })
+
+export function saveLibrary(record) {
+  return withStore('readwrite', store => store.put({ ...record, savedAt: Date.now() }))
+}
+
+export function getLibrary(name) {
+  return withStore('readonly', store => store.get(name))
+}
+
+export function deleteLibrary(name) {
+  return withStore('readwrite', store => store.delete(name))
+}
+
+// Names of cached libraries (without loading their sample data into the UI)
+export function listLibraries() {
+  return withStore('readonly', store => store.getAllKeys()).then(keys => (keys || []).map(String))
+}
+
+function pathOf(file) {
+  return (file.webkitRelativePath || file.name || '').replace(/\\/g, '/')
+}
+
+// Build a library record from files chosen in a file input (one .sf2, or one .sfz plus its samples)
+export async function recordFromFiles(fileList) {
+  const files = Array.from(fileList || [])
+  const sf2 = files.find(f => /\.sf2$/i.test(f.name))
+  const sfz = files.find(f => /\.sfz$/i.test(f.name))
+  if (sf2) {
+    return { name: sf2.name, kind: 'sf2', files: [{ path: pathOf(sf2), data: await sf2.arrayBuffer() }] }
+  }
+  if (sfz) {
+    const out = []
+    for (const f of files) out.push({ path: pathOf(f), data: await f.arrayBuffer() })
+    return { name: sfz.name, kind: 'sfz', files: out }
+  }
+  throw new Error('Pick an .sf2 file, or an .sfz file together with its samples')
+}
+
+// Find the picked file for an SFZ sample path: exact relative path first, then by file name
+function findSample(files, sfzPath, samplePath) {
+  const norm = (p) => p.replace(/\\/g, '/').replace(/^\.\//, '').toLowerCase()
+  const dir = sfzPath.includes('/') ? sfzPath.slice(0, sfzPath.lastIndexOf('/') + 1) : ''
+  const wanted = norm(dir + samplePath)
+  const exact = files.find(f => norm(f.path) === wanted)
+  if (exact) return exact
+  const base = norm(samplePath).split('/').pop()
+  return files.find(f => norm(f.path).split('/').pop() === base) || null
+}
+
+// Turn a record into a playable instrument: { name, zones } where each zone has an
+// AudioBuffer in `buffer` and loop points in seconds.
+export async function buildInstrument(record, ctx) {
+  if (record.kind === 'sf2') {
+    const sf = parseSF2(record.files[0].data)
+    const buffers = new Map() // sample id -> AudioBuffer
+    const zones = sf.zones.map(z => {
+      const key = `${z.sample.id}:${z.sample.start}:${z.sample.end}`
+      if (!buffers.has(key)) {
+        const len = Math.max(1, z.sample.end - z.sample.start)
+        const buf = ctx.createBuffer(1, len, z.sample.sampleRate)
+        const ch = buf.getChannelData(0)
+        for (let i = 0; i < len; i++) ch[i] = (sf.sampleData[z.sample.start + i] || 0) / 32768
+        buffers.set(key, buf)
+      }
+      const rate = z.sample.sampleRate
+      return { ...z, buffer: buffers.get(key), loopStart: z.loopStart / rate, loopEnd: z.loopEnd / rate }
+    })
+    return { name: sf.name || record.name, zones }
+  }
+
+  const sfzFile = record.files.find(f => /\.sfz$/i.test(f.path))
+  const parsed = parseSFZ(new TextDecoder().decode(sfzFile.data))
+  const decoded = new Map() // file path -> AudioBuffer
+  const missing = new Set()
+  const zones = []
+  for (const z of parsed.zones) {
+    const file = findSample(record.files, sfzFile.path, z.sample)
+    if (!file) { missing.add(z.sample); continue }
+    if (!decoded.has(file.path)) {
+      // decodeAudioData detaches its input, so decode a copy to keep the cached bytes intact
+      decoded.set(file.path, await ctx.decodeAudioData(file.data.slice(0)))
+    }
+    const buffer = decoded.get(file.path)
+    zones.push({ ...z, buffer, loopStart: z.loopStart / buffer.sampleRate, loopEnd: z.loopEnd / buffer.sampleRate })
+  }
+  if (zones.length === 0) throw new Error(`No SFZ samples found (missing: ${Array.from(missing).slice(0, 3).join(', ') || 'none listed'})`)
+  if (missing.size > 0) console.warn('SFZ samples not found', Array.from(missing))
+  return { name: record.name, zones }
+}
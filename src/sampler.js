@@ -0,0 +1,120 @@
+import { getAudioContext } from './audioContext'
+import { zonesFor } from './lib/soundfont'
+
+// Sample-playback engine for SF2 / SFZ instruments (see sampleLibrary.buildInstrument).
+// Same interface as the synth (noteOn / noteOff / playChord / allNotesOff / applySettings)
+// so App can route the note pipeline to either one. noteOff arrives only when a note stops
+// sounding, so the sustain pedal is honoured by releasing with each zone's release time.
+
+export const MAX_SAMPLE_VOICES = 48
+
+export function createSampler({ getSettings } = {}) {
+  let ctx = null
+  let master = null
+  let instrument = null
+  const voices = new Map() // key -> [{ source, amp, release }]
+  const timers = new Map()
+
+  const settings = () => (getSettings ? getSettings() : null) || { volume: 0.7, muted: false }
+
+  function ensureContext() {
+    if (ctx) return ctx
+    ctx = getAudioContext()
+    if (!ctx) return null
+    master = ctx.createGain()
+    master.connect(ctx.destination)
+    applySettings()
+    return ctx
+  }
+
+  function applySettings() {
+    if (!ctx || !master) return
+    const s = settings()
+    const level = s.muted ? 0 : Math.max(0, Math.min(1, Number(s.volume) || 0))
+    master.gain.setTargetAtTime(level, ctx.currentTime, 0.02)
+  }
+
+  function stopVoice(key) {
+    const layers = voices.get(key)
+    if (!layers) return
+    voices.delete(key)
+    const t = ctx.currentTime
+    for (const l of layers) {
+      l.amp.gain.cancelScheduledValues(t)
+      l.amp.gain.setValueAtTime(l.amp.gain.value, t)
+      l.amp.gain.setTargetAtTime(0, t, Math.max(0.005, l.release / 4))
+      try { l.source.stop(t + l.release + 0.1) } catch (e) {}
+    }
+  }
+
+  function startVoice(key, note, velocity) {
+    if (!instrument) return
+    const c = ensureContext()
+    if (!c) return
+    if (voices.has(key)) stopVoice(key)
+    if (voices.size >= MAX_SAMPLE_VOICES) stopVoice(voices.keys().next().value)
+    const vel = Math.max(1, Math.min(127, velocity || 100))
+    const zones = zonesFor(instrument.zones, note, vel)
+    if (zones.length === 0) return
+    const t = c.currentTime
+    const layers = zones.map(z => {
+      const source = c.createBufferSource()
+      source.buffer = z.buffer
+      source.playbackRate.value = Math.pow(2, ((note - z.rootKey) * 100 + z.tune) / 1200)
+      if (z.loop && z.loopEnd > z.loopStart) {
+        source.loop = true
+        source.loopStart = z.loopStart
+        source.loopEnd = z.loopEnd
+      }
+      const amp = c.createGain()
+      amp.gain.value = Math.pow(vel / 127, 1.6) * Math.pow(10, -z.attenuation / 20)
+      let out = amp
+      if (z.pan && c.createStereoPanner) {
+        const panner = c.createStereoPanner()
+        panner.pan.value = z.pan
+        amp.connect(panner)
+        out = panner
+      }
+      source.connect(amp)
+      out.connect(master)
+      source.start(t)
+      return { source, amp, release: Math.max(0.01, z.release || 0.05) }
+    })
+    voices.set(key, layers)
+  }
+
+  return {
+    setInstrument(next) {
+      if (ctx) for (const key of Array.from(voices.keys())) stopVoice(key)
+      instrument = next || null
+    },
+    hasInstrument() { return !!instrument },
+    instrumentName() { return instrument ? instrument.name : null },
+
+    noteOn(note, velocity) { startVoice(`live:${note}`, note, velocity) },
+    noteOff(note) { if (ctx) stopVoice(`live:${note}`) },
+
+    playChord(notes, { velocity = 90, durationMs = 1200 } = {}) {
+      for (const n of notes || []) {
+        const key = `app:${n}`
+        if (timers.has(key)) clearTimeout(timers.get(key))
+        startVoice(key, n, velocity)
+        timers.set(key, setTimeout(() => {
+          timers.delete(key)
+          if (ctx) stopVoice(key)
+        }, durationMs))
+      }
+    },
+
+    allNotesOff() {
+      for (const id of timers.values()) clearTimeout(id)
+      timers.clear()
+      if (ctx) for (const key of Array.from(voices.keys())) stopVoice(key)
+    },
+
+    // build AudioBuffers against the shared context (needed before setInstrument)
+    audioContext() { return ensureContext() },
+
+    applySettings
+  }
+}
@@ -0,0 +1,179 @@
+import { getAudioContext } from './audioContext'
+
+// Polyphonic Web Audio synthesizer.
+// Each voice is one or more oscillators -> lowpass filter -> ADSR gain -> master gain.
+// Voices are keyed so live playing ('live:60') and programmatic notes from apps
+// ('app:60') never cut each other off.
+
+export const SYNTH_PRESETS = {
+  piano: {
+    label: 'Piano-like',
+    waves: [{ type: 'triangle', ratio: 1, gain: 0.7 }, { type: 'sine', ratio: 2, gain: 0.25, detune: 3 }, { type: 'sine', ratio: 3, gain: 0.08 }],
+    env: { attack: 0.004, decay: 1.6, sustain: 0.12, release: 0.35 },
+    filter: { freq: 1800, velocityTrack: 4200 }
+  },
+  epiano: {
+    label: 'Electric Piano',
+    waves: [{ type: 'sine', ratio: 1, gain: 0.75 }, { type: 'sine', ratio: 4, gain: 0.12 }],
+    env: { attack: 0.006, decay: 1.1, sustain: 0.3, release: 0.45 },
+    filter: { freq: 3000, velocityTrack: 3000 }
+  },
+  organ: {
+    label: 'Organ',
+    waves: [{ type: 'sine', ratio: 1, gain: 0.5 }, { type: 'sine', ratio: 2, gain: 0.3 }, { type: 'sine', ratio: 4, gain: 0.15 }],
+    env: { attack: 0.01, decay: 0.05, sustain: 0.9, release: 0.08 },
+    filter: { freq: 6000, velocityTrack: 0 }
+  },
+  pad: {
+    label: 'Soft Pad',
+    waves: [{ type: 'sawtooth', ratio: 1, gain: 0.3, detune: -7 }, { type: 'sawtooth', ratio: 1, gain: 0.3, detune: 7 }],
+    env: { attack: 0.35, decay: 0.6, sustain: 0.7, release: 1.2 },
+    filter: { freq: 900, velocityTrack: 1500 }
+  },
+  square: {
+    label: 'Square Lead',
+    waves: [{ type: 'square', ratio: 1, gain: 0.35 }],
+    env: { attack: 0.005, decay: 0.2, sustain: 0.6, release: 0.15 },
+    filter: { freq: 2500, velocityTrack: 2500 }
+  }
+}
+
+export const MAX_VOICES = 32
+
+const SETTINGS_KEY = 'synth:settings'
+
+// Shape: { preset, volume (0..1), muted, engine, library }
+// - engine: 'synth' or 'sampler' (plays the cached sample library named by `library`)
+// volume and mute apply to whichever engine is active.
+export function loadSynthSettings() {
+  const def = { preset: 'piano', volume: 0.7, muted: false, engine: 'synth', library: null }
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY)
+    if (raw) {
+      const parsed = JSON.parse(raw)
+      if (parsed && typeof parsed === 'object') return { ...def, ...parsed }
+    }
+  } catch (e) {}
+  return def
+}
+
+export function saveSynthSettings(settings) {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings || {})) } catch (e) {}
+}
+
+export function midiToFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12)
+}
+
+// options:
+// - getSettings(): current { preset, volume, muted } (read on every note)
+export function createSynth({ getSettings } = {}) {
+  let ctx = null
+  let master = null
+  const voices = new Map() // key -> voice
+  const timers = new Map() // key -> timeout id for programmatic notes
+
+  const settings = () => (getSettings ? getSettings() : null) || loadSynthSettings()
+
+  function ensureContext() {
+    if (ctx) return ctx
+    ctx = getAudioContext()
+    if (!ctx) return null
+    master = ctx.createGain()
+    master.connect(ctx.destination)
+    applySettings()
+    return ctx
+  }
+
+  // apply volume / mute to the master bus (call after settings change)
+  function applySettings() {
+    if (!ctx || !master) return
+    const s = settings()
+    const level = s.muted ? 0 : Math.max(0, Math.min(1, Number(s.volume) || 0))
+    master.gain.setTargetAtTime(level, ctx.currentTime, 0.02)
+  }
+
+  function stopVoice(key, when) {
+    const v = voices.get(key)
+    if (!v) return
+    voices.delete(key)
+    const t = Math.max(when || ctx.currentTime, ctx.currentTime)
+    const { release } = v.preset.env
+    if (v.amp.gain.cancelAndHoldAtTime) {
+      v.amp.gain.cancelAndHoldAtTime(t)
+    } else {
+      v.amp.gain.cancelScheduledValues(t)
+      v.amp.gain.setValueAtTime(v.amp.gain.value, t)
+    }
+    v.amp.gain.setTargetAtTime(0, t, Math.max(0.005, release / 4))
+    const end = t + release + 0.1
+    for (const o of v.oscs) { try { o.stop(end) } catch (e) {} }
+  }
+
+  function startVoice(key, note, velocity) {
+    const c = ensureContext()
+    if (!c) return
+    if (voices.has(key)) stopVoice(key)
+    // voice stealing: drop the oldest voice when the polyphony limit is reached
+    if (voices.size >= MAX_VOICES) {
+      const oldest = voices.keys().next().value
+      stopVoice(oldest)
+    }
+    const preset = SYNTH_PRESETS[settings().preset] || SYNTH_PRESETS.piano
+    const vel = Math.max(1, Math.min(127, velocity || 100)) / 127
+    const peak = Math.pow(vel, 1.6) * 0.35
+    const t = c.currentTime
+    const freq = midiToFrequency(note)
+
+    const filter = c.createBiquadFilter()
+    filter.type = 'lowpass'
+    filter.frequency.value = preset.filter.freq + preset.filter.velocityTrack * vel
+    const amp = c.createGain()
+    amp.gain.setValueAtTime(0, t)
+    amp.gain.linearRampToValueAtTime(peak, t + preset.env.attack)
+    amp.gain.setTargetAtTime(peak * preset.env.sustain, t + preset.env.attack, Math.max(0.01, preset.env.decay / 3))
+    filter.connect(amp)
+    amp.connect(master)
+
+    const oscs = preset.waves.map(w => {
+      const o = c.createOscillator()
+      o.type = w.type
+      o.frequency.value = freq * (w.ratio || 1)
+      if (w.detune) o.detune.value = w.detune
+      const g = c.createGain()
+      g.gain.value = w.gain
+      o.connect(g)
+      g.connect(filter)
+      o.start(t)
+      return o
+    })
+    voices.set(key, { note, preset, amp, oscs })
+  }
+
+  return {
+    // live playing (driven by the note pipeline)
+    noteOn(note, velocity) { startVoice(`live:${note}`, note, velocity) },
+    noteOff(note) { if (ctx) stopVoice(`live:${note}`) },
+
+    // programmatic playback for apps: strike `notes` together and release after durationMs
+    playChord(notes, { velocity = 90, durationMs = 1200 } = {}) {
+      for (const n of notes || []) {
+        const key = `app:${n}`
+        if (timers.has(key)) clearTimeout(timers.get(key))
+        startVoice(key, n, velocity)
+        timers.set(key, setTimeout(() => {
+          timers.delete(key)
+          if (ctx) stopVoice(key)
+        }, durationMs))
+      }
+    },
+
+    allNotesOff() {
+      for (const id of timers.values()) clearTimeout(id)
+      timers.clear()
+      if (ctx) for (const key of Array.from(voices.keys())) stopVoice(key)
+    },
+
+    applySettings
+  }
+}
@@ -0,0 +1,24 @@
+// Library of recorded takes, kept in IndexedDB so sessions survive a reload.
+// Records are the takes returned by recorder.stop() plus an auto-increment `id`.
+
+import { createIdbStore } from './idbStore'
+
+const withStore = createIdbStore('piano-takes', 'takes', { keyPath: 'id', autoIncrement: true })
+
+// Resolves to the new take id
+export function saveTake(take) {
+  return withStore('readwrite', store => store.add(take))
+}
+
+export function updateTake(take) {
+  return withStore('readwrite', store => store.put(take))
+}
+
+export function deleteTake(id) {
+  return withStore('readwrite', store => store.delete(id))
+}
+
+// Every take, newest first
+export function listTakes() {
+  return withStore('readonly', store => store.getAll()).then(takes => (takes || []).sort((a, b) => b.createdAt - a.createdAt))
+}
@@ -0,0 +1,169 @@
+import { makeNoteEvent, makePedalEvent, PEDAL_CONTROLLERS } from './midi'
+
+// Virtual scripted input device. Replays a JSON list of timed events through the
+// normal input pipeline so recognition and PlayTheChord flows can be exercised without
+// hardware: from Settings, or from the browser console / a test driver through
+// window.pianoVirtualDevice (see App).
+//
+// A script is an array of events, or { events, loop }; t is ms from the start:
+//   { "t": 0, "type": "noteOn", "note": 60, "velocity": 100, "channel": 0 }
+//   { "t": 500, "type": "noteOff", "note": 60 }
+//   { "t": 0, "type": "pedal", "pedal": "sustain", "value": 127 }   (pedal may also be 64 / 66 / 67)
+//   { "t": 1000, "notes": ["C4", "E4", 67], "duration": 800 }       (strike and release together)
+// Notes are MIDI numbers or names such as "C4", "F#3" or "Bb2" (C4 = 60).
+
+const LETTER_PCS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }
+const PEDAL_NAMES = Object.values(PEDAL_CONTROLLERS)
+
+export function parseNoteName(value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 127) return value
+  const m = typeof value === 'string' && value.trim().match(/^([A-Ga-g])([#b]*)(-?\d+)$/)
+  if (!m) throw new Error(`Invalid note: ${JSON.stringify(value)}`)
+  const accidental = Array.from(m[2]).reduce((n, c) => n + (c === '#' ? 1 : -1), 0)
+  const midi = LETTER_PCS[m[1].toUpperCase()] + accidental + (Number(m[3]) + 1) * 12
+  if (midi < 0 || midi > 127) throw new Error(`Note out of range: ${value}`)
+  return midi
+}
+
+// Validate a script (JSON text, array or { events, loop }) and expand it to
+// { events: [{ t, type: 'noteOn' | 'noteOff' | 'pedal', ... }], loop, durationMs }
+export function parseVirtualScript(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.events) ? data.events : null
+  if (!list) throw new Error('Script must be an array of events or { "events": [...] }')
+  const events = []
+  list.forEach((raw, i) => {
+    const where = `event ${i + 1}`
+    if (!raw || typeof raw !== 'object') throw new Error(`${where}: not an object`)
+    const t = Number(raw.t || 0)
+    if (!Number.isFinite(t) || t < 0) throw new Error(`${where}: invalid time`)
+    const channel = Math.max(0, Math.min(15, Number(raw.channel) || 0))
+    const velocity = Math.max(1, Math.min(127, Number(raw.velocity) || 100))
+    try {
+      if (Array.isArray(raw.notes)) {
+        const duration = Math.max(1, Number(raw.duration) || 500)
+        for (const n of raw.notes) {
+          const note = parseNoteName(n)
+          events.push({ t, type: 'noteOn', note, velocity, channel })
+          events.push({ t: t + duration, type: 'noteOff', note, velocity: 0, channel })
+        }
+      } else if (raw.type === 'noteOn' || raw.type === 'noteOff') {
+        events.push({ t, type: raw.type, note: parseNoteName(raw.note), velocity: raw.type === 'noteOn' ? velocity : 0, channel })
+      } else if (raw.type === 'pedal') {
+        const pedal = PEDAL_CONTROLLERS[raw.pedal] || raw.pedal
+        if (!PEDAL_NAMES.includes(pedal)) throw new Error(`unknown pedal ${JSON.stringify(raw.pedal)}`)
+        const value = raw.value != null ? Math.max(0, Math.min(127, Number(raw.value) || 0)) : raw.down === false ? 0 : 127
+        events.push({ t, type: 'pedal', pedal, value, channel })
+      } else {
+        throw new Error(`unknown type ${JSON.stringify(raw.type)}`)
+      }
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}`)
+    }
+  })
+  // releases before strikes at the same time so repeated notes re-strike
+  const order = (ev) => (ev.type === 'noteOff' ? 0 : ev.type === 'pedal' ? 1 : 2)
+  events.sort((a, b) => (a.t - b.t) || (order(a) - order(b)))
+  const durationMs = events.length ? events[events.length - 1].t : 0
+  return { events, loop: !!(data && data.loop), durationMs }
+}
+
+// The device is an input source (register it with the input hub) with playback controls:
+// - play(script): replace any running script; resolves when it finishes or is stopped
+// - stop(): cancel the script and release its notes and pedals
+// - send(event): inject one event immediately (same shape as a script event, t ignored)
+// options:
+// - onStatus({ playing, error })
+export function createVirtualDevice({ id = 'virtual', label = 'Virtual device', onStatus = () => {} } = {}) {
+  let sink = null
+  let timers = [] // running script
+  let sendTimers = [] // delayed releases from send()
+  let finish = null
+  const open = new Map() // 'channel:note' -> channel
+  const pedalsDown = new Map() // pedal -> channel
+  const meta = (channel) => ({ channel, inputId: id, source: 'virtual' })
+
+  function emit(ev) {
+    if (!sink) return
+    if (ev.type === 'noteOn') {
+      open.set(`${ev.channel}:${ev.note}`, ev.channel)
+      sink.noteOn(makeNoteEvent(ev.note, { ...meta(ev.channel), velocity: ev.velocity }))
+    } else if (ev.type === 'noteOff') {
+      open.delete(`${ev.channel}:${ev.note}`)
+      sink.noteOff(makeNoteEvent(ev.note, meta(ev.channel)))
+    } else if (ev.type === 'pedal') {
+      if (ev.value >= 64) pedalsDown.set(ev.pedal, ev.channel); else pedalsDown.delete(ev.pedal)
+      sink.pedal(makePedalEvent(ev.pedal, ev.value, meta(ev.channel)))
+    }
+  }
+
+  function releaseAll() {
+    for (const key of Array.from(open.keys())) {
+      const [channel, note] = key.split(':').map(Number)
+      emit({ type: 'noteOff', note, channel })
+    }
+    for (const [pedal, channel] of Array.from(pedalsDown)) emit({ type: 'pedal', pedal, value: 0, channel })
+  }
+
+  function cancel() {
+    for (const timer of timers.concat(sendTimers)) clearTimeout(timer)
+    timers = []
+    sendTimers = []
+    releaseAll()
+    if (finish) { const done = finish; finish = null; done() }
+  }
+
+  function schedule(script) {
+    for (const ev of script.events) timers.push(setTimeout(() => emit(ev), ev.t))
+    timers.push(setTimeout(() => {
+      timers = []
+      releaseAll()
+      if (script.loop && script.durationMs > 0) { schedule(script); return }
+      onStatus({ playing: false, error: '' })
+      if (finish) { const done = finish; finish = null; done() }
+    }, script.durationMs))
+  }
+
+  return {
+    id,
+    label,
+    start(next) {
+      sink = next
+      return () => {
+        cancel()
+        sink = null
+      }
+    },
+
+    play(input) {
+      let script
+      try {
+        script = parseVirtualScript(input)
+      } catch (err) {
+        onStatus({ playing: false, error: err.message || String(err) })
+        return Promise.reject(err)
+      }
+      cancel()
+      onStatus({ playing: true, error: '' })
+      return new Promise((resolve) => {
+        finish = resolve
+        schedule(script)
+      })
+    },
+
+    stop() {
+      const wasPlaying = timers.length > 0
+      cancel()
+      if (wasPlaying) onStatus({ playing: false, error: '' })
+    },
+
+    isPlaying() { return timers.length > 0 },
+
+    send(raw) {
+      for (const ev of parseVirtualScript([{ ...raw, t: 0 }]).events) {
+        if (ev.t === 0) emit(ev)
+        else sendTimers.push(setTimeout(() => emit(ev), ev.t))
+      }
+    }
+  }
+}
@@ -0,0 +1,20 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { analyzeChord } from '../src/lib/analysis.js'
+import { recognize } from '../src/lib/chords.js'
+
+const C_MAJOR = { tonic: 0, mode: 'major' }
+const analyze = (notes, key = C_MAJOR) => analyzeChord(recognize(notes)[0], notes, key)
+
+test('diatonic chords get their numeral and function', () => {
+  assert.deepEqual(analyze([60, 64, 67]), { numeral: 'I', kind: 'diatonic', function: 'tonic', description: 'diatonic' })
+  assert.equal(analyze([67, 71, 74, 77]).numeral, 'V⁷')
+  assert.equal(analyze([67, 71, 74, 77]).function, 'dominant')
+})
+
+test('chromatic chords are told apart', () => {
+  assert.equal(analyze([62, 66, 69, 72]).numeral, 'V⁷/V')
+  assert.equal(analyze([65, 68, 72]).kind, 'borrowed')
+  assert.equal(analyze([61, 65, 68]).kind, 'neapolitan')
+  assert.equal(analyze([68, 72, 75, 78]).numeral, 'Ger⁺⁶')
+})
@@ -0,0 +1,26 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { validateChordDictionary, DICTIONARY_FORMAT } from '../src/lib/chordDictionary.js'
+
+test('normalises a valid dictionary', () => {
+  const dictionary = validateChordDictionary(JSON.stringify({
+    format: DICTIONARY_FORMAT,
+    name: 'Mine',
+    types: { mu: { formula: [7, 0, 2, 4, 4], suffix: 'mu', tags: ['add9', 'add9'] }, dim: { disabled: true } }
+  }))
+  assert.deepEqual(dictionary, {
+    name: 'Mine',
+    types: { mu: { formula: [0, 2, 4, 7], suffix: 'mu', tags: ['add9'] }, dim: { disabled: true } }
+  })
+})
+
+test('names the entry that is wrong', () => {
+  const bad = types => () => validateChordDictionary({ types })
+  assert.throws(() => validateChordDictionary({}), /needs a "types" object/)
+  assert.throws(() => validateChordDictionary({ format: 'other', types: {} }), /Not a chord dictionary/)
+  assert.throws(bad({ single: {} }), /chord type "single": invalid name/)
+  assert.throws(bad({ x: { formula: [0, 24] } }), /chord type "x": formula must be a list/)
+  assert.throws(bad({ x: { formula: [4, 7] } }), /must contain the root/)
+  assert.throws(bad({ x: { priority: -1 } }), /priority/)
+  assert.throws(bad({ x: { tags: ['nope'] } }), /unknown tag\(s\) nope/)
+})
@@ -0,0 +1,62 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { parseChordSymbol, parseChordList } from '../src/lib/chordSymbols.js'
+import { chordFormulas, formatMatch } from '../src/lib/chords.js'
+import { KEY_SIGNATURES } from '../src/lib/spelling.js'
+
+const pcsOf = symbol => [...parseChordSymbol(symbol).pcs].sort((a, b) => a - b)
+
+test('reads common symbols', () => {
+  assert.deepEqual(parseChordSymbol('Cmaj7').intervals, [0, 4, 7, 11])
+  assert.deepEqual(parseChordSymbol('Dm7').voicing, [62, 65, 69, 72])
+  assert.deepEqual(pcsOf('G7b9'), [2, 5, 7, 8, 11])
+  assert.deepEqual(pcsOf('F#m7b5'), [0, 4, 6, 9])
+  assert.deepEqual(pcsOf('Csus4'), [0, 5, 7])
+})
+
+test('an accidental after the letter belongs to the root', () => {
+  assert.equal(parseChordSymbol('B♭9').rootName, 'B♭')
+  assert.equal(parseChordSymbol('Bb9').root, 10)
+  assert.equal(parseChordSymbol('F#m').root, 6)
+  assert.equal(parseChordSymbol('E♭⁷').root, 3)
+  assert.deepEqual([parseChordSymbol('B♭⁹').root, parseChordSymbol('B♭⁹').type], [10, '9'])
+  assert.deepEqual([parseChordSymbol('D♭⁵').root, parseChordSymbol('D♭⁵').type], [1, 'fifth'])
+})
+
+test('a flat ninth is read with its seventh or in parentheses', () => {
+  assert.deepEqual([parseChordSymbol('C⁷♭⁹').root, parseChordSymbol('C⁷♭⁹').type], [0, 'b9'])
+  assert.equal(parseChordSymbol('C(♭⁹)').type, 'b9')
+  assert.equal(parseChordSymbol('C7b9').type, 'b9')
+})
+
+test('every name formatMatch writes reads back as the same chord', () => {
+  const keySignatures = [null, ...KEY_SIGNATURES.map(k => k.value)]
+  for (const type of Object.keys(chordFormulas)) {
+    if (type === 'single') continue
+    for (let root = 0; root < 12; root++) {
+      for (const keySignature of keySignatures) {
+        const { displayName } = formatMatch({ root, type, omitted: [] }, [], { keySignature })
+        const parsed = parseChordSymbol(displayName)
+        assert.deepEqual([parsed.root, parsed.type], [root, type], `${displayName} (${type} on ${root}, key signature ${keySignature})`)
+      }
+    }
+  }
+})
+
+test('slash bass goes below the root', () => {
+  const chord = parseChordSymbol('E♭9/G')
+  assert.equal(chord.root, 3)
+  assert.equal(chord.bass, 7)
+  assert.ok(chord.voicing[0] < chord.voicing[1])
+  assert.equal(parseChordSymbol('C6/9').bass, null)
+})
+
+test('alt carries the flat seventh and the altered tensions', () => {
+  assert.deepEqual(pcsOf('Calt'), [0, 1, 3, 4, 6, 8, 10])
+})
+
+test('parses progressions and reports bad symbols', () => {
+  assert.deepEqual(parseChordList('Dm7 G7 | Cmaj7, A7b9').map(c => c.root), [2, 7, 0, 9])
+  assert.throws(() => parseChordSymbol('H7'), /must start with a note name/)
+  assert.throws(() => parseChordSymbol(''), /Empty chord symbol/)
+})
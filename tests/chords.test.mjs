@@ -0,0 +1,51 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { recognize, applyChordDictionary, describeStructure } from '../src/lib/chords.js'
+
+// small deterministic PRNG so failures are reproducible
+function voicings(count, seed = 1) {
+  const next = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648
+  return Array.from({ length: count }, () => Array.from({ length: 2 + Math.floor(next() * 5) }, () => 36 + Math.floor(next() * 48)))
+}
+
+function assertIndexMatchesScan() {
+  for (const notes of voicings(300)) {
+    assert.deepEqual(recognize(notes), recognize(notes, { useIndex: false }), `voicing ${notes.join(' ')}`)
+  }
+}
+
+test('recognizes chords in any voicing', () => {
+  const [best] = recognize([64, 67, 72])
+  assert.deepEqual([best.root, best.type, best.bass], [0, 'major', 4])
+  assert.equal(recognize([62, 65, 69, 72])[0].type, 'm7')
+})
+
+test('the mask index ranks like the template scan', () => {
+  assertIndexMatchesScan()
+  // dense clusters give the largest scores the index stores
+  for (let size = 7; size <= 12; size++) {
+    const notes = Array.from({ length: size }, (_, i) => 48 + i)
+    assert.deepEqual(recognize(notes), recognize(notes, { useIndex: false }), `cluster of ${size}`)
+  }
+})
+
+test('the mask index follows a custom dictionary', () => {
+  try {
+    applyChordDictionary({ name: 'test', types: { mu: { formula: [0, 2, 4, 7], suffix: 'mu' }, '7': { priority: 0 }, m7: { disabled: true } } })
+    assert.ok(recognize([60, 62, 64, 67]).some(m => m.type === 'mu'))
+    assert.ok(!recognize([60, 63, 67, 70]).some(m => m.type === 'm7'))
+    assertIndexMatchesScan()
+  } finally {
+    applyChordDictionary(null)
+  }
+  assertIndexMatchesScan()
+})
+
+test('describeStructure names voicings the dictionary does not', () => {
+  assert.equal(describeStructure([60, 61, 62]).kind, 'cluster')
+  assert.equal(describeStructure([60, 65, 70, 75]).kind, 'quartal')
+  assert.equal(describeStructure([64, 69, 74, 79, 83]).kind, 'soWhat')
+  const poly = describeStructure([60, 64, 67, 74, 78, 81])
+  assert.deepEqual([poly.kind, poly.displayName], ['polychord', 'D/C'])
+  assert.equal(describeStructure([60, 61]), null)
+})
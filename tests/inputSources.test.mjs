@@ -0,0 +1,116 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createInputHub, createPushSource } from '../src/inputSources.js'
+import { createVirtualDevice, parseVirtualScript, parseNoteName } from '../src/virtualDevice.js'
+import { makeNoteEvent, makePedalEvent } from '../src/midi.js'
+import { createNoteState, noteStateReducer, soundingNotes } from '../src/lib/noteState.js'
+
+// sink that records what reaches the note pipeline as [kind, note or pedal, ...]
+function recordingSink() {
+  const log = []
+  return {
+    log,
+    noteOn: ev => log.push(['on', ev.note, ev.velocity]),
+    noteOff: ev => log.push(['off', ev.note]),
+    pedal: ev => log.push(['pedal', ev.pedal, ev.down]),
+    releaseDevice: info => log.push(['release', info.inputId])
+  }
+}
+
+const meta = { inputId: 'screen', source: 'screen', channel: 0 }
+
+test('the hub forwards a push source while it is registered', () => {
+  const sink = recordingSink()
+  const hub = createInputHub(sink)
+  const screen = createPushSource({ id: 'screen', label: 'On-screen keyboard' })
+  screen.noteOn(makeNoteEvent(59, { ...meta, velocity: 80 }))
+  const stop = hub.register(screen)
+  assert.deepEqual(hub.list(), [{ id: 'screen', label: 'On-screen keyboard' }])
+  screen.noteOn(makeNoteEvent(60, { ...meta, velocity: 80 }))
+  screen.noteOff(makeNoteEvent(60, meta))
+  stop()
+  screen.noteOn(makeNoteEvent(61, { ...meta, velocity: 80 }))
+  assert.deepEqual(sink.log, [['on', 60, 80], ['off', 60]])
+  assert.deepEqual(hub.list(), [])
+})
+
+test('unregistering a source releases the notes and pedals it left down', () => {
+  const sink = recordingSink()
+  const hub = createInputHub(sink)
+  const screen = createPushSource({ id: 'screen' })
+  hub.register(screen)
+  screen.noteOn(makeNoteEvent(60, { ...meta, velocity: 80 }))
+  screen.noteOn(makeNoteEvent(64, { ...meta, velocity: 80 }))
+  screen.noteOff(makeNoteEvent(64, meta))
+  screen.pedal(makePedalEvent('sustain', 127, meta))
+  hub.unregister('screen')
+  assert.deepEqual(sink.log.slice(4), [['off', 60], ['pedal', 'sustain', false]])
+})
+
+test('registering a source id again replaces the old source', () => {
+  const sink = recordingSink()
+  const hub = createInputHub(sink)
+  const first = createPushSource({ id: 'screen' })
+  const stopFirst = hub.register(first)
+  first.noteOn(makeNoteEvent(60, { ...meta, velocity: 80 }))
+  hub.register(createPushSource({ id: 'screen' }))
+  first.noteOn(makeNoteEvent(62, { ...meta, velocity: 80 }))
+  // the stale cleanup must not unregister the replacement
+  stopFirst()
+  assert.deepEqual(sink.log, [['on', 60, 80], ['off', 60]])
+  assert.equal(hub.list().length, 1)
+})
+
+test('virtual scripts are validated and expanded', () => {
+  assert.equal(parseNoteName('C4'), 60)
+  assert.equal(parseNoteName('Bb2'), 46)
+  const script = parseVirtualScript('[{ "t": 0, "notes": ["C4", "E4"], "duration": 100 }, { "t": 50, "type": "pedal", "pedal": 64 }]')
+  assert.deepEqual(script.events.map(ev => [ev.t, ev.type, ev.note ?? ev.pedal]), [
+    [0, 'noteOn', 60], [0, 'noteOn', 64], [50, 'pedal', 'sustain'], [100, 'noteOff', 60], [100, 'noteOff', 64]
+  ])
+  assert.equal(script.durationMs, 100)
+  assert.throws(() => parseVirtualScript([{ t: 0, type: 'noteOn', note: 'H2' }]), /event 1: Invalid note/)
+})
+
+test('a scripted virtual device plays through the hub into the note state', async () => {
+  const sink = recordingSink()
+  let state = createNoteState()
+  let chordAtPeak = null
+  const hub = createInputHub({
+    ...sink,
+    noteOn: ev => { sink.noteOn(ev); state = noteStateReducer(state, { type: 'noteOn', event: ev }) },
+    noteOff: ev => {
+      if (!chordAtPeak) chordAtPeak = [...soundingNotes(state).keys()].sort((a, b) => a - b)
+      sink.noteOff(ev)
+      state = noteStateReducer(state, { type: 'noteOff', event: ev })
+    }
+  })
+  const device = createVirtualDevice()
+  hub.register(device)
+  await device.play([
+    { t: 0, notes: ['C4', 'E4', 'G4'], duration: 30, velocity: 90 },
+    { t: 40, type: 'noteOn', note: 72 },
+    { t: 60, type: 'noteOff', note: 72 }
+  ])
+  assert.deepEqual(sink.log, [
+    ['on', 60, 90], ['on', 64, 90], ['on', 67, 90],
+    ['off', 60], ['off', 64], ['off', 67],
+    ['on', 72, 100], ['off', 72]
+  ])
+  assert.deepEqual(chordAtPeak, [60, 64, 67])
+  assert.equal(soundingNotes(state).size, 0)
+  assert.equal(device.isPlaying(), false)
+})
+
+test('stopping a virtual script releases what it holds', async () => {
+  const sink = recordingSink()
+  const hub = createInputHub(sink)
+  const device = createVirtualDevice()
+  hub.register(device)
+  const done = device.play([{ t: 0, type: 'noteOn', note: 60 }, { t: 0, type: 'pedal', pedal: 'sustain' }, { t: 5000, type: 'noteOff', note: 60 }])
+  await new Promise(resolve => setTimeout(resolve, 20))
+  device.stop()
+  await done
+  // at equal times pedals go before strikes
+  assert.deepEqual(sink.log, [['pedal', 'sustain', true], ['on', 60, 100], ['off', 60], ['pedal', 'sustain', false]])
+})
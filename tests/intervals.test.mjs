@@ -0,0 +1,54 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { recognizeInterval } from '../src/lib/intervals.js'
+
+const read = (notes, options) => {
+  const r = recognizeInterval(notes, options)
+  return r && `${r.lowerName}-${r.upperName} ${r.shortName} (${r.name})`
+}
+
+test('simple intervals by quality', () => {
+  assert.equal(read([60, 61]), 'C-D♭ m2 (Minor 2nd)')
+  assert.equal(read([60, 64]), 'C-E M3 (Major 3rd)')
+  assert.equal(read([62, 67]), 'D-G P4 (Perfect 4th)')
+  assert.equal(read([60, 67]), 'C-G P5 (Perfect 5th)')
+  assert.equal(read([64, 72]), 'E-C m6 (Minor 6th)')
+  assert.equal(read([60, 71]), 'C-B M7 (Major 7th)')
+})
+
+test('the tritone is a 4th or a 5th, whichever is spelled more simply', () => {
+  assert.equal(read([60, 66]), 'C-F# A4 (Augmented 4th (tritone))')
+  assert.equal(read([71, 77]), 'B-F d5 (Diminished 5th (tritone))')
+})
+
+test('compound intervals keep their size', () => {
+  const tenth = recognizeInterval([60, 76])
+  assert.deepEqual([tenth.semitones, tenth.octaves, tenth.compound, tenth.shortName, tenth.name], [16, 1, true, 'M10', 'Major 10th'])
+  assert.equal(recognizeInterval([64, 84]).name, 'Minor 13th')
+  assert.equal(recognizeInterval([60, 74]).name, 'Major 9th')
+})
+
+test('the inversion is the complementary simple interval', () => {
+  const inv = notes => recognizeInterval(notes).inversion
+  assert.deepEqual(inv([60, 64]), { number: 6, quality: 'minor', name: 'Minor 6th', shortName: 'm6', semitones: 8 })
+  assert.equal(inv([60, 67]).shortName, 'P4')
+  assert.equal(inv([60, 76]).shortName, 'm6')
+  assert.equal(inv([60, 66]).shortName, 'd5')
+  assert.equal(inv([71, 77]).shortName, 'A4')
+})
+
+test('doubled notes measure from the lowest note of each pitch class', () => {
+  const r = recognizeInterval([67, 60, 72, 79])
+  assert.deepEqual([r.lower, r.upper, r.shortName], [60, 67, 'P5'])
+})
+
+test('anything but two pitch classes is not an interval', () => {
+  assert.equal(recognizeInterval([60]), null)
+  assert.equal(recognizeInterval([60, 72]), null)
+  assert.equal(recognizeInterval([60, 64, 67]), null)
+})
+
+test('a key signature spells the lower note', () => {
+  assert.equal(read([61, 65], { keySignature: 2 }), 'C#-E# M3 (Major 3rd)')
+  assert.equal(read([61, 65], { keySignature: -4 }), 'D♭-F M3 (Major 3rd)')
+})
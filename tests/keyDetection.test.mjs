@@ -0,0 +1,54 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createKeyHistory, keyHistoryReducer, pitchClassWeights, detectKey, keyScalePcs, KEY_HALF_LIFE_MS } from '../src/lib/keyDetection.js'
+
+// play notes one after another, each sounding for `length` ms
+function play(state, notes, start = 0, length = 400) {
+  return notes.reduce((s, note, i) => {
+    const on = keyHistoryReducer(s, { type: 'noteOn', note, time: start + i * length })
+    return keyHistoryReducer(on, { type: 'noteOff', note, time: start + (i + 1) * length })
+  }, state)
+}
+
+const keyAt = (state, time) => detectKey(pitchClassWeights(state, time))
+const describe = result => result && `${result.key.tonic} ${result.key.mode}`
+
+test('a C major scale and cadence reads as C major', () => {
+  const state = play(createKeyHistory(), [60, 62, 64, 65, 67, 69, 71, 72, 67, 60, 64, 67, 60])
+  const result = keyAt(state, 6000)
+  assert.equal(describe(result), '0 major')
+  assert.ok(result.confidence > 0 && result.confidence <= 1)
+  assert.equal(result.ranking.length, 24)
+  assert.ok(Math.abs(result.ranking.reduce((sum, r) => sum + r.confidence, 0) - 1) < 1e-9)
+})
+
+test('an A harmonic minor line reads as A minor', () => {
+  const state = play(createKeyHistory(), [57, 59, 60, 62, 64, 65, 68, 69, 64, 57, 60, 64, 57])
+  assert.equal(describe(keyAt(state, 6000)), '9 minor')
+})
+
+test('the estimate follows a modulation', () => {
+  const cMajor = play(createKeyHistory(), [60, 64, 67, 72, 65, 69, 60, 67, 71, 74, 60])
+  const later = 4 * KEY_HALF_LIFE_MS
+  const eFlatMajor = play(cMajor, [63, 67, 70, 75, 68, 72, 63, 70, 74, 77, 63], later)
+  assert.equal(describe(keyAt(eFlatMajor, later + 5000)), '3 major')
+})
+
+test('no estimate without input or once the history has faded', () => {
+  assert.equal(detectKey(pitchClassWeights(createKeyHistory(), 0)), null)
+  const state = play(createKeyHistory(), [60, 64, 67])
+  assert.notEqual(keyAt(state, 2000), null)
+  assert.equal(keyAt(state, 20 * KEY_HALF_LIFE_MS), null)
+})
+
+test('held notes count until they are released', () => {
+  const held = keyHistoryReducer(createKeyHistory(), { type: 'noteOn', note: 67, time: 0 })
+  const weights = pitchClassWeights(held, 4000)
+  assert.ok(weights[7] > 3)
+  assert.equal(held.sounding.size, 1)
+})
+
+test('keyScalePcs lists the scale of a key', () => {
+  assert.deepEqual([...keyScalePcs({ tonic: 2, mode: 'major' })].sort((a, b) => a - b), [1, 2, 4, 6, 7, 9, 11])
+  assert.ok(keyScalePcs({ tonic: 9, mode: 'minor' }).has(8))
+})
@@ -0,0 +1,81 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createMidiOutput, describeOutputs } from '../src/midiOutput.js'
+
+// MIDIAccess stand-in: ports record what they are sent
+function fakeAccess(...ids) {
+  const sent = {}
+  const outputs = new Map(ids.map(id => {
+    sent[id] = []
+    return [id, { id, name: `Port ${id}`, state: 'connected', send: data => sent[id].push(data) }]
+  }))
+  return { access: { outputs }, sent }
+}
+
+function setup(prefs) {
+  const { access, sent } = fakeAccess('a', 'b')
+  let current = { id: 'a', channel: 0, thru: true, ...prefs }
+  const output = createMidiOutput(access, { getPrefs: () => current })
+  return { access, sent, output, setPrefs: next => { current = { ...current, ...next } } }
+}
+
+test('lists the output ports', () => {
+  const { access } = fakeAccess('a')
+  assert.deepEqual(describeOutputs(access), [{ id: 'a', name: 'Port a', state: 'connected' }])
+  assert.deepEqual(describeOutputs(null), [])
+})
+
+test('sends to the selected port only, and to nothing without one', () => {
+  const { sent, output, setPrefs, access } = setup({ channel: 2 })
+  output.thru({ note: 60, velocity: 100 }, true)
+  assert.deepEqual(sent, { a: [[0x92, 60, 100]], b: [] })
+  setPrefs({ id: null })
+  assert.equal(output.send([0x90, 61, 1]), false)
+  setPrefs({ id: 'b' })
+  access.outputs.get('b').state = 'disconnected'
+  assert.equal(output.send([0x90, 61, 1]), false)
+  assert.deepEqual(sent.b, [])
+})
+
+test('thru echoes notes only while enabled, but always releases what it sent', () => {
+  const { sent, output, setPrefs } = setup({ thru: false })
+  output.thru({ note: 60, velocity: 90 }, true)
+  assert.deepEqual(sent.a, [])
+  setPrefs({ thru: true })
+  output.thru({ note: 62, velocity: 90 }, true)
+  setPrefs({ thru: false })
+  output.thru({ note: 62 }, false)
+  output.thru({ note: 60 }, false)
+  assert.deepEqual(sent.a, [[0x90, 62, 90], [0x80, 62, 0]])
+})
+
+test('preview replaces the previous voicing and clears with note-offs', () => {
+  const { sent, output } = setup()
+  output.preview([60, 64, 67])
+  output.preview([60, 65, 69])
+  output.clearPreview()
+  assert.deepEqual(sent.a, [
+    [0x90, 60, 64], [0x90, 64, 64], [0x90, 67, 64],
+    [0x80, 64, 0], [0x80, 67, 0], [0x90, 65, 64], [0x90, 69, 64],
+    [0x80, 60, 0], [0x80, 65, 0], [0x80, 69, 0]
+  ])
+})
+
+test('a preview note-off does not cut a note still held through thru', () => {
+  const { sent, output } = setup()
+  output.thru({ note: 60, velocity: 100 }, true)
+  output.preview([60, 64])
+  output.clearPreview()
+  assert.deepEqual(sent.a.filter(m => m[0] === 0x80), [[0x80, 64, 0]])
+  output.thru({ note: 60 }, false)
+  assert.deepEqual(sent.a[sent.a.length - 1], [0x80, 60, 0])
+})
+
+test('retarget releases everything on the old port and re-strikes the preview on the new one', () => {
+  const { sent, output, setPrefs } = setup()
+  output.thru({ note: 48, velocity: 80 }, true)
+  output.preview([60, 64])
+  output.retarget(() => setPrefs({ id: 'b', channel: 1 }))
+  assert.deepEqual(sent.a.slice(3), [[0x80, 48, 0], [0x80, 60, 0], [0x80, 64, 0], [0xb0, 123, 0]])
+  assert.deepEqual(sent.b, [[0x91, 60, 64], [0x91, 64, 64]])
+})
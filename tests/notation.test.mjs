@@ -0,0 +1,48 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { germanNoteName, parseKey } from '../src/lib/notation.js'
+import { formatMatch, recognize } from '../src/lib/chords.js'
+
+const C_MAJOR = parseKey('0:major')
+const A_MINOR = parseKey('9:minor')
+const name = (root, type, notation, key = C_MAJOR) => formatMatch({ root, type, omitted: [] }, [], { notation, key }).displayName
+const voiced = (notes, notation, key = C_MAJOR) => formatMatch(recognize(notes)[0], notes, { notation, key }).displayName
+
+test('jazz and ASCII suffixes', () => {
+  assert.deepEqual(['M7', 'm7', 'm7b5', 'dim7', 'aug', 'mM7'].map(t => name(0, t, 'jazz')), ['CΔ7', 'C-7', 'Cø7', 'C°7', 'C+', 'C-Δ7'])
+  assert.deepEqual(['M7', 'aug', 'b9', 'flat5'].map(t => name(10, t, 'ascii')), ['Bbmaj7', 'Bbaug', 'Bb7b9', 'Bb(b5)'])
+  assert.deepEqual(['m7b5', 'dim7', 'mM7'].map(t => name(0, t, 'ascii')), ['Cm7b5', 'Cdim7', 'Cm(maj7)'])
+})
+
+test('German note names', () => {
+  assert.deepEqual(['B', 'B♭', 'F#', 'E♭', 'A♭', 'D♭', 'C'].map(germanNoteName), ['H', 'B', 'Fis', 'Es', 'As', 'Des', 'C'])
+  assert.equal(name(11, 'm7', 'german'), 'Hm7')
+  assert.equal(name(10, '7', 'german'), 'B7')
+})
+
+test('Roman numerals with figured-bass inversions', () => {
+  assert.equal(voiced([60, 64, 67], 'roman'), 'I')
+  assert.equal(voiced([64, 67, 72], 'roman'), 'I⁶')
+  assert.equal(voiced([67, 72, 76], 'roman'), 'I⁶₄')
+  assert.equal(voiced([71, 74, 77, 79], 'roman'), 'V⁶₅')
+  assert.equal(voiced([65, 71, 74, 79], 'roman'), 'V⁴₂')
+  assert.equal(name(2, 'm7', 'roman'), 'ii⁷')
+  assert.equal(name(8, 'dim7', 'roman', A_MINOR), 'vii°⁷')
+  assert.equal(name(10, 'major', 'roman'), '♭VII')
+})
+
+test('Nashville numbers', () => {
+  assert.equal(name(7, '7', 'nashville'), '5⁷')
+  assert.equal(name(2, 'm7', 'nashville'), '2-⁷')
+  assert.equal(name(5, 'M7', 'nashville'), '4Δ⁷')
+  assert.equal(voiced([64, 67, 72], 'nashville'), '1/3')
+  assert.equal(name(0, 'minor', 'nashville', A_MINOR), '♭3-')
+})
+
+test('Roman and Nashville raise extensions the same way', () => {
+  const pairs = ['9', 'm9', '11', '13', 'M9', '9/6', 'b9', 'sus4'].map(t => [name(7, t, 'roman'), name(7, t, 'nashville')])
+  assert.deepEqual(pairs, [['V⁹', '5⁹'], ['v⁹', '5-⁹'], ['V¹¹', '5¹¹'], ['V¹³', '5¹³'], ['VM⁹', '5Δ⁹'], ['V⁶/⁹', '5⁶/⁹'], ['V⁷b9', '5⁷b9'], ['Vsus4', '5sus4']])
+  // a raised 6 is the first-inversion figure in Roman numerals
+  assert.equal(name(7, '6', 'roman'), 'Vadd6')
+  assert.equal(name(7, '6', 'nashville'), '5⁶')
+})
@@ -0,0 +1,82 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createNoteState, noteStateReducer, heldNotes, soundingNotes, soundingChanges } from '../src/lib/noteState.js'
+
+let clock = 0
+const on = (note, inputId = 'a', channel = 0) => ({ type: 'noteOn', event: { note, inputId, channel, timestamp: ++clock } })
+const off = (note, inputId = 'a', channel = 0) => ({ type: 'noteOff', event: { note, inputId, channel, timestamp: ++clock } })
+const pedal = (name, down, inputId = 'a') => ({ type: 'pedal', event: { pedal: name, down, inputId } })
+const run = (...actions) => actions.reduce(noteStateReducer, createNoteState())
+const sounding = state => [...soundingNotes(state).keys()].sort((a, b) => a - b)
+
+test('a released key stops sounding without a pedal', () => {
+  assert.deepEqual(sounding(run(on(60), on(64), off(60))), [64])
+})
+
+test('sustain keeps released notes until the pedal is lifted', () => {
+  const down = run(on(60), pedal('sustain', true), off(60), on(64), off(64))
+  assert.deepEqual(sounding(down), [60, 64])
+  assert.equal(heldNotes(down).size, 0)
+  assert.deepEqual(sounding(noteStateReducer(down, pedal('sustain', false))), [])
+})
+
+test('sostenuto only keeps the notes held when it went down', () => {
+  const state = run(on(48), pedal('sostenuto', true), on(60), off(48), off(60))
+  assert.deepEqual(sounding(state), [48])
+  assert.deepEqual(sounding(noteStateReducer(state, pedal('sostenuto', false))), [])
+})
+
+test('lifting sustain keeps notes sostenuto still holds', () => {
+  const state = run(on(48), pedal('sostenuto', true), pedal('sustain', true), on(60), off(48), off(60), pedal('sustain', false))
+  assert.deepEqual(sounding(state), [48])
+})
+
+test('the soft pedal does not change what sounds', () => {
+  const state = run(on(60), pedal('soft', true), off(60))
+  assert.equal(state.pedals.soft, true)
+  assert.deepEqual(sounding(state), [])
+})
+
+test('a key held on two devices sounds until both release it', () => {
+  const state = run(on(60, 'a'), on(60, 'b'), off(60, 'b'))
+  assert.deepEqual(sounding(state), [60])
+  assert.deepEqual(sounding(noteStateReducer(state, off(60, 'a'))), [])
+})
+
+test('releaseDevice clears one device and the pedals it owns', () => {
+  let state = run(on(60, 'a'), on(64, 'b'), pedal('sustain', true, 'a'), on(67, 'a'), off(67, 'a'))
+  state = noteStateReducer(state, { type: 'releaseDevice', deviceKey: 'a', resetPedals: true })
+  assert.deepEqual(sounding(state), [64])
+  assert.equal(state.pedals.sustain, false)
+})
+
+test('releaseDevice leaves the pedals down unless asked to reset them', () => {
+  let state = run(on(60, 'a'), pedal('sustain', true, 'b'), off(60, 'a'))
+  state = noteStateReducer(state, { type: 'releaseDevice', deviceKey: 'b', resetPedals: false })
+  assert.equal(state.pedals.sustain, true)
+  assert.deepEqual(sounding(state), [60])
+})
+
+test('releaseDevice can be limited to one channel', () => {
+  const state = noteStateReducer(run(on(60, 'a', 0), on(64, 'a', 1)), { type: 'releaseDevice', deviceKey: 'a', channel: 1 })
+  assert.deepEqual(sounding(state), [60])
+})
+
+test('panic resets everything', () => {
+  const state = noteStateReducer(run(on(60), pedal('sustain', true)), { type: 'panic' })
+  assert.deepEqual(state, createNoteState())
+})
+
+test('soundingChanges reports starts, re-strikes and stops', () => {
+  const first = run(on(60), pedal('sustain', true), off(60))
+  const restruck = noteStateReducer(first, on(60))
+  assert.deepEqual(soundingChanges(first, restruck).started.map(ev => ev.note), [60])
+  const lifted = noteStateReducer(noteStateReducer(restruck, off(60)), pedal('sustain', false))
+  assert.deepEqual(soundingChanges(restruck, lifted), { started: [], stopped: [60] })
+})
+
+test('releasing one of two devices holding a note does not restart it', () => {
+  const both = run(on(60, 'a'), on(60, 'b'))
+  const { started, stopped } = soundingChanges(both, noteStateReducer(both, off(60, 'b')))
+  assert.deepEqual([started, stopped], [[], []])
+})
@@ -0,0 +1,59 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createNoteWindow, noteWindowReducer, windowWeights, DEFAULT_WINDOW_SETTINGS, MIN_WEIGHT } from '../src/lib/noteWindow.js'
+
+const settings = { ...DEFAULT_WINDOW_SETTINGS, mode: 'windowed', windowMs: 1000, decayMs: 0 }
+
+// strike [note, time] pairs in order
+const strike = (strikes, options = settings, state = createNoteWindow()) =>
+  strikes.reduce((w, [note, time, inBassZone]) => noteWindowReducer(w, { type: 'strike', note, time, inBassZone }, options), state)
+const notesAt = (state, time, options = settings, held = []) => [...windowWeights(state, time, options, held).keys()].sort((a, b) => a - b)
+
+test('a rolled chord is read as one harmony after its keys are released', () => {
+  const rolled = strike([[48, 0], [55, 60], [64, 120], [67, 180]])
+  assert.deepEqual(notesAt(rolled, 400), [48, 55, 64, 67])
+  assert.equal(rolled.bass, 48)
+})
+
+test('strikes drop out once the window has passed', () => {
+  const alberti = strike([[48, 0], [55, 250], [52, 500], [55, 750]])
+  assert.deepEqual(notesAt(alberti, 900), [48, 52, 55])
+  // 48 was struck 1100 ms ago, the re-struck 55 still counts from its latest strike
+  assert.deepEqual(notesAt(alberti, 1100), [52, 55])
+  assert.deepEqual(notesAt(alberti, 1800), [])
+})
+
+test('keys still down always count', () => {
+  const state = strike([[60, 0]])
+  assert.deepEqual(notesAt(state, 5000, settings, [64]), [64])
+  assert.equal(windowWeights(state, 5000, settings, [60]).get(60), 1)
+})
+
+test('strikes fade with the decay half-life and drop below the minimum weight', () => {
+  const fading = { ...settings, decayMs: 200 }
+  const state = strike([[60, 0]], fading)
+  assert.equal(windowWeights(state, 200, fading).get(60), 0.5)
+  // 0.5^2 = MIN_WEIGHT at 400 ms, gone just after
+  assert.equal(windowWeights(state, 400, fading).get(60), MIN_WEIGHT)
+  assert.deepEqual(notesAt(state, 401, fading), [])
+})
+
+test('prune drops expired strikes and moves the bass up', () => {
+  const state = strike([[40, 0], [60, 800]])
+  const pruned = noteWindowReducer(state, { type: 'prune', time: 1200 }, settings)
+  assert.deepEqual([...pruned.strikes.keys()], [60])
+  assert.equal(pruned.bass, 60)
+  assert.equal(noteWindowReducer(pruned, { type: 'prune', time: 1300 }, settings), pruned)
+  assert.deepEqual(noteWindowReducer(pruned, { type: 'clear' }), createNoteWindow())
+})
+
+test('segmenting by bass starts a new window when the bass changes', () => {
+  const byBass = { ...settings, segment: 'bass' }
+  // a note below the bass
+  assert.deepEqual(notesAt(strike([[48, 0], [64, 100], [67, 200], [43, 300]], byBass), 350), [43])
+  // a new pitch class in the bass zone; the same bass an octave up does not count
+  const zoned = strike([[48, 0, true], [64, 100], [60, 200, true], [53, 300, true]], byBass)
+  assert.deepEqual(notesAt(zoned, 350), [53])
+  // the sliding window keeps everything
+  assert.deepEqual(notesAt(strike([[48, 0], [64, 100], [43, 300]]), 350), [43, 48, 64])
+})
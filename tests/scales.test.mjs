@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { recognizeScales, scaleDegrees, diatonicChords, scaleFormulas, scaleDegreeNumbers } from '../src/lib/scales.js'
+
+const top = (notes, n = 3) => recognizeScales(notes).slice(0, n).map(r => `${r.rootName} ${r.type}`)
+
+test('a full scale names its mode from the lowest note', () => {
+  assert.deepEqual(top([60, 62, 64, 65, 67, 69, 71]), ['C ionian', 'A aeolian', 'D dorian'])
+  assert.deepEqual(top([62, 64, 65, 67, 69, 71, 72], 1), ['D dorian'])
+  assert.deepEqual(top([57, 59, 60, 62, 64, 65, 67], 1), ['A aeolian'])
+  assert.deepEqual(top([60, 62, 63, 65, 67, 69, 71], 1), ['C melodicMinor'])
+  assert.deepEqual(top([60, 63, 65, 66, 67, 70], 1), ['C blues'])
+  assert.ok(recognizeScales([60, 62, 64, 65, 67, 69, 71])[0].exactMatch)
+})
+
+test('partial input ranks the scales that leave out the fewest notes', () => {
+  const [best] = recognizeScales([60, 64, 67])
+  assert.deepEqual([best.rootName, best.type, best.missingPCs.length, best.rootIsBass, best.exactMatch], ['C', 'majorPentatonic', 2, true, false])
+  assert.ok(recognizeScales([60, 64, 67]).every(r => [0, 4, 7].every(pc => r.scalePCs.includes(pc))))
+})
+
+test('no scale contains a chromatic cluster of nine notes', () => {
+  assert.deepEqual(recognizeScales([60, 61, 62, 63, 64, 65, 66, 67, 68]), [])
+})
+
+test('degrees are spelled one letter per degree', () => {
+  assert.deepEqual(scaleDegrees(2, 'dorian').map(d => d.name), ['D', 'E', 'F', 'G', 'A', 'B', 'C'])
+  assert.deepEqual(scaleDegrees(2, 'dorian').map(d => d.degreeName), ['1', '2', '♭3', '4', '5', '6', '♭7'])
+  assert.deepEqual(scaleDegrees(0, 'blues').map(d => d.degreeName), ['1', '♭3', '4', '♭5', '5', '♭7'])
+  assert.deepEqual(scaleDegrees(0, 'halfWhole').map(d => d.name), ['C', 'D♭', 'D#', 'E', 'F#', 'G', 'A', 'B♭'])
+})
+
+test('every scale has a degree for each interval', () => {
+  for (const type of Object.keys(scaleFormulas)) assert.equal(scaleDegreeNumbers(type).length, scaleFormulas[type].length, type)
+})
+
+test('diatonic triads and sevenths', () => {
+  assert.deepEqual(diatonicChords(0, 'ionian').map(c => `${c.rootName}:${c.type}`), ['C:major', 'D:minor', 'E:minor', 'F:major', 'G:major', 'A:minor', 'B:dim'])
+  assert.deepEqual(diatonicChords(0, 'ionian', { sevenths: true }).map(c => c.type), ['M7', 'm7', 'm7', 'M7', '7', 'm7', 'm7b5'])
+  assert.deepEqual(diatonicChords(9, 'harmonicMinor', { sevenths: true }).map(c => c.type), ['mM7', 'm7b5', null, 'm7', '7', 'M7', 'dim7'])
+  assert.deepEqual(diatonicChords(7, 'ionian', { keySignature: 1 }).map(c => c.rootName), ['G', 'A', 'B', 'C', 'D', 'E', 'F#'])
+})
@@ -0,0 +1,78 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { encodeSMF, parseSMF, smfTimeline } from '../src/lib/smf.js'
+
+const take = [
+  { t: 0, type: 'noteOn', channel: 0, note: 60, velocity: 90 },
+  { t: 250, type: 'control', channel: 0, controller: 64, value: 127 },
+  { t: 500, type: 'noteOff', channel: 0, note: 60, velocity: 0 },
+  { t: 500, type: 'noteOn', channel: 1, note: 36, velocity: 70 },
+  { t: 2000, type: 'noteOff', channel: 1, note: 36, velocity: 0 },
+  { t: 2500, type: 'control', channel: 0, controller: 64, value: 0 }
+]
+
+// times survive the round trip to within one tick
+function assertSameEvents(actual, expected) {
+  assert.equal(actual.length, expected.length)
+  actual.forEach((ev, i) => {
+    const { t, track, ...rest } = ev
+    const { t: expectedT, ...expectedRest } = expected[i]
+    assert.deepEqual(rest, expectedRest)
+    assert.ok(Math.abs(t - expectedT) < 1.1, `event ${i} at ${t}ms, expected ${expectedT}ms`)
+  })
+}
+
+test('format 0 round-trips through parse and timeline', () => {
+  const smf = parseSMF(encodeSMF(take, { name: 'Take 1' }))
+  assert.equal(smf.format, 0)
+  assert.equal(smf.tracks.length, 1)
+  assert.equal(smf.tracks[0].name, 'Take 1')
+  const timeline = smfTimeline(smf)
+  assertSameEvents(timeline.events, take)
+  assert.ok(Math.abs(timeline.durationMs - 2500) < 1.1)
+})
+
+test('format 1 writes a conductor track and one track per channel', () => {
+  const smf = parseSMF(encodeSMF(take, { format: 1, bpm: 90, name: 'Duet' }))
+  assert.equal(smf.format, 1)
+  assert.equal(smf.tracks.length, 3)
+  const timeline = smfTimeline(smf)
+  assert.deepEqual(timeline.tracks.map(tr => tr.channels), [[0], [1]])
+  assertSameEvents(timeline.events, take)
+})
+
+test('simultaneous note-offs come before note-ons', () => {
+  const restrike = [
+    { t: 0, type: 'noteOn', channel: 0, note: 60, velocity: 80 },
+    { t: 100, type: 'noteOn', channel: 0, note: 60, velocity: 80 },
+    { t: 100, type: 'noteOff', channel: 0, note: 60, velocity: 0 }
+  ]
+  const types = smfTimeline(parseSMF(encodeSMF(restrike))).events.map(ev => ev.type)
+  assert.deepEqual(types, ['noteOn', 'noteOff', 'noteOn'])
+})
+
+test('a tempo change moves later events', () => {
+  // one quarter at 120 bpm (500ms) then at 60 bpm (1000ms)
+  const bytes = [
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0x01, 0xe0,
+    0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 21,
+    0x00, 0x90, 60, 100,
+    0x83, 0x60, 0xff, 0x51, 0x03, 0x0f, 0x42, 0x40,
+    0x83, 0x60, 0x80, 60, 0,
+    0x00, 0xff, 0x2f, 0x00
+  ]
+  const events = smfTimeline(parseSMF(new Uint8Array(bytes))).events
+  assert.deepEqual(events.map(ev => Math.round(ev.t)), [0, 1500])
+})
+
+test('rejects data that is not a MIDI file', () => {
+  assert.throws(() => parseSMF(new TextEncoder().encode('RIFF....WAVEfmt ')), /Not a Standard MIDI File/)
+})
+
+test('a file cut off inside a track is a parse error', () => {
+  const bytes = encodeSMF(take)
+  // drop End of Track and the last data byte of the final event
+  assert.throws(() => parseSMF(bytes.slice(0, bytes.length - 5)), /Truncated MIDI file/)
+  // a meta event whose length runs past the end of the file
+  assert.throws(() => parseSMF(encodeSMF([], { name: 'A long track name' }).slice(0, 30)), /Truncated MIDI file/)
+})
@@ -0,0 +1,38 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { spellPitchClass, spellTones, degreeName, spellWithLetter } from '../src/lib/spelling.js'
+
+const names = ({ tones }) => tones.map(t => t.name)
+
+test('chord tones take the letter of their degree', () => {
+  assert.deepEqual(names(spellTones(0, [0, 3, 7], [1, 3, 5])), ['C', 'E♭', 'G'])
+  assert.deepEqual(names(spellTones(11, [0, 4, 7], [1, 3, 5])), ['B', 'D#', 'F#'])
+  assert.deepEqual(names(spellTones(11, [0, 3, 6, 9], [1, 3, 5, 7])), ['B', 'D', 'F', 'A♭'])
+  assert.deepEqual(names(spellTones(0, [0, 3, 6, 9], [1, 3, 5, 7])), ['C', 'E♭', 'G♭', 'B𝄫'])
+})
+
+test('the root needs the fewest accidentals unless a key signature decides', () => {
+  assert.equal(spellTones(10, [0, 4, 7], [1, 3, 5]).root.name, 'B♭')
+  assert.equal(spellTones(6, [0, 4, 7], [1, 3, 5], { keySignature: -6 }).root.name, 'G♭')
+  assert.equal(spellTones(6, [0, 4, 7], [1, 3, 5], { keySignature: 2 }).root.name, 'F#')
+})
+
+test('lone pitch classes follow the key signature', () => {
+  assert.equal(spellPitchClass(1), 'D♭')
+  assert.equal(spellPitchClass(1, { keySignature: 2 }), 'C#')
+  assert.equal(spellPitchClass(11, { keySignature: -7 }), 'C♭')
+  assert.equal(spellPitchClass(8, { prefer: 1 }), 'G#')
+})
+
+test('degree names show the alteration', () => {
+  assert.equal(degreeName(3, 3), '♭3')
+  assert.equal(degreeName(8, 5), '#5')
+  assert.equal(degreeName(9, 7), '𝄫7')
+  assert.equal(degreeName(13, 2), '♭9')
+  assert.equal(degreeName(17, 4), '11')
+})
+
+test('spellWithLetter stops at double accidentals', () => {
+  assert.equal(spellWithLetter(2, 0).name, 'C𝄪')
+  assert.equal(spellWithLetter(3, 0), null)
+})
@@ -0,0 +1,4 @@
+// Preloaded by `npm test` (node --import): installs the hooks in resolve.mjs
+import { register } from 'node:module'
+
+register('./resolve.mjs', import.meta.url)
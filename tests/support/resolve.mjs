@@ -0,0 +1,16 @@
+// Node module hooks that load src/ the way Vite does: extensionless relative imports
+// ('./spelling') resolve to .js files, and .js files under src/ are ES modules.
+
+export async function resolve(specifier, context, next) {
+  try {
+    return await next(specifier, context)
+  } catch (err) {
+    if (err.code === 'ERR_MODULE_NOT_FOUND' && /^\.\.?\//.test(specifier) && !/\.\w+$/.test(specifier)) return next(`${specifier}.js`, context)
+    throw err
+  }
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith('file:') && url.includes('/src/') && url.endsWith('.js')) return next(url, { ...context, format: 'module' })
+  return next(url, context)
+}
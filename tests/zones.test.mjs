@@ -0,0 +1,43 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { splitZones, zonesForKey, createZoneRouter, groupNotesByZone } from '../src/lib/zones.js'
+
+const layered = {
+  enabled: true,
+  zones: [
+    ...splitZones(60),
+    { id: 'pad', name: 'Pad', lo: 60, hi: 72, transpose: 12, role: 'melody', color: '#fff' }
+  ]
+}
+
+test('splitZones divides the keyboard at the split point', () => {
+  const [lower, upper] = splitZones(55)
+  assert.deepEqual([lower.hi, upper.lo], [54, 55])
+  assert.deepEqual(zonesForKey({ enabled: true, zones: splitZones(55) }, 55).map(z => z.id), ['upper'])
+  assert.deepEqual(zonesForKey({ enabled: false, zones: splitZones(55) }, 55), [])
+})
+
+test('the router layers overlapping zones and releases what it pressed', () => {
+  let settings = layered
+  const router = createZoneRouter({ getSettings: () => settings })
+  const on = router.noteOn({ note: 64, inputId: 'a', channel: 0 })
+  assert.deepEqual(on.map(ev => [ev.zone, ev.note, ev.key]), [['upper', 64, 64], ['pad', 76, 64]])
+  // editing the zones while the key is down must not strand the layered note
+  settings = { enabled: true, zones: splitZones(60) }
+  const off = router.noteOff({ note: 64, inputId: 'a', channel: 0 })
+  assert.deepEqual(off.map(ev => ev.note), [64, 76])
+})
+
+test('keys outside every zone are dropped; bypassed events pass through', () => {
+  const router = createZoneRouter({ getSettings: () => ({ enabled: true, zones: [{ id: 'x', lo: 60, hi: 72, transpose: 0 }] }), bypass: ev => ev.source === 'file' })
+  assert.deepEqual(router.noteOn({ note: 40, inputId: 'a', channel: 0 }), [])
+  const fromFile = { note: 40, source: 'file', channel: 0 }
+  assert.deepEqual(router.noteOn(fromFile), [fromFile])
+})
+
+test('groupNotesByZone groups notes by the zone that routed them', () => {
+  const notes = new Map([[48, { zone: 'lower' }], [64, { zone: 'upper' }], [76, { zone: 'pad' }]])
+  const groups = groupNotesByZone(layered, notes)
+  assert.deepEqual(groups.map(g => [g.zone.id, [...g.notes]]), [['lower', [48]], ['upper', [64]], ['pad', [76]]])
+  assert.deepEqual(groupNotesByZone({ enabled: false, zones: layered.zones }, notes), [])
+})